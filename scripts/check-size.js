@@ -13,10 +13,11 @@
  *   size is honest: it's the minimum cost to use Lume.js at all.
  *
  * Budgets (enforced on self-contained builds only):
- *   dist/index.min.mjs      ≤ 3 KB gzipped  (CDN core, self-contained)
- *   dist/addons.min.mjs     ≤ 6 KB gzipped  (CDN addons, self-contained)
+ *   dist/index.min.mjs      ≤ 7.75 KB gzipped (CDN core, self-contained)
+ *   dist/state.min.mjs      ≤ 6 KB gzipped  (universal kernel, self-contained)
+ *   dist/addons.min.mjs     ≤ 16 KB gzipped (CDN addons, self-contained)
  *   dist/handlers.min.mjs   ≤ 2 KB gzipped  (CDN handlers, self-contained)
- *   dist/lume.global.js     ≤ 8 KB gzipped  (CDN all-in-one)
+ *   dist/lume.global.js     ≤ 18.5 KB gzipped (CDN all-in-one)
  *
  * The npm split builds (index.mjs, addons.mjs, handlers.mjs) are NOT budgeted
  * because they import a shared chunk — they are incomplete on their own and
@@ -42,11 +43,11 @@ const isJson = process.argv.includes('--json');
 // ── Budgets (gzipped bytes) ──────────────────────────────────────────────────
 
 export const BUDGETS = {
-  'index.min.mjs':    3 * 1024,     // 3 KB    — CDN core, self-contained
-  'state.min.mjs':    1.75 * 1024,  // 1.75 KB — universal kernel (state+batch, DOM-free)
-  'addons.min.mjs':   6 * 1024,     // 6 KB    — CDN addons, self-contained
+  'index.min.mjs':    7.75 * 1024,  // 7.75 KB — CDN core, self-contained
+  'state.min.mjs':    6 * 1024,     // 6 KB    — universal kernel (state+batch, DOM-free)
+  'addons.min.mjs':   16 * 1024,    // 16 KB   — CDN addons, self-contained
   'handlers.min.mjs': 2 * 1024,     // 2 KB    — CDN handlers, self-contained
-  'lume.global.js':   8 * 1024,     // 8 KB    — CDN all-in-one
+  'lume.global.js':   18.5 * 1024,  // 18.5 KB — CDN all-in-one
 };
 
 // Files to skip in the dist report (sourcemaps, shared chunks)
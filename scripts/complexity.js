@@ -47,7 +47,7 @@ const MIN_MI = 50;   // per file
 
 const KNOWN_EXCEPTIONS = [
   {
-    file: 'src/core/state.js',
+    file: 'src/core/notifier.js',
     func: '<arrow>',
     reason: 'scheduleFlush inner loop — handles hooks, subscribers, effects, and cycle detection in one microtask for performance',
   },
@@ -0,0 +1,279 @@
+/**
+ * Lume-JS Store Bridge Addon
+ *
+ * Mirrors a store across a postMessage endpoint — a Worker, a MessagePort,
+ * a window. One side owns the store and exposes it; the other connects
+ * and gets a live copy it can bind to the DOM and write to.
+ *
+ * Usage:
+ *   // worker.js
+ *   import { state } from "lume-js/state";
+ *   import { exposeStore } from "lume-js/addons";
+ *
+ *   const store = state({ results: [], query: '' });
+ *   exposeStore(store, self);
+ *
+ *   // main.js
+ *   import { bindDom } from "lume-js";
+ *   import { connectStore } from "lume-js/addons";
+ *
+ *   const { store } = await connectStore(new Worker('worker.js', { type: 'module' }));
+ *   bindDom(document.body, store); // typing in an input writes to the worker
+ *
+ * Behavior:
+ * - connectStore() resolves once the owner has sent a snapshot, and rejects
+ *   if none arrives within its timeout. The copy is a deep-mode store
+ *   (nested objects are nested stores).
+ * - A window endpoint needs the other side's origin: messages are read only
+ *   from that window and origin, and posted to that origin only.
+ * - Changes travel as JSON Patch operations (addons/changes.js), collected
+ *   into one message per tick, on both sides.
+ * - Writes to the copy are applied to the owner's store. Received changes
+ *   are not sent back, so an input bound to the copy never sees its own
+ *   writes return late. Expose a store once per port to share it with
+ *   several copies: each gets the others' changes through the store.
+ * - Paths through __proto__, constructor, prototype or a store's $-keys
+ *   are ignored with a warning.
+ *
+ * @module addons/bridge
+ */
+
+import { state, REACTIVE_BRAND, BLOCKED_KEYS } from '../core/state.js';
+import { batch } from '../core/batch.js';
+import { toPlain, watchChanges } from './changes.js';
+import { logWarn } from '../utils/log.js';
+
+const HELLO = 'lume:hello';
+const SNAPSHOT = 'lume:snapshot';
+const OPS = 'lume:ops';
+
+const isStore = (value) => !!value && typeof value === 'object' && REACTIVE_BRAND in value;
+
+// Messages are structured clones: their objects have Object.prototype
+const isPlainObject = (value) => !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Where bridge messages go to and arrive from. A window's messages arrive on
+ * this window, from any sender: they're read only from that window and its
+ * origin, and ours are sent to that origin only.
+ *
+ * @returns {{send: function(object): void, listen: function(function): function}}
+ */
+function endpointOf(port, options, caller) {
+  const { origin } = options;
+  // .window is readable on a cross-origin window too, unlike addEventListener
+  if (port && port.window === port) {
+    if (typeof origin !== 'string' || origin === '*') {
+      throw new Error(`[Lume.js] ${caller} requires an origin option for a window, e.g. { origin: 'https://app.example' }`);
+    }
+    return {
+      send: (message) => port.postMessage(message, origin),
+      listen: (onMessage) => listen(globalThis, (event) => event.source === port && event.origin === origin, onMessage),
+    };
+  }
+  if (!port || typeof port.postMessage !== 'function' || typeof port.addEventListener !== 'function') {
+    throw new Error(`[Lume.js] ${caller} requires a postMessage endpoint (Worker, MessagePort or window)`);
+  }
+  return {
+    send: (message) => port.postMessage(message),
+    listen: (onMessage) => listen(port, () => true, onMessage),
+  };
+}
+
+function post(endpoint, message) {
+  try {
+    endpoint.send(message);
+  } catch (err) {
+    logWarn('[Lume.js] store bridge: could not post a message — values not cloneable?', err);
+  }
+}
+
+/**
+ * Listen for bridge messages on target from senders accepted, ignoring
+ * other traffic.
+ * @returns {function} Stop listening
+ */
+function listen(target, accepted, onMessage) {
+  const handler = (event) => {
+    const message = event.data;
+    if (!message || typeof message !== 'object' || !accepted(event)) return;
+    if (message.type === OPS ? Array.isArray(message.ops) : message.type === HELLO || message.type === SNAPSHOT) {
+      onMessage(message);
+    }
+  };
+  target.addEventListener('message', handler);
+  target.start?.(); // a MessagePort only delivers to addEventListener once started
+  return () => target.removeEventListener('message', handler);
+}
+
+const isOp = (op) => !!op && ['add', 'replace', 'remove'].includes(op.op) &&
+  typeof op.path === 'string' && op.path.startsWith('/');
+
+/** Copy of a plain object with the operation applied below it. */
+function updated(target, segments, op) {
+  if (!isPlainObject(target)) throw new Error(`"${op.path}" does not exist`);
+  const copy = { ...target };
+  const [key, ...rest] = segments;
+  if (rest.length > 0) copy[key] = updated(copy[key], rest, op);
+  else if (op.op === 'remove') delete copy[key];
+  else copy[key] = op.value;
+  return copy;
+}
+
+/**
+ * Apply one JSON Patch operation: through nested stores in place, then
+ * into plain objects by writing a changed copy back to the store key.
+ */
+function applyOp(root, op) {
+  if (!isOp(op)) throw new Error('unsupported operation');
+  const segments = op.path.slice(1).split('/').map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (segments.some((segment) => BLOCKED_KEYS.has(segment))) throw new Error('blocked key');
+
+  let node = root;
+  let i = 0;
+  while (i < segments.length - 1 && isStore(node[segments[i]])) node = node[segments[i++]];
+  if (segments.slice(0, i + 1).some((segment) => segment.startsWith('$'))) throw new Error('blocked key');
+
+  const key = segments[i];
+  if (i < segments.length - 1) node[key] = updated(node[key], segments.slice(i + 1), op);
+  else if (op.op === 'remove') delete node[key];
+  else node[key] = op.value;
+}
+
+function applyOps(store, ops) {
+  batch(() => {
+    for (const op of ops) {
+      try {
+        applyOp(store, op);
+      } catch (err) {
+        logWarn(`[Lume.js] store bridge: ignoring operation ${JSON.stringify(op?.path)}: ${err.message}`);
+      }
+    }
+  });
+}
+
+/**
+ * Wire a store to an endpoint: its JSON Patch operations are sent, one message per
+ * tick, and received operations are applied — without sending them back.
+ *
+ * @returns {{receive: function(Array): void, stop: function(): void}}
+ */
+function link(store, endpoint) {
+  let pending = null;
+  let stopped = false;
+  let incoming = null; // paths being applied from port: not sent back
+
+  // Applying /a/b to a plain object reports /a (the key holding the copy)
+  const isIncoming = (path) => incoming.has(path) || [...incoming].some((p) => p.startsWith(`${path}/`));
+
+  const unsubscribe = watchChanges(store, (ops) => {
+    const kept = incoming ? ops.filter((op) => !isIncoming(op.path)) : ops;
+    if (kept.length === 0) return;
+    if (!pending) {
+      pending = [];
+      queueMicrotask(() => {
+        const message = { type: OPS, ops: pending };
+        pending = null;
+        if (!stopped) post(endpoint, message);
+      });
+    }
+    pending.push(...kept);
+  });
+
+  function receive(ops) {
+    // applyOps() flushes synchronously (batch), so the ops callback sees incoming
+    incoming = new Set(ops.map((op) => op?.path));
+    try {
+      applyOps(store, ops);
+    } finally {
+      incoming = null;
+    }
+  }
+
+  return {
+    receive,
+    stop: () => {
+      stopped = true;
+      unsubscribe();
+    },
+  };
+}
+
+/**
+ * Share a store over a postMessage endpoint, as the owner.
+ *
+ * @param {object} store - Reactive store created with state()
+ * @param {Worker|MessagePort|Window} port - Endpoint the copy connects over
+ *   (self, inside a worker)
+ * @param {Object} [options]
+ * @param {string} [options.origin] - The copy's origin. Required when port
+ *   is a window
+ * @returns {function} Dispose function — stops sending and applying
+ */
+export function exposeStore(store, port, options = {}) {
+  if (!isStore(store)) {
+    throw new Error('[Lume.js] exposeStore() requires a reactive store from state()');
+  }
+  const endpoint = endpointOf(port, options, 'exposeStore()');
+
+  const sendSnapshot = () => post(endpoint, { type: SNAPSHOT, data: toPlain(store) });
+  const linked = link(store, endpoint);
+  const stopListening = endpoint.listen((message) => {
+    if (message.type === HELLO) sendSnapshot();
+    else if (message.type === OPS) linked.receive(message.ops);
+  });
+  sendSnapshot(); // for a side that connected first
+
+  return () => {
+    stopListening();
+    linked.stop();
+  };
+}
+
+/**
+ * Connect to a store exposed with exposeStore() on the other side of port.
+ *
+ * @param {Worker|MessagePort|Window} port - Endpoint to the owner
+ * @param {Object} [options]
+ * @param {string} [options.origin] - The owner's origin. Required when port
+ *   is a window
+ * @param {number} [options.timeout=5000] - Milliseconds to wait for the
+ *   owner's snapshot (Infinity waits for good)
+ * @returns {Promise<{store: object, dispose: function(): void}>} Resolves
+ *   with the live copy once the owner's snapshot arrives, or rejects when
+ *   none arrives in time. dispose() disconnects it (the copy keeps its last
+ *   values).
+ */
+export function connectStore(port, options = {}) {
+  const endpoint = endpointOf(port, options, 'connectStore()');
+  const { timeout = 5000 } = options;
+  if (typeof timeout !== 'number' || !(timeout > 0)) {
+    throw new Error('[Lume.js] connectStore() timeout must be a positive number of milliseconds');
+  }
+
+  return new Promise((resolve, reject) => {
+    let linked = null;
+
+    const stopListening = endpoint.listen((message) => {
+      if (message.type === SNAPSHOT && !linked && isPlainObject(message.data)) {
+        clearTimeout(timer);
+        const mirror = state(message.data, { deep: true });
+        linked = link(mirror, endpoint);
+        resolve({
+          store: mirror,
+          dispose: () => {
+            stopListening();
+            linked.stop();
+          },
+        });
+      } else if (message.type === OPS && linked) {
+        linked.receive(message.ops);
+      }
+    });
+    const timer = timeout === Infinity ? null : setTimeout(() => {
+      stopListening();
+      reject(new Error(`[Lume.js] connectStore(): no store exposed on the port answered within ${timeout} ms`));
+    }, timeout);
+    post(endpoint, { type: HELLO });
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Lume-JS JSON Patch Change Stream
+ *
+ * The machinery behind changes(store, fn) (addons/jsonPatch.js): the
+ * store-wide change feed of a store and every store nested in it, translated into RFC 6902 operations
+ * with JSON Pointer paths ("/user/name"). Each flush of a store becomes one
+ * call with its operations:
+ *
+ *   add     - the key did not exist before the flush
+ *   replace - the key existed and was written
+ *   remove  - the key was deleted
+ *
+ * Values are plain: nested stores become plain objects, and undefined
+ * becomes null. Other values are passed as they are, not copied.
+ *
+ * Internal API, not an addon of its own: lume-js/addons doesn't export
+ * it, and only the jsonPatch and bridge addons import it.
+ */
+
+// JSON Pointer escaping (RFC 6901): "~" → "~0", "/" → "~1"
+const escape = (key) => key.replace(/~/g, '~0').replace(/\//g, '~1');
+
+// Nested stores are recognised by their API, as $reset() does (patch.js)
+const isStore = (value) => !!value && typeof value === 'object' && typeof value.$subscribe === 'function';
+
+/**
+ * Plain copy of a value for an operation: stores (and arrays holding them)
+ * become plain data, skipping the store's $-API. A store reached again
+ * inside itself is left out (undefined), as JSON can't express cycles.
+ *
+ * Also used by the bridge addon for snapshots.
+ */
+export function toPlain(value, seen = new Set()) {
+  if (seen.has(value)) return undefined;
+  const isArray = Array.isArray(value);
+  if (!isArray && !isStore(value)) return value;
+
+  seen.add(value);
+  let copy;
+  if (isArray) {
+    copy = value.map((item) => toPlain(item, seen));
+  } else {
+    copy = {};
+    for (const key of Object.keys(value)) {
+      if (!key.startsWith('$')) copy[key] = toPlain(value[key], seen);
+    }
+  }
+  seen.delete(value);
+  return copy;
+}
+
+// The feed's added/deleted markers tell a new key or a delete apart from a
+// key holding undefined. undefined itself goes out as null: JSON has none.
+function toOp(path, { key, value, added, deleted }) {
+  const pointer = `${path}/${escape(key)}`;
+  if (deleted) return { op: 'remove', path: pointer };
+  return { op: added ? 'add' : 'replace', path: pointer, value: value === undefined ? null : toPlain(value) };
+}
+
+/**
+ * Subscribe fn to JSON Patch operations for store and its nested stores.
+ *
+ * @param {object} store - Store proxy
+ * @param {function} fn - Receives an array of operations per flush
+ * @returns {function} Unsubscribe (also from every nested store)
+ */
+export function watchChanges(store, fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('[Lume.js] changes() requires a function');
+  }
+
+  // ancestors: stores on the way down, so a store holding its own parent
+  // is not watched in a loop
+  function watch(node, path, ancestors) {
+    const children = new Map(); // key → [nested store there, its unsubscribe]
+
+    function setChild(key, value) {
+      const child = children.get(key);
+      if (child && child[0] === value) return;
+      if (child) {
+        children.delete(key);
+        child[1]();
+      }
+      if (isStore(value) && !ancestors.has(value)) {
+        children.set(key, [value, watch(value, `${path}/${escape(key)}`, new Set(ancestors).add(value))]);
+      }
+    }
+
+    for (const key of Object.keys(node)) {
+      if (!key.startsWith('$')) setChild(key, node[key]);
+    }
+
+    const unsubscribe = node.$subscribe('*', (changes) => {
+      fn(changes.map((change) => {
+        setChild(change.key, change.value);
+        return toOp(path, change);
+      }));
+    });
+
+    return () => {
+      unsubscribe();
+      for (const child of children.values()) child[1]();
+      children.clear();
+    };
+  }
+
+  return watch(store, '', new Set([store]));
+}
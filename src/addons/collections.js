@@ -0,0 +1,212 @@
+/**
+ * Lume-JS Reactive Collections Addon
+ *
+ * Map and Set instances whose reads are tracked per entry: an effect that
+ * calls map.get('a') re-runs when 'a' changes, not when 'b' does.
+ *
+ * Usage:
+ *   import { state, effect } from "lume-js";
+ *   import { reactiveMap, reactiveSet } from "lume-js/addons";
+ *
+ *   const usersById = reactiveMap([[1, { name: 'Ada' }]]);
+ *   effect(() => console.log(usersById.get(1)?.name)); // tracks entry 1 only
+ *   usersById.set(2, { name: 'Grace' });               // does not re-run it
+ *
+ *   const store = state({ selected: reactiveSet() });
+ *   store.selected.add(3); // subscribers of 'selected' fire
+ *
+ * Tracking granularity:
+ * - get(key) / has(key)  → that entry (including its absence)
+ * - size                 → additions and removals
+ * - iteration (keys, values, entries, forEach, for...of) → any change
+ *
+ * The returned objects are real Map/Set instances (instanceof, Array.from,
+ * spread all work); only the methods above are overridden on the instance.
+ * Reads go through an internal state() store, so withReadObserver sees
+ * them like any store read; lookups made while nothing observes reads keep
+ * no reference to their key. Values themselves are not made reactive.
+ *
+ * @module addons/collections
+ */
+
+import { state, MUTABLE, isObserving } from '../core/state.js';
+
+const SIZE = 'size';
+const ITER = 'iter';
+
+/**
+ * Per-collection signal store: one key per tracked entry ('e0', 'e1', …)
+ * plus SIZE and ITER. Writes bump counters; reads only touch keys.
+ */
+function createTracker() {
+  const signals = { [SIZE]: 0, [ITER]: 0 };
+  const store = state(signals);
+  const ids = new Map(); // entry key → signal key (SameValueZero, like Map)
+  const owners = new Set();
+  let nextId = 0;
+  let version = 0;
+
+  function idFor(key) {
+    let id = ids.get(key);
+    if (id === undefined) {
+      id = 'e' + nextId++;
+      ids.set(key, id);
+    }
+    return id;
+  }
+
+  // Bump a signal key. A removed entry's key is then dropped: its
+  // subscribers were just notified, and a re-read allocates a fresh one.
+  function bump(id, drop) {
+    store[id] = ++version;
+    if (drop) delete signals[id];
+  }
+
+  function changed(structural) {
+    if (structural) bump(SIZE);
+    bump(ITER);
+    for (const notify of owners) notify();
+  }
+
+  return {
+    // A signal key is allocated only for a read something may track:
+    // untracked lookups must not keep the looked-up keys alive.
+    read(key) {
+      if (ids.has(key) || isObserving()) void store[idFor(key)];
+    },
+    readSize() { void store[SIZE]; },
+    readAll() { void store[ITER]; },
+
+    /**
+     * @param {*} key - Entry that changed
+     * @param {'add'|'delete'|null} kind - Structural change, or null for a
+     *   new value under an existing key
+     */
+    write(key, kind) {
+      const id = ids.get(key);
+      if (id !== undefined) {
+        bump(id, kind === 'delete');
+        if (kind === 'delete') ids.delete(key);
+      }
+      changed(kind !== null);
+    },
+
+    writeAll() {
+      for (const id of ids.values()) bump(id, true);
+      ids.clear();
+      changed(true);
+    },
+
+    // MUTABLE protocol: a store holding the collection treats changes as writes
+    attach(notify) {
+      owners.add(notify);
+      return () => { owners.delete(notify); };
+    },
+  };
+}
+
+/**
+ * Shadow the prototype's methods with non-enumerable own properties, and
+ * size with a tracked getter. The instance keeps its Map/Set internals.
+ */
+function override(target, sizeOf, tracker, methods) {
+  for (const name of Reflect.ownKeys(methods)) {
+    Object.defineProperty(target, name, { value: methods[name], writable: true, configurable: true });
+  }
+  Object.defineProperty(target, 'size', {
+    get() {
+      tracker.readSize();
+      return sizeOf.call(target);
+    },
+    configurable: true,
+  });
+}
+
+/** Mutators and reads shared by Map and Set (everything but get/set/add). */
+function sharedMethods(target, proto, sizeOf, tracker) {
+  const iterate = (method) => function () {
+    tracker.readAll();
+    return proto[method].call(target);
+  };
+  return {
+    has(key) {
+      tracker.read(key);
+      return proto.has.call(target, key);
+    },
+    delete(key) {
+      if (!proto.delete.call(target, key)) return false;
+      tracker.write(key, 'delete');
+      return true;
+    },
+    clear() {
+      if (sizeOf.call(target) === 0) return;
+      proto.clear.call(target);
+      tracker.writeAll();
+    },
+    keys: iterate('keys'),
+    values: iterate('values'),
+    entries: iterate('entries'),
+    [Symbol.iterator]: iterate(proto === Map.prototype ? 'entries' : 'values'),
+    forEach(fn, thisArg) {
+      tracker.readAll();
+      proto.forEach.call(target, (value, key) => fn.call(thisArg, value, key, target));
+    },
+    [MUTABLE]: tracker.attach,
+  };
+}
+
+const mapSize = Object.getOwnPropertyDescriptor(Map.prototype, 'size').get;
+const setSize = Object.getOwnPropertyDescriptor(Set.prototype, 'size').get;
+
+/**
+ * Create a Map with per-entry reactive tracking.
+ *
+ * @param {Iterable<[*, *]>} [entries] - Initial entries, as for new Map()
+ * @returns {Map} A Map instance with reactive reads and writes
+ */
+export function reactiveMap(entries) {
+  const map = new Map(entries);
+  const proto = Map.prototype;
+  const tracker = createTracker();
+
+  override(map, mapSize, tracker, {
+    ...sharedMethods(map, proto, mapSize, tracker),
+    get(key) {
+      tracker.read(key);
+      return proto.get.call(map, key);
+    },
+    set(key, value) {
+      const had = proto.has.call(map, key);
+      if (had && Object.is(proto.get.call(map, key), value)) return map;
+      proto.set.call(map, key, value);
+      tracker.write(key, had ? null : 'add');
+      return map;
+    },
+  });
+
+  return map;
+}
+
+/**
+ * Create a Set with per-value reactive tracking.
+ *
+ * @param {Iterable<*>} [values] - Initial values, as for new Set()
+ * @returns {Set} A Set instance with reactive reads and writes
+ */
+export function reactiveSet(values) {
+  const set = new Set(values);
+  const proto = Set.prototype;
+  const tracker = createTracker();
+
+  override(set, setSize, tracker, {
+    ...sharedMethods(set, proto, setSize, tracker),
+    add(value) {
+      if (proto.has.call(set, value)) return set;
+      proto.add.call(set, value);
+      tracker.write(value, 'add');
+      return set;
+    },
+  });
+
+  return set;
+}
@@ -20,6 +20,7 @@
  */
 
 import { effect } from '../core/effect.js';
+import { getCurrentScope, onScopeDispose } from '../core/state.js';
 import { logError } from '../utils/log.js';
 
 /**
@@ -113,7 +114,7 @@ export function computed(fn) {
     }
   });
 
-  return {
+  const result = {
     /**
      * Get the current computed value
      */
@@ -162,4 +163,8 @@ export function computed(fn) {
       isInComputation = false;
     }
   };
+
+  // Inside effectScope(): stopping the scope disposes the computed
+  if (getCurrentScope()) result.dispose = onScopeDispose(result.dispose);
+  return result;
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Lume-JS Equality Helpers
+ *
+ * Comparators for state(obj, { equals }): a key whose new value is "equal"
+ * to its current one is not written, so nobody is notified.
+ *
+ * Usage:
+ *   import { state } from "lume-js";
+ *   import { shallowEqual, deepEqual } from "lume-js/addons";
+ *
+ *   const store = state({ items: [], filters: {} }, {
+ *     equals: { items: shallowEqual, filters: deepEqual }
+ *   });
+ *
+ *   store.items = [...store.items]; // same elements → dropped
+ *
+ * Both compare arrays element by element and plain objects key by key
+ * (stores too, ignoring their $-API). shallowEqual compares the elements
+ * with Object.is; deepEqual recurses, and also compares Dates by time and
+ * Maps/Sets by entries. Anything else — class instances, functions —
+ * is equal only to itself.
+ *
+ * @module addons/equality
+ */
+
+import { REACTIVE_BRAND } from '../core/state.js';
+
+function isPlain(value) {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null || REACTIVE_BRAND in value;
+}
+
+// Own enumerable keys, minus a store's $-API
+function dataKeys(obj) {
+  const keys = Object.keys(obj);
+  return REACTIVE_BRAND in obj ? keys.filter((key) => !key.startsWith('$')) : keys;
+}
+
+/**
+ * Compare two arrays or two plain objects one level deep.
+ *
+ * @param {function} same - Element comparator
+ * @returns {boolean|undefined} undefined when a and b are not both arrays or
+ *   both plain objects
+ */
+function compareEntries(a, b, same) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => same(item, b[i]));
+  }
+  if (!isPlain(a) || !isPlain(b)) return undefined;
+  const keys = dataKeys(a);
+  return keys.length === dataKeys(b).length &&
+    keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && same(a[key], b[key]));
+}
+
+/**
+ * Equal when identical, or when both are arrays / plain objects whose
+ * elements are identical (Object.is).
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function shallowEqual(a, b) {
+  return Object.is(a, b) || compareEntries(a, b, Object.is) === true;
+}
+
+function compareCollections(a, b, same) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof Map && b instanceof Map) {
+    return a.size === b.size && [...a].every(([key, value]) => b.has(key) && same(value, b.get(key)));
+  }
+  if (a instanceof Set && b instanceof Set) {
+    return a.size === b.size && [...a].every((value) => b.has(value));
+  }
+  return false;
+}
+
+/**
+ * Structural equality: arrays, plain objects (and stores) and Maps compared
+ * recursively, Sets by membership, Dates by time. Cyclic values are
+ * handled: a pair already being compared counts as equal.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function deepEqual(a, b) {
+  const seen = new Map(); // a → Set of b's it is being compared with
+
+  function same(x, y) {
+    if (Object.is(x, y)) return true;
+    if (!x || !y || typeof x !== 'object' || typeof y !== 'object') return false;
+
+    let pairs = seen.get(x);
+    if (pairs?.has(y)) return true;
+    if (!pairs) seen.set(x, (pairs = new Set()));
+    pairs.add(y);
+
+    return compareEntries(x, y, same) ?? compareCollections(x, y, same);
+  }
+
+  return same(a, b);
+}
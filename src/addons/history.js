@@ -0,0 +1,218 @@
+/**
+ * Lume-JS History Addon
+ *
+ * Undo/redo for a store and the stores nested in it, built on the
+ * store-wide change feed ($subscribe('*')): every flush hands over
+ * { key, value, oldValue } records, marked added or deleted when the key
+ * appeared or went away, which are exactly the inverse patches an undo
+ * step needs.
+ *
+ * Usage:
+ *   import { state, batch, effect } from "lume-js";
+ *   import { history } from "lume-js/addons";
+ *
+ *   const doc = state({ title: '', body: '', saving: false });
+ *   const h = history(doc, { keys: ['title', 'body'], limit: 50 });
+ *
+ *   effect(() => { undoButton.disabled = !h.canUndo; });
+ *
+ *   doc.title = 'Draft';  // one undo step once the store flushes
+ *   // later, e.g. on Ctrl+Z:
+ *   h.undo();             // title back to ''
+ *
+ * Behavior:
+ * - Writes made in the same tick form one undo step — in particular, all
+ *   writes of one batch(), across the store and its nested stores.
+ * - Nested stores (explicit, or deep-mode children) held by a tracked key
+ *   are tracked too, and stop being tracked when the key is replaced.
+ * - keys limits the root store; nested stores are tracked whole.
+ * - undo()/redo() write through the stores in a batch(), so subscribers
+ *   and bindings fire, and flush synchronously. Call them outside batch()
+ *   and transaction(): inside one, the flush comes later and the writes
+ *   would be recorded as a new step.
+ * - Undoing an added key deletes it again; so does redoing a delete.
+ * - Only assignments are recorded: in-place mutations of a list() or
+ *   reactiveMap() (same reference before and after) are not.
+ *
+ * @module addons/history
+ */
+
+import { state, REACTIVE_BRAND } from '../core/state.js';
+import { batch } from '../core/batch.js';
+
+const DEFAULT_LIMIT = 100;
+
+const isStore = (value) => !!value && typeof value === 'object' && REACTIVE_BRAND in value;
+
+/**
+ * Track changes of a store for undo/redo.
+ *
+ * @param {object} store - Reactive store created with state()
+ * @param {object} [options]
+ * @param {string[]} [options.keys] - Top-level keys to track. Default:
+ *   every non-$ key, including keys added later.
+ * @param {number} [options.limit=100] - Undo steps kept; the oldest are dropped
+ * @returns {{canUndo: boolean, canRedo: boolean, undo: function(): boolean,
+ *   redo: function(): boolean, clear: function(): void, dispose: function(): void}}
+ *   canUndo/canRedo are reactive getters (tracked by effect() and computed())
+ */
+export function history(store, options = {}) {
+  if (!isStore(store)) {
+    throw new Error('[Lume.js] history() requires a reactive store from state()');
+  }
+  const limit = options.limit === undefined ? DEFAULT_LIMIT : options.limit;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('[Lume.js] history(): limit must be a positive integer');
+  }
+  const rootKeys = Array.isArray(options.keys) ? new Set(options.keys) : null;
+
+  const flags = state({ canUndo: false, canRedo: false });
+  const undoStack = [];
+  const redoStack = [];
+  let pending = null; // records of the step being collected this tick
+  let applying = false;
+
+  // store → { refs, unsubscribe, children: Map<key, nested store> }.
+  // Reference-counted: one nested store can sit under several keys.
+  const watched = new Map();
+
+  function sync() {
+    flags.canUndo = undoStack.length > 0;
+    flags.canRedo = redoStack.length > 0;
+  }
+
+  function commit() {
+    if (!pending) return;
+    undoStack.push(pending);
+    pending = null;
+    if (undoStack.length > limit) undoStack.shift();
+    redoStack.length = 0;
+    sync();
+  }
+
+  function record(target, change) {
+    if (!pending) {
+      pending = [];
+      queueMicrotask(commit);
+    }
+    pending.push({ target, ...change });
+  }
+
+  function setChild(node, key, value) {
+    const old = node.children.get(key);
+    if (old === value) return;
+    if (old) {
+      node.children.delete(key);
+      detach(old);
+    }
+    if (isStore(value)) {
+      node.children.set(key, value);
+      attach(value, null);
+    }
+  }
+
+  function onChanges(target, node, changes) {
+    for (const change of changes) {
+      const { key, value, oldValue } = change;
+      if (node.keys && !node.keys.has(key)) continue;
+      setChild(node, key, value);
+      if (applying) continue;
+      if (change.added || change.deleted || !Object.is(value, oldValue)) record(target, change);
+    }
+  }
+
+  function attach(target, keys) {
+    const existing = watched.get(target);
+    if (existing) {
+      existing.refs++;
+      return;
+    }
+    const node = { refs: 1, keys, children: new Map(), unsubscribe: null };
+    watched.set(target, node);
+    node.unsubscribe = target.$subscribe('*', (changes) => onChanges(target, node, changes));
+    for (const key of keys || Object.keys(target)) {
+      if (!key.startsWith('$')) setChild(node, key, target[key]);
+    }
+  }
+
+  function detach(target) {
+    const node = watched.get(target);
+    if (--node.refs > 0) return;
+    watched.delete(target);
+    node.unsubscribe();
+    for (const child of node.children.values()) detach(child);
+  }
+
+  // Write a step back (undo) or forward (redo). The batch flushes while
+  // `applying` is still set, so the feed does not record these writes.
+  function apply(records, forward) {
+    applying = true;
+    try {
+      batch(() => {
+        for (const r of records) {
+          if (forward ? r.deleted : r.added) delete r.target[r.key];
+          else r.target[r.key] = forward ? r.value : r.oldValue;
+        }
+      });
+    } finally {
+      applying = false;
+    }
+  }
+
+  /** Forget every step (the stores keep their current values). */
+  function clear() {
+    pending = null;
+    undoStack.length = 0;
+    redoStack.length = 0;
+    sync();
+  }
+
+  attach(store, rootKeys);
+
+  return {
+    get canUndo() {
+      return flags.canUndo;
+    },
+
+    get canRedo() {
+      return flags.canRedo;
+    },
+
+    /**
+     * Revert the last step. A step still collecting this tick's flushes is
+     * closed first; writes that have not flushed yet are not in any step.
+     * @returns {boolean} false if there was nothing to undo
+     */
+    undo() {
+      commit();
+      const step = undoStack.pop();
+      if (!step) return false;
+      apply(step.slice().reverse(), false);
+      redoStack.push(step);
+      sync();
+      return true;
+    },
+
+    /**
+     * Re-apply the last undone step.
+     * @returns {boolean} false if there was nothing to redo
+     */
+    redo() {
+      const step = redoStack.pop();
+      if (!step) return false;
+      apply(step, true);
+      undoStack.push(step);
+      sync();
+      return true;
+    },
+
+    clear,
+
+    /** Stop tracking and forget every step. */
+    dispose() {
+      for (const node of watched.values()) node.unsubscribe();
+      watched.clear();
+      clear();
+    },
+  };
+}
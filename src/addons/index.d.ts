@@ -5,7 +5,7 @@
  * Import from "lume-js/addons" for tree-shaking.
  */
 
-import type { Unsubscribe, Subscriber, ReactiveState, TypedPlugin } from '../index.js';
+import type { Unsubscribe, Subscriber, ReactiveState, TypedPlugin, JsonPatchOperation, Schema, StoreSchema } from '../index.js';
 
 export type { TypedPlugin };
 
@@ -461,14 +461,22 @@ export interface Plugin {
   onNotify?(key: string, value: unknown): void;
   /** Called when $subscribe is invoked on the store. */
   onSubscribe?(key: string): void;
+  /**
+   * Intercept/transform a whole $patch() as one operation. Return a patch to
+   * override, or void to pass through. Without it, onSet runs per key.
+   */
+  onPatch?(patch: Record<string, unknown>, oldValues: Record<string, unknown>): Record<string, unknown> | void;
+  /** Called before an existing key is deleted. Return false to keep the key. */
+  onDelete?(key: string, oldValue: unknown): boolean | void;
 }
 
 /**
  * Wrap a reactive state proxy with plugin hooks.
  * Plugins can intercept get/set/notify/subscribe operations.
  *
- * The returned proxy additionally exposes $dispose(), which removes the
- * plugin layer's flush hook and clears its pending notifications.
+ * The returned proxy's $dispose() removes only the plugin layer's flush
+ * hook and pending notifications; the wrapped store stays live (dispose
+ * it with its own $dispose()).
  *
  * @param store - A reactive proxy from state()
  * @param plugins - Array of plugin objects
@@ -593,3 +601,483 @@ export function persist(
   options?: PersistOptions
 ): Unsubscribe;
 
+
+/**
+ * A change record delivered by a list's $observe(). Records apply in
+ * order: each index refers to the list as left by the records before it.
+ */
+export type ListRecord<T> =
+  | { type: 'insert'; index: number; value: T }
+  | { type: 'remove'; index: number; value: T }
+  | { type: 'replace'; index: number; value: T; oldValue: T }
+  | { type: 'move'; from: number; to: number }
+  | { type: 'reset' };
+
+/**
+ * A reactive array created by list(). Every array method works; in-place
+ * mutators (push, pop, shift, unshift, splice, sort, reverse, fill,
+ * copyWithin, index and length writes) are reactive.
+ */
+export interface ReactiveList<T> extends Array<T> {
+  /**
+   * Move the item at `from` to `to` (one `move` record).
+   * @throws {RangeError} If either index is out of range
+   */
+  move(from: number, to: number): void;
+  /**
+   * Receive change records synchronously, one array per mutating call.
+   * @returns Unsubscribe function
+   */
+  $observe(fn: (records: ListRecord<T>[]) => void): Unsubscribe;
+}
+
+/**
+ * Create a mutation-aware reactive array.
+ *
+ * - Held in a store, each mutation notifies the key's subscribers and
+ *   effects like a normal write — `store.todos.push(x)` just works.
+ * - Reads inside effect() are tracked on the list itself too.
+ * - repeat() consumes the change records: appends and removals insert or
+ *   remove rows directly, skipping the reorder pass.
+ *
+ * @param items - Initial items (used as the backing array)
+ * @returns Reactive list proxy
+ * @throws {Error} If items is not an array
+ *
+ * @example
+ * ```typescript
+ * import { state } from 'lume-js';
+ * import { list, repeat } from 'lume-js/addons';
+ *
+ * const store = state({ todos: list<{ id: number; text: string }>([]) });
+ * repeat('#todos', store, 'todos', { key: t => t.id, template: true });
+ *
+ * store.todos.push({ id: 1, text: 'Ship it' });
+ * ```
+ */
+export function list<T>(items?: T[]): ReactiveList<T>;
+
+/**
+ * Create a Map whose reads are tracked per entry by effect() and computed().
+ *
+ * - get(key) / has(key) track that entry (including its absence)
+ * - size tracks additions and removals
+ * - keys/values/entries/forEach/for...of track any change
+ *
+ * The result is a real Map instance. Held in a store, every change
+ * notifies the store key too. repeat() renders a Map's values.
+ *
+ * @param entries - Initial entries, as for new Map()
+ * @returns Reactive Map
+ *
+ * @example
+ * ```typescript
+ * import { effect } from 'lume-js';
+ * import { reactiveMap } from 'lume-js/addons';
+ *
+ * const usersById = reactiveMap<number, { name: string }>();
+ * effect(() => console.log(usersById.get(1)?.name)); // re-runs for key 1 only
+ * usersById.set(1, { name: 'Ada' });
+ * ```
+ */
+export function reactiveMap<K, V>(entries?: Iterable<readonly [K, V]> | null): Map<K, V>;
+
+/**
+ * Create a Set whose reads are tracked per value by effect() and computed().
+ * Same granularity as reactiveMap(): has(value) per value, size, iteration.
+ *
+ * @param values - Initial values, as for new Set()
+ * @returns Reactive Set
+ *
+ * @example
+ * ```typescript
+ * import { state } from 'lume-js';
+ * import { reactiveSet } from 'lume-js/addons';
+ *
+ * const store = state({ selected: reactiveSet<number>() });
+ * store.selected.add(3); // subscribers of 'selected' fire
+ * ```
+ */
+export function reactiveSet<T>(values?: Iterable<T> | null): Set<T>;
+
+/**
+ * Options for history()
+ */
+export interface HistoryOptions<T extends object> {
+  /** Top-level keys to track. Default: every key, including keys added later. */
+  keys?: (keyof T & string)[];
+  /** Undo steps kept; the oldest are dropped. @default 100 */
+  limit?: number;
+}
+
+/**
+ * Undo/redo controller returned by history()
+ */
+export interface History {
+  /** True while there is a step to undo (reactive) */
+  readonly canUndo: boolean;
+  /** True while there is a step to redo (reactive) */
+  readonly canRedo: boolean;
+  /** Revert the last step. Returns false if there was nothing to undo. */
+  undo(): boolean;
+  /** Re-apply the last undone step. Returns false if there was nothing to redo. */
+  redo(): boolean;
+  /** Forget every step (the stores keep their current values) */
+  clear(): void;
+  /** Stop tracking and forget every step */
+  dispose(): void;
+}
+
+/**
+ * Track a store, and the stores nested in it, for undo/redo.
+ *
+ * Writes made in the same tick — all writes of one batch() — form one
+ * undo step. undo()/redo() write through the stores, so subscribers and
+ * bindings fire. Only assignments are recorded, not in-place mutations of
+ * list()/reactiveMap() values.
+ *
+ * @param store - Reactive store created with state()
+ * @param options - keys to track, step limit
+ * @returns Undo/redo controller with reactive canUndo/canRedo
+ * @throws {Error} If store is not reactive, or limit is not a positive integer
+ *
+ * @example
+ * ```typescript
+ * import { state, effect } from 'lume-js';
+ * import { history } from 'lume-js/addons';
+ *
+ * const doc = state({ title: '', body: '', saving: false });
+ * const h = history(doc, { keys: ['title', 'body'] });
+ *
+ * effect(() => { undoButton.disabled = !h.canUndo; });
+ * undoButton.onclick = () => h.undo();
+ * ```
+ */
+export function history<T extends object>(store: ReactiveState<T>, options?: HistoryOptions<T>): History;
+
+/**
+ * Read-only view of a store: keys are readonly, nested stores are views
+ * too, and $subscribe is the only $-method.
+ */
+export type ReadonlyState<T extends object> = {
+  readonly [K in keyof T]: T[K] extends ReactiveState<infer U> ? ReadonlyState<U> : T[K];
+} & Pick<ReactiveState<T>, '$subscribe'>;
+
+/**
+ * Create a read-only view of a store, for code that should observe it but
+ * never write (widgets, sub-modules).
+ *
+ * Reads go through the store, so effect() and computed() track them.
+ * Writes, deletes and $-methods other than $subscribe log a warning and
+ * change nothing — also on nested stores, which are returned as views.
+ * isReactive() is true for a view; bindDom() binds it one-way.
+ *
+ * Not a security boundary: the store itself stays writable.
+ *
+ * @param store - Reactive store created with state() (a view is returned as-is)
+ * @returns Read-only view (the same view for the same store)
+ * @throws {Error} If store is not reactive
+ *
+ * @example
+ * ```typescript
+ * import { state, effect } from 'lume-js';
+ * import { readonly } from 'lume-js/addons';
+ *
+ * const store = state({ count: 0 });
+ * const view = readonly(store);
+ *
+ * effect(() => console.log(view.count)); // re-runs when store.count changes
+ * ```
+ */
+export function readonly<T extends object>(store: ReactiveState<T> | ReadonlyState<T>): ReadonlyState<T>;
+
+/**
+ * Equal when identical (Object.is), or when both are arrays / plain
+ * objects whose elements are identical. Stores compare by their data keys.
+ * Use as a state() comparator: `state(obj, { equals: { items: shallowEqual } })`.
+ *
+ * @example
+ * ```typescript
+ * shallowEqual([1, 2], [1, 2]);     // true
+ * shallowEqual([{ a: 1 }], [{ a: 1 }]); // false — different objects
+ * ```
+ */
+export function shallowEqual(a: unknown, b: unknown): boolean;
+
+/**
+ * Structural equality: arrays, plain objects (and stores) and Maps compared
+ * recursively, Sets by membership, Dates by time. Class instances and
+ * functions are equal only to themselves. Handles cycles.
+ *
+ * @example
+ * ```typescript
+ * import { state } from 'lume-js';
+ * import { deepEqual } from 'lume-js/addons';
+ *
+ * const store = state({ filters: { tags: ['a'] } }, { equals: { filters: deepEqual } });
+ * store.filters = { tags: ['a'] }; // equal → dropped, nobody is notified
+ * ```
+ */
+export function deepEqual(a: unknown, b: unknown): boolean;
+
+/**
+ * Options for schema()
+ */
+export interface SchemaOptions {
+  /**
+   * What an invalid write does: 'reject' drops it, 'coerce' converts it to
+   * the rule's type first ('42' → 42) and drops it if it still fails,
+   * 'keep' writes it anyway. Initial values are always accepted.
+   * @default 'reject'
+   */
+  onInvalid?: 'reject' | 'coerce' | 'keep';
+}
+
+/**
+ * Build a write guard for `state(obj, { schema })`. Each rule is checked
+ * on every write to its key; the store's `$errors` map holds the message
+ * of each key's last write ('' when valid).
+ *
+ * @throws {Error} If rules is not an object of rules, or onInvalid is unknown
+ *
+ * @example
+ * ```typescript
+ * import { state } from 'lume-js';
+ * import { schema } from 'lume-js/addons';
+ *
+ * const form = state({ age: 0 }, { schema: schema({ age: { type: 'number', min: 0 } }) });
+ * form.age = -1;      // dropped
+ * form.$errors.age;   // 'Must be at least 0'
+ * ```
+ */
+export function schema<S extends StoreSchema<any>>(rules: S, options?: SchemaOptions): Schema<S>;
+
+/**
+ * Subscribe to a store's changes, and those of every store nested in it,
+ * as JSON Patch operations: one call per flush of a store. Values are
+ * plain (nested stores become plain objects). Built on the change feed
+ * (`$subscribe('*')`).
+ *
+ * @returns Unsubscribe function (also from nested stores)
+ * @throws {Error} If store is not a store, or fn is not a function
+ *
+ * @example
+ * ```typescript
+ * import { state } from 'lume-js';
+ * import { changes } from 'lume-js/addons';
+ *
+ * const store = state({ user: state({ name: '' }) });
+ * changes(store, ops => socket.send(JSON.stringify(ops)));
+ * store.user.name = 'Ada'; // → [{ op: 'replace', path: '/user/name', value: 'Ada' }]
+ * ```
+ */
+export function changes(store: ReactiveState<any>, fn: (ops: JsonPatchOperation[]) => void): Unsubscribe;
+
+/**
+ * Apply RFC 6902 operations (add, remove, replace) to a store, atomically:
+ * the patch runs in a transaction(), so a failing op rolls back every op
+ * before it and throws. Stores and lists change in place; plain arrays and
+ * objects are copied with the change and written back. `add` creates
+ * missing intermediate objects as nested stores. Paths through
+ * `__proto__`, `constructor`, `prototype` or a store's `$`-keys are
+ * rejected.
+ *
+ * @example
+ * ```typescript
+ * import { state } from 'lume-js';
+ * import { applyPatch } from 'lume-js/addons';
+ *
+ * const store = state({ user: state({ name: '' }), tags: [] as string[] });
+ * applyPatch(store, [
+ *   { op: 'replace', path: '/user/name', value: 'Ada' },
+ *   { op: 'add', path: '/tags/-', value: 'admin' },
+ * ]);
+ * ```
+ */
+export function applyPatch(
+  store: ReactiveState<any>,
+  ops: JsonPatchOperation[]
+): void;
+
+/**
+ * Options for syncTabs()
+ */
+export interface SyncTabsOptions {
+  /** Keys to sync. Default: every non-$ key, including keys added later. */
+  keys?: string[];
+  /**
+   * Storage for the fallback transport, used when BroadcastChannel is
+   * missing. Default: localStorage.
+   */
+  storage?: Pick<Storage, 'setItem'> | null;
+}
+
+/**
+ * Keep store keys in sync across the tabs of an origin over a
+ * BroadcastChannel (or a storage entry and `storage` events without one).
+ *
+ * - Each flush is one message; values travel as JSON.
+ * - Conflicts resolve per key, last writer wins by a logical clock.
+ * - Incoming changes are written in a batch() and not broadcast back.
+ * - A new tab doesn't receive the current state — pair with persist().
+ *
+ * @param store - Reactive store created with state()
+ * @param channelName - Tabs using the same name share changes
+ * @param options - Sync options
+ * @returns Dispose function — stops sending and receiving
+ * @throws {Error} If store is not reactive or channelName is empty
+ *
+ * @example
+ * ```typescript
+ * import { state } from 'lume-js';
+ * import { persist, syncTabs } from 'lume-js/addons';
+ *
+ * const store = state({ cart: [] as string[], theme: 'light' });
+ * persist(store, 'shop');
+ * const stop = syncTabs(store, 'shop');
+ * ```
+ */
+export function syncTabs(
+  store: ReactiveState<any>,
+  channelName: string,
+  options?: SyncTabsOptions
+): Unsubscribe;
+
+/**
+ * A postMessage endpoint: a Worker, a MessagePort, a window, or `self`
+ * inside a worker.
+ */
+export interface MessageEndpoint {
+  postMessage(message: unknown): void;
+  addEventListener(type: 'message', listener: (event: MessageEvent) => void): void;
+  removeEventListener(type: 'message', listener: (event: MessageEvent) => void): void;
+  start?(): void;
+}
+
+/**
+ * Options for exposeStore() and connectStore().
+ */
+export interface BridgeOptions {
+  /**
+   * Origin of the other side, e.g. 'https://app.example'. Required when
+   * port is a window: messages are read only from that window and origin,
+   * and posted to that origin only.
+   */
+  origin?: string;
+}
+
+/**
+ * Options for connectStore().
+ */
+export interface ConnectStoreOptions extends BridgeOptions {
+  /** Milliseconds to wait for the owner's snapshot (default 5000, Infinity waits for good) */
+  timeout?: number;
+}
+
+/**
+ * Share a store over a postMessage endpoint, as its owner. The other side
+ * connects with connectStore(); its writes are applied to this store.
+ * Expose once per port to share with several copies.
+ *
+ * @param store - Reactive store created with state()
+ * @param port - Endpoint the copy connects over
+ * @param options - origin, when port is a window
+ * @returns Dispose function — stops sending and applying
+ *
+ * @example
+ * ```typescript
+ * // worker.js
+ * import { state } from 'lume-js/state';
+ * import { exposeStore } from 'lume-js/addons';
+ *
+ * exposeStore(state({ results: [], query: '' }), self);
+ * ```
+ */
+export function exposeStore(
+  store: ReactiveState<any>,
+  port: MessageEndpoint | Window,
+  options?: BridgeOptions
+): Unsubscribe;
+
+/**
+ * Connect to a store exposed on the other side of port. Resolves once the
+ * owner's snapshot arrives, with a deep-mode copy that follows the owner
+ * and sends its own writes to it. Changes travel as `changes()`
+ * operations, one message per tick. Rejects when no snapshot arrives
+ * within the timeout.
+ *
+ * @param port - Endpoint to the owner
+ * @param options - origin, when port is a window, and timeout
+ *
+ * @example
+ * ```typescript
+ * import { bindDom } from 'lume-js';
+ * import { connectStore } from 'lume-js/addons';
+ *
+ * const { store, dispose } = await connectStore(new Worker('worker.js', { type: 'module' }));
+ * bindDom(document.body, store);
+ * ```
+ */
+export function connectStore<T extends object = Record<string, any>>(
+  port: MessageEndpoint | Window,
+  options?: ConnectStoreOptions
+): Promise<{ store: ReactiveState<T>; dispose: Unsubscribe }>;
+
+/**
+ * What inspect() reports about a store.
+ */
+export interface StoreSnapshot {
+  /** Own keys, without the $-API */
+  keys: string[];
+  /** Key → number of $subscribe callbacks */
+  subscribers: Record<string, number>;
+  /** Key → number of effect subscriptions */
+  effects: Record<string, number>;
+  /** Number of $subscribe('*') callbacks */
+  changeFeed: number;
+  /** Number of $beforeFlush hooks */
+  beforeFlush: number;
+  /** Key → value written since the last flush (observed keys only) */
+  pending: Record<string, unknown>;
+  /** True once $dispose() has run */
+  disposed: boolean;
+}
+
+/**
+ * Add a store to the page-wide registry, for devtools and tests. The
+ * registry is shared by every lume-js copy on the page. A second store
+ * under a taken name replaces the first, with a warning.
+ *
+ * @param name - Name shown by tools
+ * @param store - Reactive store created with state()
+ * @returns Unregister function
+ *
+ * @example
+ * ```typescript
+ * import { registerStore } from 'lume-js/addons';
+ *
+ * const cart = state({ items: [] });
+ * registerStore('cart', cart);
+ * ```
+ */
+export function registerStore(name: string, store: ReactiveState<any>): Unsubscribe;
+
+/**
+ * The registered stores, by name (a copy).
+ */
+export function registeredStores(): Map<string, ReactiveState<any>>;
+
+/**
+ * Snapshot of a store's keys, listener counts, beforeFlush hooks and
+ * pending writes. Adds no dependency when called inside an effect.
+ *
+ * @param store - Reactive store, or a readonly()/withPlugins() view of one
+ *
+ * @example
+ * ```typescript
+ * import { inspect } from 'lume-js/addons';
+ *
+ * expect(inspect(store).subscribers).toEqual({}); // no leaked subscriptions
+ * ```
+ */
+export function inspect(store: object): StoreSnapshot;
@@ -8,6 +8,16 @@ export { withPlugins } from "./withPlugins.js";
 export { createCleanupGroup } from "./cleanupGroup.js";
 export { hydrateState } from "./hydrateState.js";
 export { persist } from "./persist.js";
+export { list } from "./list.js";
+export { reactiveMap, reactiveSet } from "./collections.js";
+export { history } from "./history.js";
+export { readonly } from "./readonly.js";
+export { shallowEqual, deepEqual } from "./equality.js";
+export { schema } from "./schema.js";
+export { changes, applyPatch } from "./jsonPatch.js";
+export { syncTabs } from "./syncTabs.js";
+export { exposeStore, connectStore } from "./bridge.js";
+export { registerStore, registeredStores, inspect } from "./inspect.js";
 
 /**
  * Returns true if the value is a Lume reactive proxy created by state().
@@ -0,0 +1,100 @@
+/**
+ * Lume-JS Inspect Addon
+ *
+ * Introspection for devtools and tests: a page-wide registry of named
+ * stores, and inspect(store) for what a store holds and who listens.
+ *
+ * Usage:
+ *   import { state, effect } from "lume-js";
+ *   import { registerStore, registeredStores, inspect } from "lume-js/addons";
+ *
+ *   const cart = state({ items: [], coupon: '' });
+ *   registerStore('cart', cart);
+ *   effect(() => render(cart.items));
+ *
+ *   // Later, from a console or a test
+ *   for (const [name, store] of registeredStores()) console.log(name, inspect(store));
+ *   // cart { keys: ['items', 'coupon'], subscribers: {}, effects: { items: 1 }, … }
+ *
+ * Behavior:
+ * - The registry is opt-in: only stores passed to registerStore() are in it.
+ *   It lives on globalThis under a Symbol.for() key, so copies of lume-js
+ *   on one page (a CDN build next to a bundle) share it.
+ * - Registering a second store under a taken name replaces the first, with
+ *   a warning. The returned function unregisters (if still registered).
+ * - The registry holds its stores until they are unregistered.
+ * - inspect() reads counts and pending values without subscribing: calling
+ *   it inside an effect adds no dependency. It works through readonly()
+ *   views and withPlugins() wrappers.
+ *
+ * @module addons/inspect
+ */
+
+import { REACTIVE_BRAND, INSPECT } from '../core/state.js';
+import { logWarn } from '../utils/log.js';
+
+const REGISTRY = Symbol.for('lume.stores');
+
+const isStore = (value) => !!value && typeof value === 'object' && REACTIVE_BRAND in value;
+
+/**
+ * Add a store to the page-wide registry under name.
+ *
+ * @param {string} name - Name shown by tools; unique per page
+ * @param {object} store - Reactive store created with state()
+ * @returns {function} Unregister function
+ */
+export function registerStore(name, store) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('[Lume.js] registerStore() requires a non-empty name');
+  }
+  if (!isStore(store)) {
+    throw new Error('[Lume.js] registerStore() requires a reactive store from state()');
+  }
+
+  const stores = (globalThis[REGISTRY] ??= new Map());
+  if (stores.has(name) && stores.get(name) !== store) {
+    logWarn(`[Lume.js] registerStore(): replacing the store registered as "${name}"`);
+  }
+  stores.set(name, store);
+
+  return () => {
+    if (stores.get(name) === store) stores.delete(name);
+  };
+}
+
+/**
+ * The registered stores, by name.
+ *
+ * @returns {Map<string, object>} A copy — changing it changes nothing
+ */
+export function registeredStores() {
+  return new Map(globalThis[REGISTRY]);
+}
+
+/**
+ * Snapshot of a store: its keys, listener counts and pending writes.
+ *
+ * @param {object} store - Reactive store (or a readonly()/withPlugins() view)
+ * @returns {{
+ *   keys: string[],
+ *   subscribers: Object<string, number>,
+ *   effects: Object<string, number>,
+ *   changeFeed: number,
+ *   beforeFlush: number,
+ *   pending: object,
+ *   disposed: boolean
+ * }} subscribers and effects count $subscribe callbacks and effect
+ *   subscriptions per key; changeFeed counts $subscribe('*') callbacks;
+ *   pending maps each key written since the last flush to its new value
+ */
+export function inspect(store) {
+  // Read the descriptor, not the property: a get would be a tracked read
+  const describe = store && typeof store === 'object'
+    ? Object.getOwnPropertyDescriptor(store, INSPECT)?.value
+    : undefined;
+  if (typeof describe !== 'function') {
+    throw new Error('[Lume.js] inspect() requires a reactive store from state()');
+  }
+  return describe();
+}
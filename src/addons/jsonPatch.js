@@ -0,0 +1,219 @@
+/**
+ * Lume-JS JSON Patch Addon
+ *
+ * RFC 6902 JSON Patch for stores, both ways: changes() reports a store's
+ * writes as operations, applyPatch() applies operations to a store.
+ *
+ * Usage:
+ *   import { state } from "lume-js";
+ *   import { changes, applyPatch } from "lume-js/addons";
+ *
+ *   const store = state({ user: state({ name: '' }), tags: [] });
+ *
+ *   changes(store, ops => socket.send(JSON.stringify(ops)));
+ *   socket.onmessage = e => applyPatch(store, JSON.parse(e.data));
+ *
+ *   applyPatch(store, [
+ *     { op: 'replace', path: '/user/name', value: 'Ada' },
+ *     { op: 'add', path: '/tags/-', value: 'admin' },
+ *     { op: 'add', path: '/settings/theme', value: 'dark' }, // creates settings
+ *   ]);
+ *
+ * changes() is built on the change feed ($subscribe('*')) of the store and
+ * of each store nested in it; see changes.js.
+ *
+ * applyPatch() behavior:
+ * - Supported ops: add, remove, replace. Paths are JSON Pointers; "-"
+ *   appends to an array.
+ * - Atomic: every op is first checked on copies of the containers along
+ *   its path, and nothing is written unless all of them apply. The writes
+ *   then run in a transaction(); subscribers see them in one flush.
+ * - Writes go through the proxies, so subscribers, effects and bindings
+ *   fire once, in one flush.
+ * - Stores and list()s are changed in place. Plain arrays and objects
+ *   inside a store are copied with the change and written back, so the
+ *   holding key notifies.
+ * - add creates missing intermediate objects as nested stores.
+ * - Paths through __proto__, constructor or prototype, and into a store's
+ *   $-keys, are rejected.
+ *
+ * @module addons/jsonPatch
+ */
+
+import { state, REACTIVE_BRAND, MUTABLE, BLOCKED_KEYS } from '../core/state.js';
+import { transaction } from '../core/transaction.js';
+import { watchChanges } from './changes.js';
+
+const OPS = ['add', 'remove', 'replace'];
+
+const isStore = (value) => !!value && typeof value === 'object' && REACTIVE_BRAND in value;
+
+// Changed in place: stores, and values announcing their own mutations (list())
+const isLive = (value) => isStore(value) || typeof value[MUTABLE] === 'function';
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function fail(message) {
+  throw new Error(`[Lume.js] applyPatch(): ${message}`);
+}
+
+/** JSON Pointer → unescaped segments, rejecting blocked keys. */
+function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('/')) fail(`invalid path "${path}"`);
+  const segments = path.slice(1).split('/').map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  for (const segment of segments) {
+    if (BLOCKED_KEYS.has(segment)) fail(`blocked key "${segment}" in path "${path}"`);
+  }
+  return segments;
+}
+
+function arrayIndex(array, key, op, path) {
+  if (key === '-' && op === 'add') return array.length;
+  const max = op === 'add' ? array.length : array.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > max) fail(`no index "${key}" at "${path}"`);
+  return Number(key);
+}
+
+/** Apply one op to the last container of its path (a store, list or copy). */
+function change(container, key, { op, value, path }) {
+  if (Array.isArray(container)) {
+    const index = arrayIndex(container, key, op, path);
+    if (op === 'add') container.splice(index, 0, value);
+    else if (op === 'remove') container.splice(index, 1);
+    else container[index] = value;
+    return;
+  }
+  if (op !== 'add' && !Object.prototype.hasOwnProperty.call(container, key)) {
+    fail(`nothing to ${op} at "${path}"`);
+  }
+  if (op === 'remove') delete container[key];
+  else container[key] = value;
+}
+
+/**
+ * Walk segments[i..] below node and apply the op at the end. Returns what
+ * the parent should hold: node itself if it was changed in place, or a
+ * changed copy.
+ *
+ * dry is set for the check run: { copies, stores }, the containers it
+ * copied, and which of them stand for a store. Nothing live is touched.
+ */
+function writeIn(node, segments, i, operation, dry) {
+  const key = segments[i];
+  if ((isStore(node) || dry?.stores.has(node)) && key.startsWith('$')) {
+    fail(`blocked key "${key}" in path "${operation.path}"`);
+  }
+  const target = dry ? dryCopy(node, operation.path, dry) : editable(node, operation.path);
+
+  if (i === segments.length - 1) {
+    change(target, key, operation);
+    return target;
+  }
+
+  const current = Array.isArray(node) ? node[arrayIndex(node, key, 'replace', operation.path)] : node[key];
+  const next = writeIn(childOf(node, current, operation, dry), segments, i + 1, operation, dry);
+  if (next !== current) target[key] = next;
+  return target;
+}
+
+/** node itself if it changes in place, else a copy to change. */
+function editable(node, path) {
+  return isLive(node) ? node : copyOf(node, path);
+}
+
+/** Plain copy of an array (a list() too) or plain object. */
+function copyOf(node, path) {
+  if (Array.isArray(node)) return Array.from(node);
+  if (isPlainObject(node)) return { ...node };
+  return fail(`can't patch inside the value at "${path}"`);
+}
+
+/** Check run: a plain copy of node (once per container) to change instead. */
+function dryCopy(node, path, dry) {
+  if (dry.copies.has(node)) return node;
+  let copy;
+  if (isStore(node)) {
+    copy = {};
+    for (const key of Object.keys(node)) {
+      if (!key.startsWith('$')) copy[key] = node[key];
+    }
+    dry.stores.add(copy);
+  } else {
+    copy = copyOf(node, path);
+  }
+  dry.copies.add(copy);
+  return copy;
+}
+
+/** The container to descend into: current, or a new store for add. */
+function childOf(node, current, operation, dry) {
+  if (current && typeof current === 'object') return current;
+  if (current === undefined && operation.op === 'add' && !Array.isArray(node)) {
+    if (!dry) return state({});
+    const created = {};
+    dry.copies.add(created);
+    dry.stores.add(created);
+    return created;
+  }
+  return fail(`"${operation.path}" does not exist`);
+}
+
+function checkOp(operation) {
+  if (!operation || typeof operation !== 'object' || !OPS.includes(operation.op)) {
+    fail(`unsupported operation ${JSON.stringify(operation?.op)} (use add, remove or replace)`);
+  }
+  if (operation.op !== 'remove' && !('value' in operation)) {
+    fail(`"${operation.op}" at "${operation.path}" needs a value`);
+  }
+}
+
+/**
+ * Subscribe to the changes of store and its nested stores as JSON Patch
+ * operations (add / replace / remove, with JSON Pointer paths), one array
+ * per flush of a store.
+ *
+ * @param {object} store - Reactive store created with state()
+ * @param {function(Array<{op: string, path: string, value?: *}>): void} fn
+ * @returns {function} Unsubscribe (also from every nested store)
+ * @throws {Error} If store is not a store or fn is not a function
+ */
+export function changes(store, fn) {
+  if (!isStore(store)) {
+    throw new Error('[Lume.js] changes() requires a reactive store from state()');
+  }
+  return watchChanges(store, fn);
+}
+
+/**
+ * Apply a JSON Patch to a store, atomically.
+ *
+ * @param {object} store - Reactive store created with state()
+ * @param {Array<{op: string, path: string, value?: *}>} ops - RFC 6902 ops
+ *   (add, remove, replace)
+ * @throws {Error} If an op is invalid or its path can't be applied — before
+ *   anything is written
+ */
+export function applyPatch(store, ops) {
+  if (!isStore(store)) {
+    throw new Error('[Lume.js] applyPatch() requires a reactive store from state()');
+  }
+  if (!Array.isArray(ops)) fail('ops must be an array');
+
+  // Check run on copies first: a list() changed in place could not be
+  // rolled back by the transaction
+  const dry = { copies: new WeakSet(), stores: new WeakSet() };
+  let root = store;
+  for (const operation of ops) {
+    checkOp(operation);
+    root = writeIn(root, parsePath(operation.path), 0, operation, dry);
+  }
+
+  transaction(() => {
+    for (const operation of ops) {
+      writeIn(store, parsePath(operation.path), 0, operation);
+    }
+  });
+}
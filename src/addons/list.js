@@ -0,0 +1,215 @@
+/**
+ * Lume-JS Reactive List Addon
+ *
+ * A mutation-aware array: in-place mutations (push, splice, index writes…)
+ * are reactive, and every mutation is also described by change records
+ * that consumers such as repeat() apply directly instead of re-diffing.
+ *
+ * Usage:
+ *   import { state } from "lume-js";
+ *   import { list, repeat } from "lume-js/addons";
+ *
+ *   const store = state({ todos: list([]) });
+ *   repeat('#todos', store, 'todos', { key: t => t.id, template: true });
+ *
+ *   store.todos.push({ id: 1, text: 'Ship it' }); // subscribers of 'todos' fire
+ *
+ * Behavior:
+ * - A list held by a store announces each mutation to that store, which
+ *   notifies subscribers and effects of the key like a normal write (the
+ *   reference is unchanged, so Object.is would otherwise skip it).
+ * - Reads (indexes, length, iteration, array methods) made inside effect()
+ *   are tracked on the list itself too, so a standalone list works.
+ * - $observe(fn) delivers change records synchronously, one array per
+ *   mutating call:
+ *     { type: 'insert',  index, value }
+ *     { type: 'remove',  index, value }
+ *     { type: 'replace', index, value, oldValue }
+ *     { type: 'move',    from, to }        (list.move(from, to))
+ *     { type: 'reset' }                    (sort, reverse, fill, copyWithin,
+ *                                           sparse writes — re-read it all)
+ *   Records apply in order: each index refers to the list as left by the
+ *   records before it.
+ *
+ * @module addons/list
+ */
+
+import { state, MUTABLE } from '../core/state.js';
+import { logError } from '../utils/log.js';
+
+/** Canonical array index for a property key, or -1. */
+function toIndex(key) {
+  if (typeof key !== 'string') return -1;
+  const n = Number(key);
+  return Number.isInteger(n) && n >= 0 && String(n) === key ? n : -1;
+}
+
+/** Relative start argument of splice() → absolute index in [0, len]. */
+function clampStart(start, len) {
+  const n = Math.trunc(Number(start)) || 0;
+  return n < 0 ? Math.max(len + n, 0) : Math.min(n, len);
+}
+
+/** splice()'s deleteCount semantics: omitted → to the end, else clamped. */
+function clampCount(args, at, len) {
+  if (args.length === 0) return 0;
+  if (args.length === 1) return len - at;
+  return Math.min(Math.max(Math.trunc(Number(args[1])) || 0, 0), len - at);
+}
+
+const reset = () => [{ type: 'reset' }];
+
+/**
+ * Create a reactive list.
+ *
+ * @param {Array} [items=[]] - Initial items. The array is used as the
+ *   list's backing store (like state() uses its object) — mutate it only
+ *   through the returned proxy.
+ * @returns {Proxy} Array proxy with reactive mutators, move(from, to) and
+ *   $observe(fn)
+ */
+export function list(items = []) {
+  if (!Array.isArray(items)) {
+    throw new Error('[Lume.js] list() requires an array');
+  }
+
+  // Standalone read tracking: every read touches version.v, every mutation
+  // bumps it. The counter lives outside the store so bumping never reads
+  // (a read inside an effect would make the effect depend on its own write).
+  const version = state({ v: 0 });
+  let counter = 0;
+  const owners = new Set();
+  const observers = new Set();
+
+  // Observers first: they see the records before any owner's flush can
+  // run (a consumer may need to inspect them against its last render).
+  function emit(records) {
+    for (const fn of observers) {
+      try {
+        fn(records);
+      } catch (err) {
+        logError('[Lume.js list] Error in $observe callback:', err);
+      }
+    }
+    version.v = ++counter;
+    for (const notify of owners) notify();
+  }
+
+  /**
+   * splice() on the backing array, described as removes then inserts.
+   * The other length-changing mutators are expressed through it.
+   */
+  function splice(...args) {
+    const len = items.length;
+    const at = clampStart(args[0], len);
+    const inserted = args.slice(2);
+    const removed = items.splice(at, clampCount(args, at, len), ...inserted);
+    if (removed.length === 0 && inserted.length === 0) return removed;
+
+    const records = [];
+    for (const value of removed) records.push({ type: 'remove', index: at, value });
+    for (let i = 0; i < inserted.length; i++) {
+      records.push({ type: 'insert', index: at + i, value: inserted[i] });
+    }
+    emit(records);
+    return removed;
+  }
+
+  // Whole-array rewrites: run natively on the backing array, then reset
+  const rewrite = (method) => (...args) => {
+    items[method](...args);
+    emit(reset());
+    return proxy;
+  };
+
+  const methods = {
+    splice,
+    push: (...values) => {
+      splice(items.length, 0, ...values);
+      return items.length;
+    },
+    pop: () => splice(items.length - 1, 1)[0],
+    shift: () => splice(0, 1)[0],
+    unshift: (...values) => {
+      splice(0, 0, ...values);
+      return items.length;
+    },
+    sort: rewrite('sort'),
+    reverse: rewrite('reverse'),
+    fill: rewrite('fill'),
+    copyWithin: rewrite('copyWithin'),
+    move(from, to) {
+      const len = items.length;
+      const inRange = (i) => Number.isInteger(i) && i >= 0 && i < len;
+      if (!inRange(from) || !inRange(to)) {
+        throw new RangeError(`[Lume.js] list.move(): index out of range (${from} → ${to}, length ${len})`);
+      }
+      if (from === to) return;
+      const [item] = items.splice(from, 1);
+      items.splice(to, 0, item);
+      emit([{ type: 'move', from, to }]);
+    },
+    $observe(fn) {
+      if (typeof fn !== 'function') {
+        throw new Error('$observe requires a function');
+      }
+      observers.add(fn);
+      return () => { observers.delete(fn); };
+    },
+  };
+
+  // MUTABLE protocol: a store holding this list treats mutations as writes
+  const attachOwner = (notify) => {
+    owners.add(notify);
+    return () => { owners.delete(notify); };
+  };
+
+  function setLength(length) {
+    const len = items.length;
+    if (length >= len) {
+      items.length = length;
+      if (length > len) emit(reset());
+      return;
+    }
+    splice(length, len - length);
+  }
+
+  const proxy = new Proxy(items, {
+    get(target, key) {
+      if (key === MUTABLE) return attachOwner;
+      if (typeof key === 'string' && Object.prototype.hasOwnProperty.call(methods, key)) {
+        return methods[key];
+      }
+      void version.v; // tracked read
+      return target[key];
+    },
+
+    set(target, key, value) {
+      if (key === 'length') {
+        setLength(value);
+        return true;
+      }
+      const index = toIndex(key);
+      const len = target.length;
+      const oldValue = target[key];
+      // Non-index keys, and unchanged in-range slots, are plain writes
+      if (index === -1 || (index < len && Object.is(oldValue, value))) {
+        target[key] = value;
+        return true;
+      }
+      target[index] = value;
+      if (index < len) emit([{ type: 'replace', index, value, oldValue }]);
+      else emit(index === len ? [{ type: 'insert', index, value }] : reset());
+      return true;
+    },
+
+    deleteProperty(target, key) {
+      const index = toIndex(key);
+      delete target[key];
+      if (index !== -1 && index < target.length) emit(reset());
+      return true;
+    },
+  });
+
+  return proxy;
+}
@@ -0,0 +1,150 @@
+/**
+ * Lume-JS Read-only Addon
+ *
+ * A view of a store for code that should observe it but never write:
+ * third-party widgets, sub-modules, devtools panels.
+ *
+ * Usage:
+ *   import { state, effect, bindDom } from "lume-js";
+ *   import { readonly } from "lume-js/addons";
+ *
+ *   const store = state({ user: state({ name: 'Ada' }), count: 0 });
+ *   const view = readonly(store);
+ *
+ *   effect(() => console.log(view.count)); // tracked like store.count
+ *   view.count = 1;       // warning, ignored
+ *   view.user.name = 'x'; // warning, ignored — nested stores are read-only too
+ *   bindDom(widgetRoot, view); // inputs show values, never write back
+ *
+ * Behavior:
+ * - Reads go through the store, so effect() and computed() track them.
+ * - Nested stores are returned as read-only views (one view per store).
+ *   So are list(), reactiveMap() and reactiveSet() values (anything
+ *   speaking the MUTABLE protocol): reads and $observe work, mutators
+ *   (push, splice, set, add, delete, clear, …) warn instead of running.
+ *   Their items are returned as they are.
+ * - $subscribe works (including '*'); values it delivers are wrapped too.
+ *   So does changes() (its values are plain copies), and $peek (its
+ *   value wrapped). Every other $-method ($patch, $reset, $beforeFlush, …) warns instead
+ *   of running. $-data ($initial, a schema store's $errors) reads through.
+ * - Writes, deletes and defineProperty warn and change nothing.
+ * - isReactive() is true for a view; bindDom binds it one-way.
+ *
+ * A view is not a security boundary: it guards against mistakes, and the
+ * store itself stays writable for whoever holds it.
+ *
+ * @module addons/readonly
+ */
+
+import { REACTIVE_BRAND, READONLY, MUTABLE } from '../core/state.js';
+import { logWarn } from '../utils/log.js';
+
+// store (or MUTABLE value) → its view, so one value always yields the same view
+const views = new WeakMap();
+
+// In-place mutators of list(), reactiveMap() and reactiveSet()
+const MUTATORS = new Set([
+  'push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin', 'move',
+  'set', 'add', 'delete', 'clear',
+]);
+
+const isStore = (value) => !!value && typeof value === 'object' && REACTIVE_BRAND in value;
+
+// Reading value[MUTABLE] is not a tracked read (list() answers it first)
+const isMutable = (value) => !!value && typeof value === 'object' && typeof value[MUTABLE] === 'function';
+
+function wrap(value) {
+  if (isStore(value)) return readonly(value);
+  return isMutable(value) ? readonlyValue(value) : value;
+}
+
+function reject(action) {
+  logWarn(`[Lume.js readonly] ${action} ignored: this is a read-only view of the store`);
+}
+
+// Traps shared by store and value views: every change is refused
+const refuse = {
+  set(target, key) {
+    reject(`Write to "${String(key)}"`);
+    return true;
+  },
+
+  deleteProperty(target, key) {
+    reject(`Delete of "${String(key)}"`);
+    return true;
+  },
+
+  defineProperty(target, key) {
+    reject(`defineProperty("${String(key)}")`);
+    return true;
+  },
+};
+
+/** Read-only view of a MUTABLE value: reads go through, mutators warn. */
+function readonlyValue(value) {
+  const cached = views.get(value);
+  if (cached) return cached;
+
+  const view = new Proxy(value, {
+    get(target, key) {
+      const member = target[key];
+      if (MUTATORS.has(key) && typeof member === 'function') return () => reject(`${key}()`);
+      return member;
+    },
+    ...refuse,
+  });
+
+  views.set(value, view);
+  return view;
+}
+
+/** $subscribe that hands the subscriber wrapped values. */
+function subscribeThrough(store) {
+  return (key, fn) => {
+    if (typeof fn !== 'function') return store.$subscribe(key, fn); // same error
+    if (key === '*') {
+      return store.$subscribe('*', (changes) => fn(changes.map(({ key: k, value, oldValue }) =>
+        ({ key: k, value: wrap(value), oldValue: wrap(oldValue) }))));
+    }
+    return store.$subscribe(key, (value) => fn(wrap(value)));
+  };
+}
+
+/**
+ * Create a read-only view of a store.
+ *
+ * @param {object} store - Reactive store created with state() (or a view)
+ * @returns {Proxy} View that forwards reads and rejects writes
+ */
+export function readonly(store) {
+  if (!isStore(store)) {
+    throw new Error('[Lume.js] readonly() requires a reactive store from state()');
+  }
+  if (READONLY in store) return store;
+
+  const cached = views.get(store);
+  if (cached) return cached;
+
+  const $subscribe = subscribeThrough(store);
+
+  const view = new Proxy(store, {
+    get(target, key) {
+      if (key === READONLY) return true;
+      if (key === '$subscribe') return $subscribe;
+      if (key === '$peek') return (peekKey) => wrap(target.$peek(peekKey));
+      if (typeof key === 'string' && key.startsWith('$')) {
+        return typeof target[key] === 'function' ? () => reject(`${key}()`) : wrap(target[key]);
+      }
+      return wrap(target[key]);
+    },
+
+    has(target, key) {
+      return key === READONLY || key in target;
+    },
+
+    ...refuse,
+  });
+
+  views.set(store, view);
+  return view;
+}
@@ -17,9 +17,12 @@
  * - Set to null/false to disable, or provide custom functions
  * - Export utilities so you can wrap/extend them
  *
- * ⚠️ IMPORTANT: Arrays must be updated immutably!
+ * ⚠️ IMPORTANT: Plain arrays must be updated immutably!
  * store.items.push(x)      // ❌ Won't trigger update
  * store.items = [...items] // ✅ Triggers update
+ * Or hold a list() (see addons/list.js): store.items.push(x) then works,
+ * and appends/removals skip the reorder pass entirely. A Map or Set
+ * (e.g. reactiveMap/reactiveSet) renders its values.
  * 
  * ═══════════════════════════════════════════════════════════════════════
  * PATTERN 0: Template-based (recommended) — declarative, zero DOM code
@@ -112,6 +115,7 @@
  */
 import { logWarn, logError } from '../utils/log.js';
 import { applyBindValue } from '../core/bindDom.js';
+import { getCurrentScope, onScopeDispose } from '../core/state.js';
 
 /**
  * Mark the longest increasing subsequence over the previous positions of
@@ -221,6 +225,14 @@ function applyItemBindings(bindings, item, index) {
   }
 }
 
+/**
+ * Rows of a Map or Set (reactiveMap/reactiveSet included) are its values,
+ * in insertion order. Anything else is returned as-is.
+ */
+function toItems(value) {
+  return value instanceof Map || value instanceof Set ? Array.from(value.values()) : value;
+}
+
 /**
  * Default focus preservation strategy
  * Saves activeElement and selection state before DOM updates
@@ -307,7 +319,7 @@ export function defaultScrollPreservation(container, context = {}) {
  * 
  * @param {string|HTMLElement} container - Container element or selector
  * @param {Object} store - Reactive state object
- * @param {string} arrayKey - Key in store containing the array
+ * @param {string} arrayKey - Key in store containing the array (or a Map/Set, whose values are rendered)
  * @param {Object} options - Configuration
  * @param {Function} options.key - Function to extract unique key: (item) => key
  * @param {Function} [options.render] - Function to render item (called for all items): (item, element, index) => void
@@ -373,6 +385,36 @@ export function repeat(container, store, arrayKey, options) {
   const bindingsByKey = new Map();
   const seenKeys = new Set();
 
+  // list() support: while every change record since the last render keeps
+  // the rendered rows in their relative order, updateList only has to slot
+  // new rows in — no longest-increasing-subsequence pass.
+  let observedList = null;
+  let unobserveList = null;
+  let inOrder = false;
+
+  // Removals never reorder survivors; an insert (or a replace that changes
+  // the key) does only if its key is already rendered — that row would move.
+  function keepsOrder(record) {
+    if (record.type === 'remove') return true;
+    if (record.type !== 'insert' && record.type !== 'replace') return false;
+    const k = key(record.value);
+    if (record.type === 'replace' && k === key(record.oldValue)) return true;
+    return !elementsByKey.has(k);
+  }
+
+  function observeList(items) {
+    if (items === observedList) return;
+    if (unobserveList) unobserveList();
+    observedList = items;
+    unobserveList = null;
+    inOrder = false;
+    if (typeof items.$observe === 'function') {
+      unobserveList = items.$observe((records) => {
+        if (inOrder && !records.every(keepsOrder)) inOrder = false;
+      });
+    }
+  }
+
   function createElement() {
     if (templateRoot) return templateRoot.cloneNode(true);
     return typeof element === 'function'
@@ -440,6 +482,17 @@ export function repeat(container, store, arrayKey, options) {
     }
   }
 
+  // Fast path for in-order updates: survivors are already placed, so walk
+  // end to start and insert only the rows not yet in the container.
+  function insertNewRows(nextEls) {
+    let anchor = null;
+    for (let i = nextEls.length - 1; i >= 0; i--) {
+      const el = nextEls[i];
+      if (el.parentNode !== containerEl) containerEl.insertBefore(el, anchor);
+      anchor = el;
+    }
+  }
+
   function applyPreservation(container, fn, isReorder) {
     const shouldPreserve = document.body.contains(container);
     const restoreFocus = shouldPreserve && preserveFocus ? preserveFocus(container) : null;
@@ -453,12 +506,13 @@ export function repeat(container, store, arrayKey, options) {
 
   // eslint-disable-next-line sonarjs/cognitive-complexity -- keyed DOM reconciliation: create/reuse/remove nodes, key dedup, scroll/focus preservation
   function updateList() {
-    const items = store[arrayKey];
+    const items = toItems(store[arrayKey]);
 
     if (!Array.isArray(items)) {
-      logWarn(`[Lume.js] repeat(): store.${arrayKey} is not an array`);
+      logWarn(`[Lume.js] repeat(): store.${arrayKey} is not an array, Map or Set`);
       return;
     }
+    observeList(items);
 
     // Only compute isReorder if scroll preservation needs it.
     // Uses elementsByKey (previous state) and items directly — no Set allocations.
@@ -472,6 +526,7 @@ export function repeat(container, store, arrayKey, options) {
 
     seenKeys.clear();
     const nextEls = [];
+    let hasDuplicates = false;
 
     // Build ordered list of DOM nodes (created or reused)
     for (let i = 0; i < items.length; i++) {
@@ -480,6 +535,7 @@ export function repeat(container, store, arrayKey, options) {
 
       if (seenKeys.has(k)) {
         logWarn(`[Lume.js] repeat(): duplicate key "${k}"`);
+        hasDuplicates = true;
         continue;
       }
       seenKeys.add(k);
@@ -534,9 +590,13 @@ export function repeat(container, store, arrayKey, options) {
       nextEls.push(el);
     }
 
+    // Duplicates: which occurrence owns a key can shift, moving its row
+    const fastPath = inOrder && !hasDuplicates;
+    inOrder = unobserveList !== null;
     // eslint-disable-next-line sonarjs/cognitive-complexity -- DOM cleanup pass: remove stale nodes, call per-item cleanup callbacks, update maps
     applyPreservation(containerEl, () => {
-      reconcileDOM(containerEl, nextEls);
+      if (fastPath) insertNewRows(nextEls);
+      else reconcileDOM(containerEl, nextEls);
 
       // Clean maps: remove keys not in seenKeys (new state)
       if (elementsByKey.size !== seenKeys.size) {
@@ -544,6 +604,9 @@ export function repeat(container, store, arrayKey, options) {
           if (!seenKeys.has(k)) {
             const el = elementsByKey.get(k);
             const prevItem = prevItemsByKey.get(k);
+            // Detached before the callbacks run, as reconcileDOM() does:
+            // the fast path leaves stale rows in place
+            if (el.parentNode === containerEl) containerEl.removeChild(el);
             // Call create-returned cleanup first, then remove callback
             const cleanup = cleanupByKey.get(k);
             if (typeof cleanup === 'function') {
@@ -567,53 +630,10 @@ export function repeat(container, store, arrayKey, options) {
     }, isReorder);
   }
 
-  // Subscription — $subscribe calls updateList immediately (initial render),
-  // so no separate updateList() call is needed for reactive stores.
-  let unsubscribe;
-  if (typeof store.$subscribe === 'function') {
-    unsubscribe = store.$subscribe(arrayKey, updateList);
-  } else if (typeof store.subscribe === 'function') {
-    // Generic subscribe (e.g. computed) — subscribe first, then initial render
-    const subResult = store.subscribe(() => updateList());
-    updateList();
-    // Normalize both function-style and object-style (RxJS Subscription) returns
-    unsubscribe = typeof subResult === 'function'
-      ? subResult
-      : () => { subResult?.unsubscribe?.(); };
-  } else {
-    // Non-reactive store — render once and return cleanup
-    updateList();
-    logWarn('[Lume.js] repeat(): store is not reactive (no $subscribe or subscribe method)');
-    return () => {
-      for (const [k, el] of elementsByKey) {
-        const prevItem = prevItemsByKey.get(k);
-        const cleanup = cleanupByKey.get(k);
-        if (typeof cleanup === 'function') {
-          try {
-            cleanup();
-          } catch (err) {
-            logError(`[Lume.js] repeat(): cleanup error for key "${k}":`, err);
-          }
-        }
-        if (typeof remove === 'function') {
-          remove(prevItem, el);
-        }
-      }
-      clearContainer();
-      elementsByKey.clear();
-      prevItemsByKey.clear();
-      prevIndexByKey.clear();
-      cleanupByKey.clear();
-      bindingsByKey.clear();
-      seenKeys.clear();
-    };
-  }
-
-  return () => {
-    if (typeof unsubscribe === 'function') {
-      unsubscribe();
-    }
-    // Invoke cleanup and remove callback for all remaining elements before clearing
+  // Invoke cleanup and remove callback for all remaining elements, then clear
+  function teardown() {
+    if (unobserveList) unobserveList();
+    observedList = unobserveList = null;
     for (const [k, el] of elementsByKey) {
       const prevItem = prevItemsByKey.get(k);
       const cleanup = cleanupByKey.get(k);
@@ -636,5 +656,33 @@ export function repeat(container, store, arrayKey, options) {
     cleanupByKey.clear();
     bindingsByKey.clear();
     seenKeys.clear();
+  }
+
+  // Subscription — $subscribe calls updateList immediately (initial render),
+  // so no separate updateList() call is needed for reactive stores.
+  let unsubscribe;
+  if (typeof store.$subscribe === 'function') {
+    unsubscribe = store.$subscribe(arrayKey, updateList);
+  } else if (typeof store.subscribe === 'function') {
+    // Generic subscribe (e.g. computed) — subscribe first, then initial render
+    const subResult = store.subscribe(() => updateList());
+    updateList();
+    // Normalize both function-style and object-style (RxJS Subscription) returns
+    unsubscribe = typeof subResult === 'function'
+      ? subResult
+      : () => { subResult?.unsubscribe?.(); };
+  } else {
+    // Non-reactive store — render once and return cleanup
+    updateList();
+    logWarn('[Lume.js] repeat(): store is not reactive (no $subscribe or subscribe method)');
+  }
+
+  const cleanup = () => {
+    if (typeof unsubscribe === 'function') {
+      unsubscribe();
+    }
+    teardown();
   };
+  // Inside effectScope(): stopping the scope removes the list
+  return getCurrentScope() ? onScopeDispose(cleanup) : cleanup;
 }
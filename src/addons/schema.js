@@ -0,0 +1,138 @@
+/**
+ * Lume-JS Store Schemas
+ *
+ * Write guards for state(obj, { schema }). A schema maps keys to
+ * lightweight rules; every write to a schema key is checked in the store's
+ * set trap, and the result lands in the store's reactive $errors map.
+ *
+ * Usage:
+ *   import { state } from "lume-js";
+ *   import { schema } from "lume-js/addons";
+ *
+ *   const form = state({ age: 0 }, {
+ *     schema: schema({ age: { type: 'number', min: 0 } }, { onInvalid: 'coerce' })
+ *   });
+ *
+ *   form.age = '42';  // → 42
+ *   form.age = -1;    // dropped; form.$errors.age === 'Must be at least 0'
+ *
+ * Rule fields (all optional):
+ *   type     - 'string' | 'number' | 'boolean' | 'object' | 'array'
+ *              (NaN is not a number)
+ *   enum     - Allowed values (compared with Object.is)
+ *   min/max  - Bounds for numbers; length bounds for strings and arrays
+ *   validate - (value) => true | false | string (a string is the message)
+ *
+ * Policies (onInvalid):
+ *   'reject' - Invalid writes are dropped; the key keeps its value (default)
+ *   'coerce' - Convert to the rule's type first ('42' → 42, 'true' → true,
+ *              7 → '7'); drop the write if it still fails
+ *   'keep'   - Write anyway; only $errors records the problem
+ *
+ * An addon, so that stores without a schema don't pay for it: state()
+ * only calls the guard factory it is given.
+ *
+ * @module addons/schema
+ */
+
+const TYPES = ['string', 'number', 'boolean', 'object', 'array'];
+const POLICIES = ['reject', 'coerce', 'keep'];
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null || Number.isNaN(value)) return 'invalid';
+  return typeof value;
+}
+
+// min/max measure numbers by value, strings and arrays by length
+function checkBounds(rule, value) {
+  const size = typeof value === 'number' ? value : value?.length;
+  if (typeof size !== 'number') return '';
+  if (rule.min !== undefined && size < rule.min) return `Must be at least ${rule.min}`;
+  if (rule.max !== undefined && size > rule.max) return `Must be at most ${rule.max}`;
+  return '';
+}
+
+/**
+ * Check a value against one rule.
+ *
+ * @param {object} rule
+ * @param {*} value
+ * @returns {string} Error message, '' when the value is valid
+ */
+function checkRule(rule, value) {
+  if (rule.type && typeOf(value) !== rule.type) return `Expected ${rule.type}`;
+  if (rule.enum && !rule.enum.some((allowed) => Object.is(allowed, value))) {
+    return `Must be one of: ${rule.enum.join(', ')}`;
+  }
+  const outOfBounds = checkBounds(rule, value);
+  if (outOfBounds) return outOfBounds;
+  if (rule.validate) {
+    const result = rule.validate(value);
+    if (result !== true) return typeof result === 'string' ? result : 'Invalid value';
+  }
+  return '';
+}
+
+// Best-effort conversion to a rule type; returns value unchanged otherwise
+function coerce(type, value) {
+  if (type === 'number' && typeof value === 'string' && value.trim() !== '') return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) return String(value);
+  return value;
+}
+
+/**
+ * Build a schema for state(obj, { schema }).
+ *
+ * The store's initial values are always accepted (so $reset() can restore
+ * them), but their errors are reported like any other.
+ *
+ * @param {object} rules - Key → rule
+ * @param {object} [options]
+ * @param {string} [options.onInvalid='reject'] - 'reject' | 'coerce' | 'keep'
+ * @returns {function(object): { errors: object, check: function }} The
+ *   guard factory state() calls with the store's initial snapshot: errors
+ *   is the starting key → message map; check(key, value) returns undefined
+ *   for keys without a rule, else { value, error, write }
+ * @throws {Error} If rules or onInvalid are invalid
+ */
+export function schema(rules, { onInvalid: policy = 'reject' } = {}) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('schema() requires an object of key → rule');
+  }
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`schema() onInvalid must be one of: ${POLICIES.join(', ')}`);
+  }
+  for (const key of Object.keys(rules)) {
+    const rule = rules[key];
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`schema() rule for "${key}" must be an object`);
+    }
+    if (rule.type !== undefined && !TYPES.includes(rule.type)) {
+      throw new Error(`schema(): unknown type "${rule.type}" for "${key}"`);
+    }
+  }
+
+  return (initial) => {
+    const errors = {};
+    for (const key of Object.keys(rules)) errors[key] = checkRule(rules[key], initial[key]);
+
+    function check(key, value) {
+      if (!Object.prototype.hasOwnProperty.call(rules, key)) return undefined;
+      const rule = rules[key];
+      let error = checkRule(rule, value);
+      if (error && policy === 'coerce') {
+        const converted = coerce(rule.type, value);
+        if (!checkRule(rule, converted)) {
+          value = converted;
+          error = '';
+        }
+      }
+      const write = !error || policy === 'keep' || Object.is(value, initial[key]);
+      return { value, error, write };
+    }
+
+    return { errors, check };
+  };
+}
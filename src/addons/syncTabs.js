@@ -0,0 +1,178 @@
+/**
+ * Lume-JS Tab Sync Addon
+ *
+ * Keeps store keys in sync across the open tabs (and workers) of an
+ * origin: every flush is broadcast over a BroadcastChannel, and changes
+ * from other tabs are written into the store.
+ *
+ * Usage:
+ *   import { state } from "lume-js";
+ *   import { persist, syncTabs } from "lume-js/addons";
+ *
+ *   const store = state({ cart: [], theme: 'light', draft: '' });
+ *
+ *   persist(store, 'shop', { keys: ['cart', 'theme'] }); // survives reloads
+ *   const stop = syncTabs(store, 'shop', { keys: ['cart', 'theme'] });
+ *
+ * Behavior:
+ * - Changes travel as JSON: nested stores arrive as plain objects (use
+ *   deep mode on the receiving store to keep them reactive), and values
+ *   JSON can't carry (functions, Maps, cycles) are not synced.
+ * - Conflicts resolve per key, last writer wins, ordered by a logical
+ *   (Lamport) clock rather than wall time; ties go to the higher tab id.
+ *   A change older than the key's last write is ignored.
+ * - Incoming changes are written in a batch() and are not broadcast back.
+ * - Without BroadcastChannel, messages go through a storage entry and the
+ *   other tabs' "storage" events.
+ * - A new tab does not receive the current state — pair with persist()
+ *   for that.
+ *
+ * @security Messages come from same-origin code, but are still treated as
+ * data: only watched keys are written, never $-keys, and the core set trap
+ * blocks prototype-polluting keys.
+ *
+ * @module addons/syncTabs
+ */
+
+import { REACTIVE_BRAND } from '../core/state.js';
+import { batch } from '../core/batch.js';
+import { logWarn } from '../utils/log.js';
+
+const isStore = (value) => !!value && typeof value === 'object' && REACTIVE_BRAND in value;
+
+// JSON.stringify replacer: nested stores serialize as their data, without
+// their $-API
+function withoutMeta(key, value) {
+  return isStore(this) && key.startsWith('$') ? undefined : value;
+}
+
+/** (clock, tab id) ordering: is a newer than b? */
+const isNewer = (a, b) => !b || a.clock > b.clock || (a.clock === b.clock && a.source > b.source);
+
+/**
+ * Default storage for the fallback. Wrapped because accessing localStorage
+ * can throw (SecurityError) in cookie-blocked iframes.
+ */
+function defaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Message transport: a BroadcastChannel, or a storage entry plus the
+ * window "storage" event. Returns null when neither is available.
+ */
+function openTransport(channelName, storageOption, onMessage) {
+  if (typeof BroadcastChannel === 'function') {
+    const channel = new BroadcastChannel(channelName);
+    channel.onmessage = (event) => onMessage(event.data);
+    return { send: (message) => channel.postMessage(message), close: () => channel.close() };
+  }
+  const storage = storageOption !== undefined ? storageOption : defaultStorage();
+  if (!storage || typeof addEventListener !== 'function') return null;
+
+  const storageKey = `lume-sync:${channelName}`;
+  const onStorage = (event) => {
+    if (event.key === storageKey && event.newValue) onMessage(event.newValue);
+  };
+  addEventListener('storage', onStorage);
+  return {
+    send: (message) => storage.setItem(storageKey, message),
+    close: () => removeEventListener('storage', onStorage),
+  };
+}
+
+/**
+ * Sync store keys with the other tabs on the same channel.
+ *
+ * @param {object} store - Reactive store created with state()
+ * @param {string} channelName - Tabs using the same name share changes
+ * @param {object} [options]
+ * @param {string[]} [options.keys] - Keys to sync. Default: every non-$
+ *   key, including keys added later.
+ * @param {Storage} [options.storage] - Storage for the fallback transport.
+ *   Default: localStorage.
+ * @returns {function} Dispose function — stops sending and receiving.
+ */
+export function syncTabs(store, channelName, options = {}) {
+  if (!isStore(store)) {
+    throw new Error('[Lume.js] syncTabs() requires a reactive store from state()');
+  }
+  if (typeof channelName !== 'string' || channelName.length === 0) {
+    throw new Error('[Lume.js] syncTabs() requires a non-empty channel name');
+  }
+
+  const watched = Array.isArray(options.keys) ? new Set(options.keys) : null;
+  const isWatched = (key) => typeof key === 'string' && !key.startsWith('$') && (!watched || watched.has(key));
+
+  const source = Math.random().toString(36).slice(2);
+  let clock = 0;
+  const versions = new Map(); // key → { clock, source } of its last write
+  let incoming = null; // key → value being applied from a message
+
+  function receive(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      logWarn('[Lume.js] syncTabs(): ignoring a malformed message');
+      return;
+    }
+    if (!message || message.source === source || !Number.isFinite(message.clock) || !Array.isArray(message.changes)) {
+      return;
+    }
+
+    clock = Math.max(clock, message.clock) + 1;
+    const version = { clock: message.clock, source: message.source };
+    incoming = new Map();
+    try {
+      batch(() => {
+        for (const change of message.changes) {
+          if (!isWatched(change.key) || !isNewer(version, versions.get(change.key))) continue;
+          versions.set(change.key, version);
+          apply(change);
+        }
+      });
+    } finally {
+      incoming = null;
+    }
+  }
+
+  function apply({ key, value, deleted }) {
+    if (deleted) delete store[key];
+    else store[key] = value;
+    incoming.set(key, store[key]); // as stored: deep mode wraps objects
+  }
+
+  const transport = openTransport(channelName, options.storage, receive);
+  if (!transport) {
+    logWarn('[Lume.js] syncTabs(): no BroadcastChannel or storage available — sync disabled');
+    return () => {};
+  }
+
+  const unsubscribe = store.$subscribe('*', (records) => {
+    const changes = [];
+    for (const { key, value, deleted } of records) {
+      // Skip what receive() just wrote: that tab already has it
+      if (!isWatched(key) || (incoming?.has(key) && Object.is(incoming.get(key), value))) continue;
+      changes.push(deleted ? { key, deleted } : { key, value });
+    }
+    if (changes.length === 0) return;
+
+    clock++;
+    for (const { key } of changes) versions.set(key, { clock, source });
+    try {
+      transport.send(JSON.stringify({ source, clock, changes }, withoutMeta));
+    } catch (err) {
+      logWarn('[Lume.js] syncTabs(): could not send — values not serializable?', err);
+    }
+  });
+
+  return () => {
+    unsubscribe();
+    transport.close();
+  };
+}
@@ -23,6 +23,11 @@
  *   onSet(key, newVal, oldVal) → val|void — intercept/transform writes
  *   onNotify(key, value)             — called before subscribers are notified
  *   onSubscribe(key)                 — called when $subscribe is invoked
+ *   onPatch(patch, oldValues) → patch|void — intercept/transform a whole
+ *                                      $patch() as one operation; plugins
+ *                                      without it get onSet per key instead
+ *   onDelete(key, oldValue) → false|void — called before `delete store[key]`
+ *                                      of an existing key; false keeps it
  *
  * @security Plugins run with full application privilege. A plugin can read
  * all state, alter any write, or suppress mutations. Only pass trusted objects.
@@ -33,6 +38,9 @@
  * @returns {Proxy} A new proxy wrapping the store with plugin behavior
  */
 import { logError } from '../utils/log.js';
+import { recordWrites } from '../core/patch.js';
+import { batch } from '../core/batch.js';
+import { untrack } from '../core/state.js';
 
 export function withPlugins(store, plugins = []) {
   if (!plugins.length) return store;
@@ -66,6 +74,92 @@ export function withPlugins(store, plugins = []) {
     pendingNotifications.clear();
   }
 
+  // onSet chain for one key; returns the (possibly transformed) value
+  function runSetHooks(key, value, oldValue, only = plugins) {
+    let newValue = value;
+    for (const p of only) {
+      try {
+        const r = p.onSet?.(key, newValue, oldValue);
+        if (r !== undefined) newValue = r;
+      } catch (e) {
+        logError(`[Lume.js] Plugin "${p.name}" error in onSet:`, e);
+      }
+    }
+    return newValue;
+  }
+
+  // onDelete chain; false from any plugin cancels the delete
+  function runDeleteHooks(key, oldValue) {
+    for (const p of plugins) {
+      try {
+        if (p.onDelete?.(key, oldValue) === false) return false;
+      } catch (e) {
+        logError(`[Lume.js] Plugin "${p.name}" error in onDelete:`, e);
+      }
+    }
+    return true;
+  }
+
+  // Each plugin sees a patch once — through onPatch, or key by key through
+  // onSet if it has no onPatch. Returns the (possibly transformed) patch.
+  function runPatchHooks(writes, oldValues) {
+    let patch = writes;
+    for (const p of plugins) {
+      if (typeof p.onPatch !== 'function') {
+        for (const key of Object.keys(patch)) patch[key] = runSetHooks(key, patch[key], oldValues[key], [p]);
+        continue;
+      }
+      try {
+        const r = p.onPatch(patch, oldValues);
+        if (r !== undefined) patch = r;
+      } catch (e) {
+        logError(`[Lume.js] Plugin "${p.name}" error in onPatch:`, e);
+      }
+    }
+    return patch;
+  }
+
+  // $patch: resolve the function form against this wrapper (reads go
+  // through onGet), run the hooks, then let the underlying store apply it.
+  function patchThrough(target, receiver, method, patch) {
+    const writes = typeof patch === 'function' ? recordWrites(patch, receiver) : patch;
+    // Not a patch: the underlying $patch throws the usual error
+    if (!writes || typeof writes !== 'object') return method(writes);
+    const oldValues = Object.create(null);
+    for (const key of Object.keys(writes)) oldValues[key] = target[key];
+
+    // The store's $patch flushes when its batch ends: queue onNotify inside
+    // an outer batch, so the flush still finds the changed keys pending
+    return batch(() => {
+      const changed = method(runPatchHooks(Object.assign(Object.create(null), writes), oldValues));
+      for (const key of changed) pendingNotifications.set(key, target[key]);
+      return changed;
+    });
+  }
+
+  // $-keys of the wrapper: $subscribe, $patch and $peek go through the
+  // plugins; everything else is the store's own.
+  function metaMethod(target, receiver, key) {
+    const method = target[key];
+    if (key === '$subscribe') {
+      // Wrap $subscribe to call onSubscribe hooks
+      return (subKey, fn) => {
+        for (const p of plugins) {
+          try {
+            p.onSubscribe?.(subKey);
+          } catch (e) {
+            logError(`[Lume.js] Plugin "${p.name}" error in onSubscribe:`, e);
+          }
+        }
+        return method(subKey, fn);
+      };
+    }
+    if (key === '$patch') return (patch) => patchThrough(target, receiver, method, patch);
+    // $peek reads through onGet, like any other read of this wrapper
+    if (key === '$peek') return (peekKey) => untrack(() => receiver[peekKey]);
+    return method;
+  }
+
   // Register once on the underlying state; capture unsubscribe for cleanup.
   let flushUnsub;
   if (typeof store.$beforeFlush === 'function') {
@@ -73,7 +167,7 @@ export function withPlugins(store, plugins = []) {
   }
 
   return new Proxy(store, {
-    get(target, key) {
+    get(target, key, receiver) {
       // $dispose — remove the beforeFlush hook and clear pending state
       if (key === '$dispose') {
         return () => {
@@ -84,21 +178,7 @@ export function withPlugins(store, plugins = []) {
 
       // Pass $-prefixed meta methods through without interception
       if (typeof key === 'string' && key.startsWith('$')) {
-        const method = target[key];
-        if (key === '$subscribe' && typeof method === 'function') {
-          // Wrap $subscribe to call onSubscribe hooks
-          return (subKey, fn) => {
-            for (const p of plugins) {
-              try {
-                p.onSubscribe?.(subKey);
-              } catch (e) {
-                logError(`[Lume.js] Plugin "${p.name}" error in onSubscribe:`, e);
-              }
-            }
-            return method(subKey, fn);
-          };
-        }
-        return method;
+        return metaMethod(target, receiver, key);
       }
 
       let value = target[key];
@@ -118,17 +198,7 @@ export function withPlugins(store, plugins = []) {
 
     set(target, key, value) {
       const oldValue = target[key];
-      let newValue = value;
-
-      // onSet chain
-      for (const p of plugins) {
-        try {
-          const r = p.onSet?.(key, newValue, oldValue);
-          if (r !== undefined) newValue = r;
-        } catch (e) {
-          logError(`[Lume.js] Plugin "${p.name}" error in onSet:`, e);
-        }
-      }
+      const newValue = runSetHooks(key, value, oldValue);
 
       // Only queue onNotify if the value actually changed after plugin chain
       if (!Object.is(newValue, oldValue)) {
@@ -137,6 +207,19 @@ export function withPlugins(store, plugins = []) {
 
       target[key] = newValue;
       return true;
+    },
+
+    deleteProperty(target, key) {
+      // Absent and $-keys go straight to the store (a no-op, or its warning)
+      const reserved = typeof key === 'string' && key.startsWith('$');
+      if (reserved || !Object.prototype.hasOwnProperty.call(target, key)) {
+        return Reflect.deleteProperty(target, key);
+      }
+      if (runDeleteHooks(key, target[key])) {
+        delete target[key];
+        pendingNotifications.set(key, undefined);
+      }
+      return true;
     }
   });
 }
@@ -8,11 +8,17 @@
  * from one Set per wave, so an effect depending on several mutated stores
  * runs exactly once per batch instead of once per store.
  *
+ * asyncBatch(fn) holds flushes across awaits: while any async batch is
+ * pending, every store written enqueues its flush handle here, and the
+ * set is drained when the last one settles (or times out). A batch()
+ * called by other code meanwhile still flushes its stores when it ends.
+ *
  * This module never imports state.js — state.js imports from here — so
  * there is no cycle, no global scheduler object, and no import side effect.
  */
 
 import { logError, logWarn } from '../utils/log.js';
+import { runEffects } from './effectQueues.js';
 
 // Cap for cascading flush waves (effects mutating state that re-triggers
 // effects). Shared with the per-state microtask flush in state.js.
@@ -21,43 +27,81 @@ export const MAX_FLUSH_ITERATIONS = 100;
 let batchDepth = 0;
 const batchedStates = new Set();
 
+// asyncBatch(): pending calls, the stores written while any is pending,
+// and how many fn() calls are running synchronously (their batch() calls
+// are held too). Writes after an await can't be traced back to fn, so
+// every write is held while any call is pending.
+let asyncHolds = 0;
+const heldStates = new Set();
+let asyncDepth = 0;
+
 /**
- * Called by state.js when a write is scheduled. Returns true if a batch is
- * active and the state's flush handle was captured (the caller must then
- * skip its own microtask scheduling).
+ * Called by state.js when a write is scheduled, and again when a scheduled
+ * flush runs. Returns true if a batch is active, or an async batch holds
+ * the state, and the state's flush handle was captured (the caller must
+ * then skip its own scheduling, or its flush).
  *
  * Internal API between core modules — not exported from the package root.
  *
- * @param {{runBeforeFlushHooks: function, notifySubscribers: function, takeEffects: function}} handle
+ * @param {{
+ *   runBeforeFlushHooks: function,
+ *   notifySubscribers: function,
+ *   takePreEffects: function,
+ *   takeEffects: function,
+ *   takePostEffects: function
+ * }} handle
  * @returns {boolean}
  */
 export function enqueueIfBatching(handle) {
-  if (batchDepth === 0) return false;
-  batchedStates.add(handle);
+  // A batch() of other code flushes its stores when it ends, held or not:
+  // history, syncTabs and the bridge rely on seeing their writes then
+  if (batchDepth > 0 && asyncDepth === 0) batchedStates.add(handle);
+  else if (asyncHolds > 0) heldStates.add(handle);
+  else return false;
   return true;
 }
 
+// One wave: the captured states' pre effects, subscribers and effects.
+// Post effects are collected into post, for when the batch has settled.
+function flushWave(post) {
+  const wave = Array.from(batchedStates);
+  batchedStates.clear();
+
+  // Pre effects of every state run before any subscriber of the wave,
+  // collected into one deduplicated set like the effects below.
+  const pre = new Set();
+  for (const s of wave) {
+    s.runBeforeFlushHooks();
+    for (const fx of s.takePreEffects()) pre.add(fx);
+  }
+  runEffects(pre);
+
+  // Notify each state's subscribers, collecting effects into one
+  // deduplicated set (the same effect queued by N stores runs once).
+  const effects = new Set();
+  for (const s of wave) {
+    s.notifySubscribers();
+    for (const fx of s.takeEffects()) effects.add(fx);
+    for (const fx of s.takePostEffects()) post.add(fx);
+  }
+
+  // Effects run after all subscribers of the wave. Writes they make
+  // re-enter batchedStates (depth is still held) → next iteration.
+  runEffects(effects);
+}
+
 function flushBatchedStates() {
   let iterations = 0;
-  while (batchedStates.size > 0 && iterations < MAX_FLUSH_ITERATIONS) {
+  const post = new Set();
+  while ((batchedStates.size > 0 || post.size > 0) && iterations < MAX_FLUSH_ITERATIONS) {
     iterations++;
-    const wave = Array.from(batchedStates);
-    batchedStates.clear();
-
-    // Notify each state's subscribers, collecting effects into one
-    // deduplicated set (the same effect queued by N stores runs once).
-    const effects = new Set();
-    for (const s of wave) {
-      s.runBeforeFlushHooks();
-      s.notifySubscribers();
-      for (const fx of s.takeEffects()) effects.add(fx);
-    }
-
-    // Effects run after all subscribers of the wave. Writes they make
-    // re-enter batchedStates (depth is still held) → next iteration.
-    for (const fx of effects) {
-      try { fx(); }
-      catch (err) { logError('[Lume.js state] Error in effect:', err); }
+    if (batchedStates.size > 0) {
+      flushWave(post);
+    } else {
+      // Settled: post effects run last; their writes start another wave
+      const settled = Array.from(post);
+      post.clear();
+      runEffects(settled);
     }
   }
   if (iterations >= MAX_FLUSH_ITERATIONS) {
@@ -121,7 +165,7 @@ export function batch(fn) {
     if (result && typeof result.then === 'function') {
       logWarn(
         '[Lume.js batch] batch() received an async function. Only writes before the first await are batched; ' +
-        'later writes flush via normal microtasks.'
+        'later writes flush via normal microtasks. Use asyncBatch() to hold them until it settles.'
       );
     }
     return result;
@@ -130,6 +174,8 @@ export function batch(fn) {
     // subscribers/effects keep collecting into batchedStates (deduped),
     // then release. Runs on success AND when fn throws (writes made
     // before the throw are committed, then the error propagates).
+    // While an asyncBatch() is pending, writes outside a batch() wait in
+    // heldStates instead.
     try {
       flushBatchedStates();
     } finally {
@@ -137,3 +183,80 @@ export function batch(fn) {
     }
   }
 }
+
+/**
+ * Like batch(), for an async function: notifications of every store
+ * written are held until the returned promise settles, then flushed
+ * together, synchronously — so an async handler renders once instead of
+ * once per await (loading flag, partial data, final data).
+ *
+ * - Writes from any code are held while an async batch is pending: after
+ *   an await they cannot be told apart from fn's own. Overlapping async
+ *   batches share one hold, released when the last of them settles.
+ * - A batch() run by other code meanwhile still flushes when it ends;
+ *   one run by fn before its first await is held.
+ * - The timeout (default 5000 ms) releases this call's hold with a
+ *   warning, so a promise that never settles cannot freeze the UI.
+ * - A rejection flushes the writes made so far, then propagates.
+ *
+ * @param {function(): Promise<*>} fn - Async function performing writes
+ * @param {object} [options]
+ * @param {number} [options.timeout=5000] - Milliseconds before the hold is
+ *   released anyway (Infinity: never)
+ * @returns {Promise<*>} Resolves with fn's result after the flush
+ *
+ * @example
+ * import { state, asyncBatch } from 'lume-js';
+ *
+ * const form = state({ saving: false, result: null });
+ *
+ * await asyncBatch(async () => {
+ *   form.saving = true;
+ *   form.result = await submit();
+ *   form.saving = false;
+ * }); // one flush: subscribers never saw saving === true
+ */
+export async function asyncBatch(fn, options = {}) {
+  if (typeof fn !== 'function') {
+    throw new Error('asyncBatch() requires a function');
+  }
+  const { timeout = 5000 } = options;
+  if (typeof timeout !== 'number' || !(timeout > 0)) {
+    throw new Error('asyncBatch() timeout must be a positive number of milliseconds');
+  }
+
+  asyncHolds++;
+  let held = true;
+  const release = () => {
+    if (!held) return;
+    held = false;
+    if (--asyncHolds > 0) return;
+    for (const handle of heldStates) batchedStates.add(handle);
+    heldStates.clear();
+    // Same as the end of batch(): depth held so cascades join the waves
+    batchDepth++;
+    try {
+      flushBatchedStates();
+    } finally {
+      batchDepth--;
+    }
+  };
+  const timer = timeout === Infinity ? null : setTimeout(() => {
+    logWarn(`[Lume.js asyncBatch] Still pending after ${timeout} ms; releasing its held notifications.`);
+    release();
+  }, timeout);
+
+  try {
+    let pending;
+    asyncDepth++;
+    try {
+      pending = fn();
+    } finally {
+      asyncDepth--;
+    }
+    return await pending;
+  } finally {
+    clearTimeout(timer);
+    release();
+  }
+}
@@ -32,6 +32,7 @@
  */
 
 import { logWarn } from '../utils/log.js';
+import { READONLY, getCurrentScope, onScopeDispose } from './state.js';
 
 // --- Default Handlers (always active, backwards compatible) ---
 
@@ -117,14 +118,18 @@ export function bindDom(root, store, options = {}) {
   };
 
   // Auto-wait for DOM if needed
+  let unbind;
   if (!immediate && document.readyState === 'loading') {
     let cleanup = null;
     const onReady = () => { cleanup = performBinding(); };
     document.addEventListener('DOMContentLoaded', onReady, { once: true });
-    return () => cleanup ? cleanup() : document.removeEventListener('DOMContentLoaded', onReady);
+    unbind = () => cleanup ? cleanup() : document.removeEventListener('DOMContentLoaded', onReady);
+  } else {
+    unbind = performBinding();
   }
 
-  return performBinding();
+  // Inside effectScope(): stopping the scope unbinds
+  return getCurrentScope() ? onScopeDispose(unbind) : unbind;
 }
 
 /**
@@ -148,7 +153,8 @@ function handleDataBind(el, store, path, bindingMap) {
   const { target, key } = result;
   const unsub = target.$subscribe(key, val => applyBindValue(el, val));
 
-  if (isFormInput(el)) {
+  // Read-only views bind one-way: the input shows the value, never writes it
+  if (isFormInput(el) && !(READONLY in target)) {
     bindingMap.set(el, { target, key });
   }
 
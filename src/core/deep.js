@@ -0,0 +1,56 @@
+/**
+ * Lume-JS Deep Mode
+ *
+ * state(obj, { deep: true }) wraps nested plain objects in child stores —
+ * lazily on first read, and on write. This module decides what gets wrapped
+ * and caches each child; state.js passes in how to create one.
+ */
+
+import { REACTIVE_BRAND } from './symbols.js';
+
+// Deep mode: raw nested object -> its child store. Module-level so the same
+// raw object reached through two keys (or two deep parents) maps to ONE
+// store instead of being re-wrapped — state() stamps the brand on the raw
+// object, so a second wrap would otherwise see it as already reactive.
+const deepChildren = new WeakMap();
+
+/**
+ * Deep mode only: return the child store for a nested plain object, creating
+ * and caching it on first sight. Anything else (primitives, arrays, class
+ * instances, frozen objects, existing stores) is returned unchanged.
+ *
+ * @param {*} value
+ * @param {function(object): object} create - Makes the child store
+ *   (state() with the parent's options)
+ */
+export function wrapDeep(value, create) {
+  if (!value || typeof value !== 'object') return value;
+  const cached = deepChildren.get(value);
+  if (cached) return cached;
+  const proto = Object.getPrototypeOf(value);
+  if ((proto !== Object.prototype && proto !== null) || REACTIVE_BRAND in value ||
+    Object.isFrozen(value) || Object.isSealed(value)) {
+    return value;
+  }
+  const child = create(value);
+  deepChildren.set(value, child);
+  return child;
+}
+
+/**
+ * Deep mode's $initial: the snapshot with each nested plain object read as
+ * its child store — the object the store's key holds — so comparing a key
+ * to its initial value still tells whether it was replaced. Lazy, like the
+ * store's own reads.
+ *
+ * @param {object} initial - Frozen snapshot of raw values
+ * @param {function(object): object} create - Makes a child store
+ * @returns {object} Frozen view of the snapshot
+ */
+export function deepSnapshot(initial, create) {
+  const view = {};
+  for (const key of Object.keys(initial)) {
+    Object.defineProperty(view, key, { get: () => wrapDeep(initial[key], create), enumerable: true });
+  }
+  return Object.freeze(view);
+}
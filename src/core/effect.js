@@ -1,5 +1,10 @@
 import { withReadObserver } from './state.js';
 import { logError } from '../utils/log.js';
+import { own } from './scope.js';
+import { runBody, runCleanups } from './effectCleanup.js';
+import { explicitEffect } from './explicitEffect.js';
+
+export { onCleanup } from './effectCleanup.js';
 
 /**
  * Lume-JS Effect
@@ -26,6 +31,19 @@ import { logError } from '../utils/log.js';
  *     console.log('Count is:', store.count);
  *   }, [[store, 'count']]);  // Only re-runs when store.count changes
  *
+ *   // Per-run cleanup: return it, or register it with onCleanup()
+ *   effect(() => {
+ *     const id = setInterval(() => tick(store.delay), store.delay);
+ *     return () => clearInterval(id); // before the next run, and on dispose
+ *   });
+ *
+ *   // Async: each re-run aborts the previous run's signal
+ *   effect(async (signal, track) => {
+ *     const res = await fetch(`/search?q=${store.query}`, { signal });
+ *     store.results = await res.json();
+ *     if (track(() => store.highlight)) mark(store.results); // tracked after await
+ *   });
+ *
  * Features:
  * - Automatic dependency collection via withReadObserver scope (default)
  * - Subscriptions persist across runs: a re-run with the same reads makes
@@ -34,6 +52,17 @@ import { logError } from '../utils/log.js';
  * - Explicit dependencies for side-effects
  * - Explicit-deps notifications are coalesced: one run per microtask,
  *   no matter how many tracked keys (or stores) changed in the same tick
+ * - Per-run cleanups (a returned function, or onCleanup(fn)) run before
+ *   each re-run and when the effect is disposed; a throwing cleanup is
+ *   logged and the others still run
+ * - Async effects: a body that declares a parameter receives a per-run
+ *   AbortSignal (aborted before the next run and on dispose) and track(),
+ *   which tracks reads made after an await; a rejected run is logged
+ *   like a throwing one, unless it was aborted
+ * - Flush timing (auto-tracking mode): effect(fn, { flush }) with 'pre'
+ *   (before the store's subscribers, e.g. to normalize a write), 'post'
+ *   (after the flush or batch has settled, e.g. to measure the DOM) or
+ *   'sync' (on every write); by default effects run right after subscribers
  * - Returns cleanup function
  * - Compatible with per-state batching
  */
@@ -41,6 +70,9 @@ import { logError } from '../utils/log.js';
 // Module-scoped effect context (prevents third-party spoofing via globalThis)
 let currentEffect = null;
 
+// effect(fn, { flush }) timings besides the default (see effectQueues.js)
+const FLUSH_MODES = ['pre', 'post', 'sync'];
+
 // withReadObserver is used below to scope read tracking to synchronous effect execution.
 
 /**
@@ -55,9 +87,11 @@ let currentEffect = null;
  * every subscription so the effect stays reactive.
  *
  * @param {function} fn - The effect body
- * @returns {function} Disposer that unsubscribes everything
+ * @param {string} [flush] - 'pre', 'post' or 'sync'; default when omitted
+ * @returns {function} Disposer that unsubscribes everything (and runs the
+ *   last run's cleanups)
  */
-function autoTrackedEffect(fn) {
+function autoTrackedEffect(fn, flush) {
   const deps = new Map(); // proxy -> Map<key, { unsub, gen }>
   let totalDeps = 0;
   let runGen = 0;
@@ -66,6 +100,9 @@ function autoTrackedEffect(fn) {
   let added = 0; // new subscriptions made this run
   let isRunning = false;
   const context = {}; // identity: attributes reads to this effect, not a nested one
+  const cleanups = []; // registered by the latest run
+  let paused = false; // by its effectScope
+  let missed = false; // a change arrived while paused
 
   const onRead = (proxy, key, registerEffect) => {
     // Only the currently active effect (not a nested one) tracks the read
@@ -83,11 +120,21 @@ function autoTrackedEffect(fn) {
       }
       return;
     }
-    byKey.set(key, { unsub: registerEffect(key, run), gen });
+    byKey.set(key, { unsub: registerEffect(key, run, () => storeDisposed(proxy), flush), gen });
     added++;
     totalDeps++;
   };
 
+  // proxy.$dispose() dropped this effect's subscriptions there: forget the
+  // store. With no store left the effect can never re-run, and nothing
+  // holds it any more — so its last run is cleaned up (and aborted) now.
+  function storeDisposed(proxy) {
+    // Present: the notifier only calls back while subscriptions remain
+    totalDeps -= deps.get(proxy).size;
+    deps.delete(proxy);
+    if (totalDeps === 0) runCleanups(cleanups);
+  }
+
   function sweep() {
     for (const [proxy, byKey] of deps) {
       for (const [key, rec] of byKey) {
@@ -101,9 +148,27 @@ function autoTrackedEffect(fn) {
     }
   }
 
+  // track(read) of an async run: after its first await the body runs
+  // outside run(), so its reads are only tracked when wrapped. Records are
+  // stamped with the latest run's generation and kept by its sweep.
+  function track(read) {
+    const previousEffect = currentEffect;
+    currentEffect = context;
+    try {
+      return withReadObserver(onRead, read);
+    } finally {
+      currentEffect = previousEffect;
+    }
+  }
+
   function run() {
     /* v8 ignore next -- defensive guard: synchronous re-entry is unreachable through the public API */
     if (isRunning) return;
+    if (paused) {
+      missed = true;
+      return;
+    }
+    runCleanups(cleanups);
     gen = ++runGen;
     seen = 0;
     added = 0;
@@ -112,7 +177,7 @@ function autoTrackedEffect(fn) {
     currentEffect = context;
     isRunning = true;
     try {
-      withReadObserver(onRead, fn);
+      withReadObserver(onRead, () => runBody(fn, cleanups, track));
     } catch (error) {
       // Keep every subscription (pre-existing and just-created) so the
       // effect stays reactive after a throwing run.
@@ -130,20 +195,38 @@ function autoTrackedEffect(fn) {
 
   run();
 
-  return () => {
-    for (const byKey of deps.values()) {
-      for (const rec of byKey.values()) rec.unsub();
-    }
-    deps.clear();
-    totalDeps = 0;
-  };
+  return own({
+    stop() {
+      for (const byKey of deps.values()) {
+        for (const rec of byKey.values()) rec.unsub();
+      }
+      deps.clear();
+      totalDeps = 0;
+      runCleanups(cleanups);
+    },
+    pause() { paused = true; },
+    resume() {
+      paused = false;
+      if (!missed) return;
+      missed = false;
+      // run() logs and re-throws; resume() must reach the scope's other work
+      try { run(); } catch { /* already logged by run() */ }
+    },
+  });
 }
 
 /**
  * Creates an effect that runs reactively
  *
- * @param {function} fn - Function to run reactively
- * @param {Array<[object, string]>} [deps] - Optional explicit dependencies as [store, key] tuples
+ * @param {function} fn - Function to run reactively. May return a cleanup
+ *   function, run before the next run and when the effect is disposed
+ *   (or a promise: see the async example). Declaring parameters gives it
+ *   (signal, track) — a per-run AbortSignal, and track(read) for reads
+ *   after an await
+ * @param {Array<[object, string]>|{flush?: string}} [deps] - Optional explicit
+ *   dependencies as [store, key] tuples — or, in auto-tracking mode, options:
+ *   flush 'pre' runs the effect before the store's subscribers, 'post' once
+ *   the flush (or batch) has settled, 'sync' on every write
  * @returns {function} Cleanup function to stop the effect
  *
  * @example
@@ -158,6 +241,20 @@ function autoTrackedEffect(fn) {
  * effect(() => {
  *   analytics.log(store.count);  // Won't track store.count automatically
  * }, [[store, 'count']]);        // Explicit: only re-run on store.count
+ *
+ * @example
+ * // Async: a stale response never overwrites a newer one
+ * effect(async (signal) => {
+ *   const res = await fetch(`/users?q=${store.query}`, { signal });
+ *   store.users = await res.json();
+ * });
+ *
+ * @example
+ * // Post: measure after bindDom/repeat have rendered the items
+ * effect(() => {
+ *   void store.items; // re-run when the list changes
+ *   moreButton.hidden = list.scrollHeight <= list.clientHeight;
+ * }, { flush: 'post' });
  */
 export function effect(fn, deps) {
   if (typeof fn !== 'function') {
@@ -166,80 +263,13 @@ export function effect(fn, deps) {
 
   // AUTO-TRACKING MODE (default): persistent subscriptions, generation sweep
   if (!Array.isArray(deps)) {
-    return autoTrackedEffect(fn);
-  }
-
-  const cleanups = [];
-  let isRunning = false;
-
-  /**
-   * Execute the effect function
-   */
-  const execute = () => {
-    /* v8 ignore next -- re-entry guard: unreachable because $subscribe fires via microtask after isRunning resets in finally */
-    if (isRunning) return;
-    isRunning = true;
-
-    try {
-      fn();
-    } catch (error) {
-      logError('[Lume.js effect] Error in effect:', error);
-      throw error;
-    } finally {
-      isRunning = false;
-    }
-  };
-
-  // EXPLICIT DEPS MODE: subscribe to the given [store, key1, key2, ...] tuples.
-  // Coalesce notifications: when several tracked keys change in the same
-  // flush (or several stores flush in the same tick), run the effect once
-  // per microtask instead of once per changed key. This matches the
-  // dedupe guarantee auto-tracking mode gets from the per-state effect queue.
-  let scheduled = false;
-  let disposed = false;
-  cleanups.push(() => { disposed = true; });
-
-  const scheduleExecute = () => {
-    if (scheduled) return;
-    scheduled = true;
-    queueMicrotask(() => {
-      scheduled = false;
-      if (disposed) return;
-      // execute() logs and re-throws; swallow here so a throwing effect
-      // doesn't become an uncaught error inside the microtask (same
-      // containment the state flush loop provides for subscribers).
-      try { execute(); } catch { /* already logged by execute() */ }
-    });
-  };
-
-  // Subscribe to each [store, key1, key2, ...] tuple explicitly
-  for (const dep of deps) {
-    if (Array.isArray(dep) && dep.length >= 2) {
-      const [store, ...keys] = dep;
-      if (store && typeof store.$subscribe === 'function') {
-        // Subscribe to each key in this tuple
-        for (const key of keys) {
-          // $subscribe calls immediately, then on changes
-          // We want: call execute immediately once, then on changes
-          let isFirst = true;
-          const unsub = store.$subscribe(key, () => {
-            if (isFirst) {
-              isFirst = false;
-              return; // Skip first call, we'll run execute() below
-            }
-            scheduleExecute();
-          });
-          cleanups.push(unsub);
-        }
-      }
+    const flush = deps?.flush;
+    if (flush !== undefined && !FLUSH_MODES.includes(flush)) {
+      throw new Error("effect() flush must be 'pre', 'post' or 'sync'");
     }
+    return autoTrackedEffect(fn, flush);
   }
-  // Run immediately
-  execute();
 
-  // Return cleanup function
-  return () => {
-    // while/pop is faster than forEach
-    while (cleanups.length) cleanups.pop()();
-  };
-}
\ No newline at end of file
+  // EXPLICIT DEPS MODE: its $subscribe calls already pause with a scope
+  return own({ stop: explicitEffect(fn, deps) });
+}
@@ -0,0 +1,97 @@
+/**
+ * Lume-JS Effect Cleanups
+ *
+ * Per-run cleanups shared by both effect modes: a function returned by the
+ * effect, and each onCleanup(fn) made during the run, are kept until the
+ * effect runs again or is disposed.
+ *
+ * Async runs are cleaned up the same way: an effect that declares a
+ * parameter gets a fresh AbortSignal per run, aborted by the run's cleanup,
+ * and a returned promise that rejects is logged like a thrown error.
+ *
+ * This module imports no other effect module, so effect.js and
+ * explicitEffect.js can both use it.
+ */
+
+import { logError, logWarn } from '../utils/log.js';
+
+// Cleanups of the effect run in progress (onCleanup() adds to it)
+let activeCleanups = null;
+
+/**
+ * Register a cleanup for the effect run in progress. It runs before the
+ * effect's next run and when the effect is disposed — the same as
+ * returning the function from the effect.
+ *
+ * @param {function} fn - Cleanup function
+ *
+ * @example
+ * effect(() => {
+ *   const onResize = () => { store.width = innerWidth; };
+ *   window.addEventListener('resize', onResize);
+ *   onCleanup(() => window.removeEventListener('resize', onResize));
+ * });
+ */
+export function onCleanup(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('onCleanup() requires a function');
+  }
+  if (!activeCleanups) {
+    logWarn('[Lume.js effect] onCleanup() called outside a running effect — ignored');
+    return;
+  }
+  activeCleanups.push(fn);
+}
+
+const passThrough = (read) => read();
+
+/**
+ * Run the effect body with onCleanup() collecting into cleanups. A function
+ * returned by the body is a cleanup too; a returned promise has its
+ * rejection logged; anything else it returns is ignored.
+ *
+ * A body that declares parameters is called with (signal, track): signal
+ * aborts when the run is cleaned up, and track(read) runs read with its
+ * reads tracked — until the run is aborted, when read just runs.
+ *
+ * @param {function} fn - The effect body
+ * @param {function[]} cleanups - The effect's cleanups, emptied by runCleanups
+ * @param {function} [track] - Runs a function with the effect's reads tracked
+ */
+export function runBody(fn, cleanups, track = passThrough) {
+  const previous = activeCleanups;
+  activeCleanups = cleanups;
+  try {
+    let signal;
+    if (fn.length > 0) {
+      const controller = new AbortController();
+      cleanups.push(() => controller.abort());
+      signal = controller.signal;
+    }
+    const result = signal
+      ? fn(signal, (read) => (signal.aborted ? read() : track(read)))
+      : fn();
+    if (typeof result === 'function') cleanups.push(result);
+    else if (typeof result?.then === 'function') result.then(undefined, (error) => logRejection(error, signal));
+  } finally {
+    activeCleanups = previous;
+  }
+}
+
+// An aborted run rejecting with its abort error (an aborted fetch()) was
+// cancelled, not broken: nothing to report.
+function logRejection(error, signal) {
+  if (signal?.aborted && (error === signal.reason || error?.name === 'AbortError')) return;
+  logError('[Lume.js effect] Error in effect:', error);
+}
+
+/** Run and forget the previous run's cleanups, in registration order. */
+export function runCleanups(cleanups) {
+  for (const cleanup of cleanups.splice(0)) {
+    try {
+      cleanup();
+    } catch (error) {
+      logError('[Lume.js effect] Error in effect cleanup:', error);
+    }
+  }
+}
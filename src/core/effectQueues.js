@@ -0,0 +1,95 @@
+/**
+ * Lume-JS Effect Queues
+ *
+ * One store's effect subscriptions by flush timing (effect(fn, { flush })):
+ *   pre     - queued when a dependency is written; run before subscribers
+ *   default - queued when subscribers are notified; run right after them
+ *   post    - queued likewise; run once the store (or the batch) settles
+ *   sync    - never queued: run by the write itself
+ * notifier.js creates one per store; batch.js drains them for a batch.
+ */
+
+import { logError } from '../utils/log.js';
+import { createListenerRegistry } from './listeners.js';
+
+/**
+ * Run each effect once, containing errors (the effect has logged its own;
+ * this keeps one throwing effect from stopping the rest).
+ *
+ * @param {Iterable<function>} effects
+ */
+export function runEffects(effects) {
+  for (const fx of effects) {
+    try {
+      fx();
+    } catch (err) {
+      logError('[Lume.js state] Error in effect:', err);
+    }
+  }
+}
+
+/** Drain a queue (Set deduplicates) into an array. */
+function take(queue) {
+  const effects = Array.from(queue);
+  queue.clear();
+  return effects;
+}
+
+/**
+ * Create the effect queues for one store.
+ *
+ * @param {function} addListener - The store's listener registration:
+ *   default and post subscriptions are listeners, called when subscribers
+ *   are notified
+ * @returns {{
+ *   add: function(string|symbol, function, string=): function,
+ *   written: function(string|symbol): void,
+ *   takePre: function(): function[],
+ *   take: function(): function[],
+ *   takePost: function(): function[],
+ *   pending: function(): boolean,
+ *   size: function(): number,
+ *   counts: function(): object,
+ *   clear: function(): void
+ * }} written(key) is called for every queued write; size() and counts()
+ *   cover the pre and sync subscriptions only (the rest are listeners)
+ */
+export function createEffectQueues(addListener) {
+  const pre = new Set();
+  const main = new Set();
+  const post = new Set();
+  // pre and sync subscriptions: called on the write, not at the flush
+  const onWrite = createListenerRegistry();
+
+  function add(key, executeFn, flush) {
+    if (flush === 'sync') return onWrite.add(key, executeFn, 'Effect subscription', true);
+    if (flush === 'pre') return onWrite.add(key, () => pre.add(executeFn), 'Effect subscription', true);
+    const queue = flush === 'post' ? post : main;
+    return addListener(key, () => queue.add(executeFn), 'Effect subscription', true);
+  }
+
+  function written(key) {
+    const subs = onWrite.listeners[key];
+    // A copy: a sync effect re-running may drop or add its subscriptions
+    if (subs) runEffects(subs.slice());
+  }
+
+  function clear() {
+    onWrite.clear();
+    pre.clear();
+    main.clear();
+    post.clear();
+  }
+
+  return {
+    add,
+    written,
+    takePre: () => take(pre),
+    take: () => take(main),
+    takePost: () => take(post),
+    pending: () => pre.size > 0 || main.size > 0 || post.size > 0,
+    size: onWrite.size,
+    counts: () => onWrite.counts().effects,
+    clear,
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * Lume-JS Explicit-Deps Effects
+ *
+ * effect(fn, deps) with deps given as [store, key1, key2, ...] tuples: the
+ * effect subscribes to exactly those keys and never auto-tracks. effect.js
+ * dispatches here.
+ */
+
+import { logError } from '../utils/log.js';
+import { runBody, runCleanups } from './effectCleanup.js';
+
+/**
+ * Run fn now and again (coalesced to one run per microtask) whenever one of
+ * the listed keys changes.
+ *
+ * @param {function} fn - The effect body
+ * @param {Array<Array>} deps - [store, key1, key2, ...] tuples
+ * @returns {function} Disposer that unsubscribes everything
+ */
+export function explicitEffect(fn, deps) {
+  const disposers = [];
+  const cleanups = []; // registered by the latest run
+  let isRunning = false;
+
+  /**
+   * Execute the effect function
+   */
+  const execute = () => {
+    /* v8 ignore next -- re-entry guard: unreachable because $subscribe fires via microtask after isRunning resets in finally */
+    if (isRunning) return;
+    runCleanups(cleanups);
+    isRunning = true;
+
+    try {
+      runBody(fn, cleanups);
+    } catch (error) {
+      logError('[Lume.js effect] Error in effect:', error);
+      throw error;
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  // EXPLICIT DEPS MODE: subscribe to the given [store, key1, key2, ...] tuples.
+  // Coalesce notifications: when several tracked keys change in the same
+  // flush (or several stores flush in the same tick), run the effect once
+  // per microtask instead of once per changed key. This matches the
+  // dedupe guarantee auto-tracking mode gets from the per-state effect queue.
+  let scheduled = false;
+  let disposed = false;
+  disposers.push(() => { disposed = true; });
+
+  const scheduleExecute = () => {
+    if (scheduled) return;
+    scheduled = true;
+    queueMicrotask(() => {
+      scheduled = false;
+      if (disposed) return;
+      // execute() logs and re-throws; swallow here so a throwing effect
+      // doesn't become an uncaught error inside the microtask (same
+      // containment the state flush loop provides for subscribers).
+      try { execute(); } catch { /* already logged by execute() */ }
+    });
+  };
+
+  // Subscribe to each [store, key1, key2, ...] tuple explicitly
+  for (const dep of deps) {
+    if (Array.isArray(dep) && dep.length >= 2) {
+      const [store, ...keys] = dep;
+      if (store && typeof store.$subscribe === 'function') {
+        // Subscribe to each key in this tuple
+        for (const key of keys) {
+          // $subscribe calls immediately, then on changes
+          // We want: call execute immediately once, then on changes
+          let isFirst = true;
+          const unsub = store.$subscribe(key, () => {
+            if (isFirst) {
+              isFirst = false;
+              return; // Skip first call, we'll run execute() below
+            }
+            scheduleExecute();
+          });
+          disposers.push(unsub);
+        }
+      }
+    }
+  }
+  // Run immediately
+  execute();
+
+  // Return cleanup function
+  return () => {
+    // while/pop is faster than forEach
+    while (disposers.length) disposers.pop()();
+    runCleanups(cleanups);
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Lume-JS Listener Registry
+ *
+ * One store's key → listeners table: $subscribe callbacks and effect
+ * subscriptions, with the per-key cap and a live count across keys.
+ * notifier.js creates one registry per store and delivers through it.
+ */
+
+import { logError } from '../utils/log.js';
+
+const MAX_SUBSCRIBERS = 1000;
+
+/**
+ * Returned by addListener when the per-key cap is hit. Shared so callers
+ * can tell a rejected registration apart from a real one by identity.
+ */
+export const noopUnsubscribe = () => {};
+
+/**
+ * Listener key of the store-wide change feed ($subscribe('*', fn)).
+ * A symbol, so a store with a literal '*' property keeps its own key.
+ */
+export const ALL_KEYS = Symbol('*');
+
+/**
+ * Listener key for "the set of keys changed" (a key added or deleted).
+ * Reads that enumerate a store (Object.keys, for...in) track it; it never
+ * appears in the change feed.
+ */
+export const OWN_KEYS = Symbol('keys');
+
+/**
+ * Create the listener table for one store.
+ *
+ * @returns {{
+ *   listeners: object,
+ *   add: function(string|symbol, function, string, boolean=): function,
+ *   size: function(): number,
+ *   clear: function(): void,
+ *   counts: function(): object
+ * }} listeners is the live key → array table, for delivery only
+ */
+export function createListenerRegistry() {
+  // Object.create(null) - no prototype chain lookups
+  const listeners = Object.create(null);
+  // Effect subscriptions, told apart from $subscribe callbacks by counts()
+  const effectCallbacks = new WeakSet();
+  // Live count of listeners across all keys. Lets the notifier skip the
+  // whole notify/flush pipeline for a store nothing observes — see its
+  // no-subscriber fast path.
+  let count = 0;
+
+  /**
+   * Shared listener registration with a per-key cap (subscriber DoS
+   * protection). Applied identically to $subscribe callbacks and effect
+   * subscriptions so both paths degrade the same way: a loud console
+   * error and a no-op unsubscribe.
+   */
+  function add(key, fn, kind, isEffect = false) {
+    if (!listeners[key]) listeners[key] = [];
+    if (listeners[key].length >= MAX_SUBSCRIBERS) {
+      logError(
+        `[Lume.js state] Subscriber limit (${MAX_SUBSCRIBERS}) reached for key "${String(key)}". ` +
+        `${kind} ignored — it will NOT receive updates. ` +
+        'This usually means subscriptions are created in a loop without cleanup.'
+      );
+      return noopUnsubscribe;
+    }
+    listeners[key].push(fn);
+    if (isEffect) effectCallbacks.add(fn);
+    count++;
+    return () => {
+      if (listeners[key]) {
+        const idx = listeners[key].indexOf(fn);
+        if (idx !== -1) {
+          listeners[key].splice(idx, 1);
+          count--; // inside the idx guard: a double-unsubscribe is a no-op
+          if (listeners[key].length === 0) delete listeners[key];
+        }
+      }
+    };
+  }
+
+  function clear() {
+    for (const key of Reflect.ownKeys(listeners)) delete listeners[key];
+    count = 0;
+  }
+
+  /**
+   * Listener counts for inspect(): key → $subscribe callbacks, key →
+   * effect subscriptions (string keys), and change feed subscribers.
+   */
+  function counts() {
+    const subscribers = {};
+    const effects = {};
+    for (const key of Object.keys(listeners)) {
+      for (const fn of listeners[key]) {
+        const table = effectCallbacks.has(fn) ? effects : subscribers;
+        table[key] = (table[key] || 0) + 1;
+      }
+    }
+    return { subscribers, effects, changeFeed: listeners[ALL_KEYS]?.length ?? 0 };
+  }
+
+  return { listeners, add, size: () => count, clear, counts };
+}
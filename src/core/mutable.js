@@ -0,0 +1,63 @@
+/**
+ * Lume-JS MUTABLE Protocol
+ *
+ * Values that mutate in place and announce it (e.g. the list() addon)
+ * expose `value[MUTABLE](onMutate) → detach`. A store keeps one attachment
+ * per key holding such a value; state.js creates the registry and treats
+ * every announced mutation as a write of that key.
+ */
+
+/**
+ * Protocol symbol for values that mutate in place and announce it (e.g. the
+ * list() addon). Such a value exposes `value[MUTABLE](onMutate) → detach`;
+ * a store holding it at some key attaches on creation and on write, and
+ * treats every announced mutation as a write of that key — subscribers and
+ * effects of the key re-run even though the reference is unchanged.
+ *
+ * Registry symbol (Symbol.for) for the same cross-copy reason as the brand.
+ * Internal API — exported for addons (through state.js); not re-exported
+ * from the package root.
+ */
+export const MUTABLE = Symbol.for('lume.mutable');
+
+/**
+ * Create the key → attachment registry for one store.
+ *
+ * @param {function(string): void} onMutate - Called with the key whose
+ *   value announced an in-place mutation
+ * @returns {{
+ *   track: function(string, *): void,
+ *   has: function(string): boolean,
+ *   isEmpty: function(): boolean,
+ *   detachAll: function(): void
+ * }}
+ */
+export function createMutableSlots(onMutate) {
+  const detachers = new Map(); // key -> detach, for keys holding a MUTABLE value
+
+  // The key now holds value: detach from the old one, attach to value if
+  // it speaks the protocol
+  function track(key, value) {
+    const detach = detachers.get(key);
+    if (detach) {
+      detach();
+      detachers.delete(key);
+    }
+    const attach = value && typeof value === 'object' ? value[MUTABLE] : undefined;
+    if (typeof attach === 'function') {
+      detachers.set(key, attach(() => onMutate(key)));
+    }
+  }
+
+  function detachAll() {
+    for (const detach of detachers.values()) detach();
+    detachers.clear();
+  }
+
+  return {
+    track,
+    has: (key) => detachers.has(key),
+    isEmpty: () => detachers.size === 0,
+    detachAll,
+  };
+}
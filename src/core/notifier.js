@@ -0,0 +1,326 @@
+/**
+ * Lume-JS Store Notifier
+ *
+ * The per-store half of the kernel that is not the Proxy: the listener
+ * registry (listeners.js), the pending-notification queue, beforeFlush
+ * hooks, the effect queues (effectQueues.js), flush scheduling (the
+ * store's scheduler, or capture by batch()), and their teardown for
+ * $dispose(). state.js creates one notifier per
+ * store and drives it from its traps and $-methods.
+ */
+
+import { logError } from '../utils/log.js';
+import { enqueueIfBatching, MAX_FLUSH_ITERATIONS } from './batch.js';
+import { holdWrite, dropWrite } from './transaction.js';
+import { createEffectQueues, runEffects } from './effectQueues.js';
+import { scheduleDefault } from './scheduler.js';
+import { createListenerRegistry, noopUnsubscribe, ALL_KEYS, OWN_KEYS } from './listeners.js';
+
+/**
+ * Create the listener registry + flush pipeline for one store.
+ *
+ * @param {function} [schedule] - The store's scheduler, resolved (see
+ *   scheduler.js); the default scheduler when omitted
+ * @returns {{
+ *   addListener: function(string|symbol, function, string): function,
+ *   registerEffect: function(string|symbol, function, function=, string=): function,
+ *   addBeforeFlush: function(function): function,
+ *   queue: function(string|symbol, *, *, boolean=, boolean=): void,
+ *   markQueued: function(string|symbol): object,
+ *   unqueue: function(string|symbol, *, object, boolean): void,
+ *   dispose: function(): void,
+ *   describe: function(): object
+ * }}
+ */
+export function createNotifier(schedule = scheduleDefault) {
+  // Listener table ($subscribe callbacks and effect subscriptions) — see
+  // listeners.js. Its live count lets queue() skip the whole notify/flush
+  // pipeline for a store nothing observes (the no-subscriber fast path).
+  const registry = createListenerRegistry();
+  const { listeners, add: addListener } = registry;
+  const pendingNotifications = new Map(); // Per-state pending changes
+  // key -> { oldValue, had, has }: the value before the first write of this
+  // flush window, whether the key existed then, and whether it exists after
+  // the last one. Recorded only while the change feed has listeners, so the
+  // feed reports exactly the writes made while someone was listening.
+  const pendingOldValues = new Map();
+  // Queued effect runs by flush timing, deduped per state
+  const effects = createEffectQueues(addListener);
+  const beforeFlushHooks = [];
+  // Auto-tracked effect run → { subscriptions on this store, callback for
+  // $dispose() } (see registerEffect)
+  const effectOwners = new Map();
+  let flushScheduled = false;
+  let disposed = false;
+
+  // ── Flush steps ──────────────────────────────────────────────────────
+  // Named pieces shared by the per-state scheduled flush and batch().
+
+  function runBeforeFlushHooks() {
+    for (let i = 0; i < beforeFlushHooks.length; i++) {
+      try {
+        beforeFlushHooks[i]();
+      } catch (err) {
+        logError('[Lume.js state] Error in beforeFlush hook:', err);
+      }
+    }
+  }
+
+  function notifySubscribers() {
+    // Drain BEFORE delivering. Iterating the live Map is wrong twice over:
+    // a subscriber writing back to an already-delivered key would update
+    // the in-flight entry (never revisited) and the trailing clear() would
+    // destroy it — a silently lost update; and a subscriber opening a
+    // batch() would re-deliver every in-flight entry through the wave's
+    // re-entrant call. Draining first means write-backs land in the now-
+    // empty live Map and are delivered by the next flush iteration/wave.
+    // No listeners on any key: drop the coalesced pending writes without the
+    // Array.from allocation or the delivery loop. Only reachable when a flush
+    // was scheduled by something other than a plain observed write (e.g. a
+    // store with beforeFlush hooks but no subscribers) — queue() short-
+    // circuits the common no-observer write before scheduling at all.
+    if (registry.size() === 0) {
+      pendingNotifications.clear();
+      pendingOldValues.clear();
+      return;
+    }
+    const entries = Array.from(pendingNotifications);
+    pendingNotifications.clear();
+    const changes = takeChanges(entries);
+    for (const [key, value] of entries) {
+      if (listeners[key]) deliver(listeners[key], key, value);
+    }
+    if (changes.length > 0) notifyChangeFeed(changes);
+  }
+
+  function deliver(subs, key, value) {
+    let i = 0;
+    while (i < subs.length) {
+      const fn = subs[i];
+      try {
+        fn(value);
+      } catch (err) {
+        logError(`[Lume.js state] Error notifying subscriber for key "${String(key)}":`, err);
+      }
+      // Only advance if fn wasn't removed (something shifted into its place)
+      if (subs[i] === fn) i++;
+    }
+  }
+
+  /**
+   * Pair drained entries with their recorded old values (feed records).
+   * A key added or deleted over the window is marked so; one added and
+   * deleted again is no change at all.
+   */
+  function takeChanges(entries) {
+    const changes = [];
+    if (pendingOldValues.size === 0) return changes;
+    for (const [key, value] of entries) {
+      const old = pendingOldValues.get(key);
+      if (!old || (!old.had && !old.has)) continue;
+      const change = { key, value, oldValue: old.oldValue };
+      if (!old.had) change.added = true;
+      else if (!old.has) change.deleted = true;
+      changes.push(change);
+    }
+    pendingOldValues.clear();
+    return changes;
+  }
+
+  function notifyChangeFeed(changes) {
+    const subs = listeners[ALL_KEYS];
+    if (!subs) return;
+    for (const fn of subs.slice()) {
+      try {
+        fn(changes);
+      } catch (err) {
+        logError('[Lume.js state] Error notifying change feed subscriber:', err);
+      }
+    }
+  }
+
+  // Handle this state gives batch() — flush steps only, no live queues.
+  const batchHandle = {
+    runBeforeFlushHooks,
+    notifySubscribers,
+    takePreEffects: effects.takePre,
+    takeEffects: effects.take,
+    takePostEffects: effects.takePost,
+  };
+
+  /**
+   * Schedule a single flush for this state object (a microtask unless the
+   * store or the default says otherwise — see scheduler.js).
+   *
+   * Flush order per state:
+   * 1) Run each queued { flush: 'pre' } effect once
+   * 2) Notify subscribers for changed keys (key → subscribers)
+   * 3) Run each queued effect exactly once (Set-based dedupe)
+   * 4) Once nothing is left pending, run the { flush: 'post' } effects
+   * 5) Repeat up to 100 iterations to handle cascading updates,
+   *    then log an error to prevent infinite loops.
+   * { flush: 'sync' } effects are not part of it: they run on the write.
+   *
+   * Notes:
+   * - Batching is per state; effects that depend on multiple states
+   *   may run once per state that changed (by design). Use batch() to
+   *   group writes across states and run such effects once.
+   * - Inside batch(), the scheduler is skipped: the state enqueues
+   *   itself for the synchronous flush at the end of the batch.
+   */
+  function scheduleFlush() {
+    // Inside batch(): the batch captures this state's flush handle and
+    // flushes synchronously at the end — skip the scheduler.
+    if (enqueueIfBatching(batchHandle)) return;
+
+    if (flushScheduled) return;
+
+    flushScheduled = true;
+    schedule(flush);
+  }
+
+  function flush() {
+    // Scheduled before an asyncBatch() began: the batch flushes it instead
+    if (enqueueIfBatching(batchHandle)) {
+      flushScheduled = false;
+      return;
+    }
+
+    let iterations = 0;
+
+    try {
+      while ((pendingNotifications.size > 0 || effects.pending()) && iterations < MAX_FLUSH_ITERATIONS) {
+        iterations++;
+        runBeforeFlushHooks();
+        runEffects(effects.takePre());
+        notifySubscribers();
+        runEffects(effects.take());
+        // Post effects wait until the writes of the effects above are delivered
+        if (pendingNotifications.size === 0) runEffects(effects.takePost());
+      }
+    } finally {
+      flushScheduled = false;
+    }
+
+    if (iterations >= MAX_FLUSH_ITERATIONS) {
+      logError(
+        '[Lume.js state] Maximum flush iterations reached (100). ' +
+        'This usually indicates an infinite loop caused by an effect or computed mutating state it depends on.'
+      );
+    }
+  }
+
+  // Defined once per state instance — not per property read — to avoid per-read closure allocation.
+  // onDispose (optional) is called if the store is disposed while the
+  // effect still has subscriptions on it. flush is the effect's timing
+  // ('pre', 'post', 'sync'; default when omitted) — see effectQueues.js.
+  const registerEffect = (key, executeFn, onDispose, flush) => {
+    if (disposed) return noopUnsubscribe;
+    const unsubscribe = effects.add(key, executeFn, flush);
+    if (!onDispose || unsubscribe === noopUnsubscribe) return unsubscribe;
+
+    let owner = effectOwners.get(executeFn);
+    if (!owner) effectOwners.set(executeFn, (owner = { count: 0, onDispose }));
+    owner.count++;
+    return () => {
+      unsubscribe();
+      if (--owner.count === 0) effectOwners.delete(executeFn);
+    };
+  };
+
+  function addBeforeFlush(fn) {
+    if (beforeFlushHooks.indexOf(fn) === -1) {
+      beforeFlushHooks.push(fn);
+    }
+    return () => {
+      const idx = beforeFlushHooks.indexOf(fn);
+      if (idx !== -1) {
+        beforeFlushHooks.splice(idx, 1);
+      }
+    };
+  }
+
+  /**
+   * Queue a changed key for the next flush. oldValue is the value the key
+   * held before this write (the change feed keeps the first per window);
+   * had and has tell whether the key existed before and after it.
+   *
+   * No-subscriber fast path: with zero listeners and no beforeFlush hooks,
+   * nothing observes this write — populating the pending map, enqueuing
+   * into a batch, and flushing would notify nobody. Storing the value (the
+   * caller's job) is the whole job, so skip the scheduling cost (it is O(N)
+   * per frame for a store written N times a frame, e.g. a high-churn data
+   * layer read back by a rAF poll instead of subscribers). A later
+   * $subscribe still delivers the current value immediately, and effects
+   * subscribe before they can depend on a key, so no update is missed.
+   */
+  function queue(key, value, oldValue, had = true, has = true) {
+    if (registry.size() === 0 && effects.size() === 0 && beforeFlushHooks.length === 0) return;
+
+    // Batch notifications at the state level (per-state, not global)
+    pendingNotifications.set(key, value);
+    if (listeners[ALL_KEYS] && key !== OWN_KEYS) {
+      let old = pendingOldValues.get(key);
+      if (!old) pendingOldValues.set(key, (old = { oldValue, had }));
+      old.has = has;
+    }
+    // Queue pre effects (and run sync ones) first: a sync scheduler
+    // flushes inside scheduleFlush(), and must find them queued. A
+    // transaction holds them until it ends.
+    if (!holdWrite(effects.written, key)) effects.written(key);
+    scheduleFlush();
+  }
+
+  /**
+   * Transaction support: what is pending for key right now, and putting it
+   * back. A key pending before the transaction was pending with its current
+   * value (present or not), so restoring that value restores the entry.
+   * The pre and sync effects held for the discarded write are dropped.
+   */
+  function markQueued(key) {
+    return { pending: pendingNotifications.has(key), old: pendingOldValues.has(key) };
+  }
+
+  function unqueue(key, value, mark, present) {
+    if (mark.pending) pendingNotifications.set(key, value);
+    else pendingNotifications.delete(key);
+    if (!mark.old) pendingOldValues.delete(key);
+    else pendingOldValues.get(key).has = present;
+    dropWrite(effects.written, key);
+  }
+
+  /**
+   * Tear down: drop every listener, hook and pending notification (a flush
+   * already scheduled finds nothing to do), and tell the effects subscribed
+   * here. Later effect registrations are no-ops.
+   */
+  function dispose() {
+    disposed = true;
+    registry.clear();
+    beforeFlushHooks.length = 0;
+    pendingNotifications.clear();
+    pendingOldValues.clear();
+    effects.clear();
+    for (const owner of effectOwners.values()) owner.onDispose();
+    effectOwners.clear();
+  }
+
+  /**
+   * Snapshot for inspect(): listener counts (listeners.js, plus the pre
+   * and sync effects of effectQueues.js), beforeFlush hooks, and the writes
+   * waiting for the next flush (string keys).
+   */
+  function describe() {
+    const pending = {};
+    for (const [key, value] of pendingNotifications) {
+      if (typeof key === 'string') pending[key] = value;
+    }
+    const counts = registry.counts();
+    for (const [key, n] of Object.entries(effects.counts())) {
+      counts.effects[key] = (counts.effects[key] || 0) + n;
+    }
+    return { ...counts, beforeFlush: beforeFlushHooks.length, pending, disposed };
+  }
+
+  return { addListener, registerEffect, addBeforeFlush, queue, markQueued, unqueue, dispose, describe };
+}
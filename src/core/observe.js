@@ -0,0 +1,148 @@
+/**
+ * Lume-JS Read Observation
+ *
+ * The active read observers and the scopes that install them: state.js
+ * reports every tracked read here, and effect.js (or any other primitive
+ * built on the kernel) observes them with withReadObserver(), or with
+ * scopedReadObserver() for the reads of one store. untrack() suspends them
+ * all (store.$peek() is built on it).
+ */
+
+// Active read observers — only populated during withReadObserver scopes.
+// This keeps state.js pure: tracking only happens when someone explicitly
+// asks to observe reads within a synchronous function call.
+//
+// Note: This Set is module-level, so all reactive state instances and effects
+// within the SAME module instance share it. This is standard behavior for
+// auto-tracking reactive libraries (Vue, MobX, Solid, etc.). Multiple copies
+// of the lume-js module (e.g. from different bundled chunks) each get their
+// own independent Set via ES module / CommonJS isolation.
+let readers = new Set();
+
+// Scoped observers: store → observers of that store's reads only. The count
+// keeps reportRead's no-observer path to two size checks.
+let scopedReaders = new WeakMap();
+let scopedCount = 0;
+
+/**
+ * Run a function with a read observer active.
+ * The observer receives (proxy, key, registerEffect) for every property read.
+ * Multiple observers can be active simultaneously (nested effects, devtools, etc.)
+ *
+ * Internal API — used by effect.js for auto-tracking. May be stabilized
+ * for third-party addons in a future release.
+ *
+ * @security The observer sees reads from ALL state instances within the same
+ * module instance, including nested scopes. Only pass trusted observer functions.
+ * scopedReadObserver(store, onRead, fn) limits observation to one store.
+ *
+ * @param {function} onRead - Called on each property access inside fn
+ * @param {function} fn - The function to run under observation
+ */
+export function withReadObserver(onRead, fn) {
+  readers.add(onRead);
+  try {
+    return fn();
+  } finally {
+    readers.delete(onRead);
+  }
+}
+
+/**
+ * Run a function with a read observer for one store active: onRead receives
+ * (proxy, key, registerEffect) for reads of that store only — reads of other
+ * stores are neither reported nor paid for. For devtools, analytics and
+ * addons that should not see the rest of the app's state.
+ *
+ * Reads are matched by the proxy state() returned: readonly() views and
+ * withPlugins() wrappers read through it, so pass the underlying store.
+ *
+ * @param {object} store - Reactive store created with state()
+ * @param {function} onRead - Called on each read of store inside fn
+ * @param {function} fn - The function to run under observation
+ * @returns {*} The return value of fn
+ */
+export function scopedReadObserver(store, onRead, fn) {
+  if (!store || typeof store !== 'object' || typeof store.$subscribe !== 'function') {
+    throw new Error('scopedReadObserver() requires a store from state()');
+  }
+  if (typeof onRead !== 'function' || typeof fn !== 'function') {
+    throw new Error('scopedReadObserver() requires an observer and a function');
+  }
+
+  let observers = scopedReaders.get(store);
+  if (!observers) scopedReaders.set(store, (observers = new Set()));
+  observers.add(onRead);
+  scopedCount++;
+  try {
+    return fn();
+  } finally {
+    observers.delete(onRead);
+    if (observers.size === 0) scopedReaders.delete(store);
+    scopedCount--;
+  }
+}
+
+/**
+ * Run fn with every active read observer suspended: its reads make no
+ * effect dependency and reach no scopedReadObserver. Observers installed
+ * inside fn (an effect created there) still see their own reads.
+ *
+ * @param {function} fn - The function to run untracked
+ * @returns {*} The return value of fn
+ *
+ * @example
+ * effect(() => {
+ *   // Re-runs when store.query changes, not when settings.pageSize does
+ *   search(store.query, untrack(() => settings.pageSize));
+ * });
+ */
+export function untrack(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('untrack() requires a function');
+  }
+  if (readers.size === 0 && scopedCount === 0) return fn();
+  const saved = [readers, scopedReaders, scopedCount];
+  readers = new Set();
+  scopedReaders = new WeakMap();
+  scopedCount = 0;
+  try {
+    return fn();
+  } finally {
+    [readers, scopedReaders, scopedCount] = saved;
+  }
+}
+
+/**
+ * Whether any read observer is active — whether a read made now could
+ * become a dependency. Lets addons skip per-read bookkeeping nobody needs.
+ *
+ * Internal API — exported for addons; not re-exported from the package root.
+ *
+ * @returns {boolean}
+ */
+export function isObserving() {
+  return readers.size > 0 || scopedCount > 0;
+}
+
+/**
+ * Report a read of proxy[key] to the active observers (none, most of the
+ * time). Called by the store traps.
+ *
+ * @param {object} proxy - The store read
+ * @param {string|symbol} key - The key read
+ * @param {function} registerEffect - The store's notifier.registerEffect
+ */
+export function reportRead(proxy, key, registerEffect) {
+  if (readers.size > 0) {
+    for (const reader of readers) {
+      reader(proxy, key, registerEffect);
+    }
+  }
+  if (scopedCount > 0) {
+    const observers = scopedReaders.get(proxy);
+    if (observers) {
+      for (const reader of observers) reader(proxy, key, registerEffect);
+    }
+  }
+}
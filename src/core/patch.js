@@ -0,0 +1,111 @@
+/**
+ * Lume-JS Store Patches
+ *
+ * The machinery behind store.$patch(): resolving the function form into a
+ * plain patch object (recordWrites), and applying a patch to a store
+ * (patchStore). withPlugins reuses recordWrites so plugins see the
+ * resolved patch before it is applied. store.$reset() (resetStore) is a
+ * patch back to the initial snapshot. Both write inside batch(), so the
+ * writes reach subscribers in one wave whatever the store's scheduler.
+ */
+
+import { logWarn } from '../utils/log.js';
+import { batch } from './batch.js';
+
+/**
+ * Run fn against a draft of source and return the top-level writes it made.
+ * Reads see earlier draft writes, then source. Nothing touches source, so
+ * if fn throws no write has happened.
+ *
+ * @param {function} fn - (draft) => void
+ * @param {object} source - Store (or wrapper) the draft reads from
+ * @returns {object} Null-prototype object of key → written value
+ */
+export function recordWrites(fn, source) {
+  const writes = Object.create(null);
+  const draft = new Proxy(writes, {
+    get(target, key) {
+      return key in target ? target[key] : source[key];
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    },
+  });
+  fn(draft);
+  return writes;
+}
+
+/**
+ * Apply a patch through the store proxy (so every write takes the normal
+ * path: blocked keys, deep wrapping, notification) and report what changed.
+ *
+ * @param {object} proxy - The store proxy
+ * @param {object} target - The raw object behind it
+ * @param {object|function} patch - Key → value object, or (draft) => void
+ * @returns {Set<string>} Keys whose value actually changed
+ */
+export function patchStore(proxy, target, patch) {
+  const writes = typeof patch === 'function' ? recordWrites(patch, proxy) : patch;
+  if (!writes || typeof writes !== 'object') {
+    throw new Error('$patch requires an object or a function');
+  }
+
+  const changed = new Set();
+  // A batch: with the sync scheduler each write would flush on its own
+  batch(() => {
+    for (const key of Object.keys(writes)) {
+      // $-keys are the store's meta API — a patch from data must not replace them
+      if (key.startsWith('$')) {
+        logWarn(`[Lume.js state] $patch(): skipped reserved key "${key}"`);
+        continue;
+      }
+      const before = target[key];
+      proxy[key] = writes[key];
+      if (!Object.is(target[key], before)) changed.add(key);
+    }
+  });
+  return changed;
+}
+
+// Stores whose $reset is running — a store reachable from itself (a.b = b,
+// b.a = a) would otherwise recurse forever.
+const resetting = new Set();
+
+/**
+ * Restore keys to their initial values through the proxy (subscribers and
+ * bindings fire), then reset any nested store they hold, in place.
+ *
+ * @param {object} proxy - The store proxy
+ * @param {object} target - The raw object behind it
+ * @param {object} initial - Frozen snapshot taken by state()
+ * @param {string[]} [keys] - Keys to reset (default: every snapshot key)
+ */
+export function resetStore(proxy, target, initial, keys) {
+  const list = keys === undefined ? Object.keys(initial) : keys;
+  if (!Array.isArray(list)) {
+    throw new Error('$reset requires an array of keys');
+  }
+
+  resetting.add(proxy);
+  try {
+    batch(() => resetKeys(proxy, target, initial, list));
+  } finally {
+    resetting.delete(proxy);
+  }
+}
+
+function resetKeys(proxy, target, initial, list) {
+  for (const key of list) {
+    if (!Object.prototype.hasOwnProperty.call(initial, key)) {
+      logWarn(`[Lume.js state] $reset(): key "${key}" has no initial value`);
+      continue;
+    }
+    proxy[key] = initial[key];
+    // Read back from the target: deep mode stores the child, not the raw object
+    const value = target[key];
+    if (value && typeof value === 'object' && typeof value.$reset === 'function' && !resetting.has(value)) {
+      value.$reset();
+    }
+  }
+}
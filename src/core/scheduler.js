@@ -0,0 +1,72 @@
+/**
+ * Lume-JS Flush Schedulers
+ *
+ * When a store's pending writes are flushed. A scheduler is a function
+ * that receives the store's flush and calls it later (or right away):
+ *
+ *   'microtask'      - queueMicrotask (default)
+ *   'sync'           - immediately, inside the write
+ *   'animationFrame' - requestAnimationFrame (a 16 ms timer without one)
+ *   'idle'           - requestIdleCallback (a 0 ms timer without one)
+ *   (flush) => void  - custom
+ *
+ * Stores pick theirs with state(obj, { scheduler }); the rest use the
+ * default, set with setDefaultScheduler() and read at every scheduling, so
+ * changing it also moves existing stores. batch() ignores schedulers: it
+ * flushes every store it captured when it ends.
+ */
+
+const SCHEDULERS = {
+  microtask: (flush) => queueMicrotask(flush),
+  sync: (flush) => flush(),
+  animationFrame: (flush) => (typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(() => flush())
+    : setTimeout(flush, 16)),
+  idle: (flush) => (typeof requestIdleCallback === 'function'
+    ? requestIdleCallback(() => flush())
+    : setTimeout(flush, 0)),
+};
+
+let defaultScheduler = SCHEDULERS.microtask;
+
+/**
+ * Turn a scheduler option (name or function) into a function.
+ *
+ * Internal API — used by notifier.js; not exported from the package root.
+ *
+ * @param {string|function} scheduler
+ * @param {string} caller - Prefix for the error message
+ * @returns {function}
+ */
+export function resolveScheduler(scheduler, caller) {
+  if (typeof scheduler === 'function') return scheduler;
+  if (Object.prototype.hasOwnProperty.call(SCHEDULERS, scheduler)) return SCHEDULERS[scheduler];
+  throw new Error(`${caller} scheduler must be one of: ${Object.keys(SCHEDULERS).join(', ')}, or a function`);
+}
+
+/**
+ * Schedule a flush with the current default scheduler.
+ *
+ * Internal API — used by notifier.js for stores without their own.
+ *
+ * @param {function} flush
+ */
+export function scheduleDefault(flush) {
+  defaultScheduler(flush);
+}
+
+/**
+ * Set the scheduler of every store created without a scheduler option —
+ * including stores that already exist.
+ *
+ * @param {string|function} scheduler - 'microtask' | 'sync' |
+ *   'animationFrame' | 'idle', or (flush) => void
+ *
+ * @example
+ * // Synchronous flushes in tests
+ * beforeEach(() => setDefaultScheduler('sync'));
+ * afterEach(() => setDefaultScheduler('microtask'));
+ */
+export function setDefaultScheduler(scheduler) {
+  defaultScheduler = resolveScheduler(scheduler, 'setDefaultScheduler()');
+}
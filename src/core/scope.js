@@ -0,0 +1,193 @@
+/**
+ * Lume-JS Effect Scopes
+ *
+ * effectScope(fn) owns the reactive work created while fn runs: effects,
+ * computed values, $subscribe (and the watch(), bindDom() and repeat()
+ * built on it) and nested scopes. scope.stop() disposes all of it at once;
+ * scope.pause() holds it back until scope.resume().
+ *
+ * Usage:
+ *   import { state, effect, effectScope, onScopeDispose } from "lume-js";
+ *
+ *   const scope = effectScope(() => {
+ *     effect(() => render(store.items));
+ *     store.$subscribe('filter', save);
+ *     onScopeDispose(() => console.log('panel closed'));
+ *   });
+ *
+ *   scope.pause();   // hidden: no re-runs, no subscriber calls
+ *   scope.resume();  // shown: whatever missed a change catches up once
+ *   scope.stop();    // closed: everything is disposed
+ *
+ * Behavior:
+ * - Only work created synchronously inside the scope's function (or a later
+ *   scope.run()) is captured — not work created by a later effect re-run.
+ * - A paused effect that missed a change re-runs once on resume; a paused
+ *   key subscriber that missed a change is called once with the latest
+ *   value. Change feed subscribers ($subscribe('*')) are stopped with the
+ *   scope but not paused: a feed cannot be caught up with one value.
+ * - A throwing cleanup is logged; the others still run.
+ */
+
+import { logError, logWarn } from '../utils/log.js';
+
+// The scope whose function is running (or null)
+let activeScope = null;
+
+// scope -> what it owns: { stop, pause?, resume? } handles, in creation order
+const ownedBy = new WeakMap();
+
+/**
+ * Hand a disposable to the active scope, if any. Internal API — used by
+ * $subscribe and effect(); addons use onScopeDispose().
+ *
+ * @param {{ stop: function, pause?: function, resume?: function }} handle
+ * @returns {function} handle.stop, for the caller to return — inside a
+ *   scope, wrapped so that stopping the handle on its own also releases it
+ */
+export function own(handle) {
+  const owned = ownedBy.get(activeScope); // none outside a scope
+  if (!owned) return handle.stop;
+  owned.add(handle);
+  if (activeScope.paused) handle.pause?.();
+  return () => {
+    owned.delete(handle);
+    handle.stop();
+  };
+}
+
+/**
+ * $subscribe inside a scope: pause-aware delivery. Outside a scope this is
+ * just subscribe(fn).
+ *
+ * @param {function} fn - The subscriber
+ * @param {function(function): function} subscribe - Registers a listener,
+ *   returns its unsubscribe
+ * @param {function} latest - Reads the key's current value (for resume)
+ */
+export function ownSubscription(fn, subscribe, latest) {
+  const scope = activeScope;
+  if (!scope) return subscribe(fn);
+  let missed = false;
+  return own({
+    stop: subscribe((value) => {
+      if (scope.paused) missed = true;
+      else fn(value);
+    }),
+    resume() {
+      if (!missed) return;
+      missed = false;
+      fn(latest());
+    },
+  });
+}
+
+/**
+ * Create a scope and run fn inside it.
+ *
+ * @param {function} fn - Creates the reactive work the scope will own
+ * @returns {{
+ *   run: function(function): *,
+ *   stop: function(): void,
+ *   pause: function(): void,
+ *   resume: function(): void,
+ *   readonly active: boolean,
+ *   readonly paused: boolean
+ * }} run(fn) captures more work later and returns fn's result
+ *
+ * If fn throws, whatever it created is disposed and the error rethrown.
+ *
+ * @example
+ * const scope = effectScope(() => {
+ *   bindDom(panel, store);
+ *   effect(() => { title.textContent = store.title; });
+ * });
+ * closeButton.onclick = () => scope.stop();
+ */
+export function effectScope(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('effectScope() requires a function');
+  }
+
+  const parent = activeScope;
+  const owned = new Set();
+  let stopped = false;
+  let paused = false;
+
+  const scope = {
+    get active() { return !stopped; },
+    get paused() { return paused; },
+    run(body) {
+      if (stopped) {
+        logWarn('[Lume.js effectScope] run() on a stopped scope — ignored');
+        return undefined;
+      }
+      const previous = activeScope;
+      activeScope = scope;
+      try {
+        return body();
+      } finally {
+        activeScope = previous;
+      }
+    },
+    pause() {
+      if (stopped || paused) return;
+      paused = true;
+      for (const handle of owned) handle.pause?.();
+    },
+    resume() {
+      if (stopped || !paused) return;
+      paused = false;
+      for (const handle of owned) handle.resume?.();
+    },
+    stop() {
+      if (stopped) return;
+      stopped = true;
+      // A nested scope stopped on its own: its parent no longer owns it
+      ownedBy.get(parent)?.delete(scope);
+      for (const handle of owned) {
+        try {
+          handle.stop();
+        } catch (error) {
+          logError('[Lume.js effectScope] Error in scope cleanup:', error);
+        }
+      }
+      owned.clear();
+    },
+  };
+
+  ownedBy.set(scope, owned);
+  own(scope); // a nested scope belongs to its parent
+  try {
+    scope.run(fn);
+  } catch (error) {
+    scope.stop();
+    throw error;
+  }
+  return scope;
+}
+
+/**
+ * The scope whose function is running, or null.
+ *
+ * @returns {object|null}
+ */
+export function getCurrentScope() {
+  return activeScope;
+}
+
+/**
+ * Run fn when the current scope stops. Lets addons tie their own teardown
+ * to the scope their API was called in.
+ *
+ * @param {function} fn - Cleanup function
+ * @returns {function} fn, wrapped to also release it from the scope — hand
+ *   this to the caller, so that stopping early leaves nothing behind
+ */
+export function onScopeDispose(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('onScopeDispose() requires a function');
+  }
+  if (!activeScope) logWarn('[Lume.js effectScope] onScopeDispose() called outside a scope — ignored');
+  return own({ stop: fn }); // outside a scope: fn itself
+}
@@ -8,12 +8,21 @@
  *
  * Features:
  * - Lightweight and Go-style
- * - Explicit nested states
- * - $subscribe for listening to key changes
- * - Cleanup with unsubscribe
- * - Per-state microtask batching for writes
+ * - Explicit nested states, or opt-in deep mode ({ deep: true })
+ * - $subscribe for listening to key changes (deletes notify with undefined)
+ * - Tracked `in` checks and key enumeration (Object.keys, for...in)
+ * - $patch for multi-key updates that report what changed
+ * - $initial / $reset for restoring the values the store was created with
+ * - Optional schema (schema() in addons): per-key write guards with a
+ *   reactive $errors map
+ * - Optional per-key equality (options.equals) for dropping no-op writes
+ * - Cleanup with unsubscribe, or $dispose() for the whole store
+ * - Per-state microtask batching for writes (or another scheduler:
+ *   options.scheduler, setDefaultScheduler)
  * - batch() for grouping writes across states with cross-store effect dedupe
- * - Scope-based read tracking via withReadObserver (multi-observer safe)
+ * - transaction() for batches that roll back on error
+ * - Scope-based read tracking via withReadObserver (multi-observer safe),
+ *   or scopedReadObserver for one store's reads
  *
  * Usage:
  *   import { state } from "lume-js";
@@ -23,75 +32,81 @@
  *   unsub(); // cleanup
  */
 
-import { logError, logWarn } from '../utils/log.js';
-import { enqueueIfBatching, MAX_FLUSH_ITERATIONS } from './batch.js';
-
-// Per-state batching – each state object maintains its own microtask flush.
-// This keeps effects simple and aligned with Lume's minimal philosophy.
+import { logWarn } from '../utils/log.js';
+import { createNotifier } from './notifier.js';
+import { noopUnsubscribe, ALL_KEYS, OWN_KEYS } from './listeners.js';
+import { patchStore, resetStore } from './patch.js';
+import { resolveScheduler } from './scheduler.js';
+import { journalWrite } from './transaction.js';
+import { reportRead, untrack } from './observe.js';
+import { createMutableSlots } from './mutable.js';
+import { own, ownSubscription } from './scope.js';
+import { wrapDeep, deepSnapshot } from './deep.js';
+import { REACTIVE_BRAND, INSPECT } from './symbols.js';
+
+export { withReadObserver, scopedReadObserver, untrack, isObserving } from './observe.js';
+export { MUTABLE } from './mutable.js';
+export { effectScope, getCurrentScope, onScopeDispose } from './scope.js';
+export { REACTIVE_BRAND, READONLY, INSPECT } from './symbols.js';
+
+// Per-state batching – each state object maintains its own microtask flush
+// (see notifier.js). This keeps effects simple and aligned with Lume's
+// minimal philosophy.
 
 /**
  * Creates a reactive state object.
  *
  * @param {Object} obj - Initial state object (must be plain object)
+ * @param {Object} [options]
+ * @param {boolean} [options.deep=false] - Lazily wrap nested plain objects
+ *   in their own state() on first read (and on write), caching the child
+ * @param {function} [options.schema] - Write guard built by schema()
+ *   (lume-js/addons), checked on every write; results in store.$errors
+ * @param {object} [options.equals] - Key → (oldValue, newValue) => boolean;
+ *   a write its comparator calls equal is dropped (e.g. shallowEqual)
+ * @param {string|function} [options.scheduler] - When flushes run:
+ *   'microtask', 'sync', 'animationFrame', 'idle' or (flush) => void;
+ *   the default scheduler when omitted (see scheduler.js)
  * @returns {Proxy} Reactive proxy with $subscribe method
  *
  * @example
  * const store = state({ count: 0 });
+ * const form = state({ account: { email: '' } }, { deep: true });
  */
 
-// Active read observers — only populated during withReadObserver scopes.
-// This keeps state.js pure: tracking only happens when someone explicitly
-// asks to observe reads within a synchronous function call.
-//
-// Note: This Set is module-level, so all reactive state instances and effects
-// within the SAME module instance share it. This is standard behavior for
-// auto-tracking reactive libraries (Vue, MobX, Solid, etc.). Multiple copies
-// of the lume-js module (e.g. from different bundled chunks) each get their
-// own independent Set via ES module / CommonJS isolation.
-const readers = new Set();
-
 /**
- * Brand symbol stamped on every object passed to state().
- *
- * Uses the global symbol registry (Symbol.for) so independent copies of
- * lume-js on the same page (e.g. a CDN build next to a bundled chunk)
- * agree on the same brand. This is a type tag for reliable detection
- * (see isReactive in addons), not a security boundary — any code can
- * stamp it.
+ * Keys a store refuses to write or delete (prototype-pollution guard).
  *
- * Internal API — exported for addons; not re-exported from the package root.
+ * Internal API — exported for addons that write paths into stores
+ * (applyPatch); not re-exported from the package root.
  */
-export const REACTIVE_BRAND = Symbol.for('lume.reactive');
+export const BLOCKED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
 
 // batch() lives in ./batch.js (which never imports this module — no cycle).
-// state.js participates through enqueueIfBatching in scheduleFlush below.
+// state.js participates through enqueueIfBatching in the notifier's
+// scheduleFlush (./notifier.js), and in transaction() (./transaction.js)
+// through journalWrite. Read observers (withReadObserver) live in
+// ./observe.js, the MUTABLE protocol in ./mutable.js, deep wrapping in
+// ./deep.js, effect scopes in ./scope.js, and the cross-copy symbols
+// (REACTIVE_BRAND, …) in ./symbols.js.
+
+/** Use after $dispose(): warn about the ignored operation, return result. */
+function refuse(operation, result) {
+  logWarn(`[Lume.js state] ${operation} ignored: the store was disposed`);
+  return result;
+}
 
-/**
- * Run a function with a read observer active.
- * The observer receives (proxy, key, registerEffect) for every property read.
- * Multiple observers can be active simultaneously (nested effects, devtools, etc.)
- *
- * Internal API — used by effect.js for auto-tracking. May be stabilized
- * for third-party addons in a future release.
- *
- * @security The observer sees reads from ALL state instances within the same
- * module instance, including nested scopes. Only pass trusted observer functions.
- * A future scoped variant (e.g., scopedReadObserver(store, fn)) may limit
- * observation to a single state instance.
- *
- * @param {function} onRead - Called on each property access inside fn
- * @param {function} fn - The function to run under observation
- */
-export function withReadObserver(onRead, fn) {
-  readers.add(onRead);
-  try {
-    return fn();
-  } finally {
-    readers.delete(onRead);
+/** $dispose({ deep: true }): dispose the stores held by obj's own keys. */
+function disposeChildren(obj) {
+  for (const key of Object.keys(obj)) {
+    const value = obj[key];
+    if (!key.startsWith('$') && value && typeof value === 'object' && REACTIVE_BRAND in value) {
+      value.$dispose({ deep: true });
+    }
   }
 }
 
-export function state(obj) {
+export function state(obj, options = {}) {
   // Validate input
   if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
     throw new Error('state() requires a plain object');
@@ -100,178 +115,97 @@ export function state(obj) {
     throw new Error('state() requires a mutable plain object');
   }
 
-  // Object.create(null) - no prototype chain lookups
-  const listeners = Object.create(null);
-  const pendingNotifications = new Map(); // Per-state pending changes
-  const pendingEffects = new Set(); // Dedupe effects per state
-  const beforeFlushHooks = [];
-  let flushScheduled = false;
-  // Live count of listeners across all keys ($subscribe callbacks and effect
-  // subscriptions both register through addListener, which keeps this in
-  // sync). Lets the set trap skip the whole notify/flush pipeline for a
-  // store nothing observes — see the no-subscriber fast path in the trap.
-  let listenerCount = 0;
-
-  // ── Flush steps ──────────────────────────────────────────────────────
-  // Named pieces shared by the per-state microtask flush and batch().
-
-  function runBeforeFlushHooks() {
-    for (let i = 0; i < beforeFlushHooks.length; i++) {
-      try {
-        beforeFlushHooks[i]();
-      } catch (err) {
-        logError('[Lume.js state] Error in beforeFlush hook:', err);
-      }
-    }
-  }
-
-  function notifySubscribers() {
-    // Drain BEFORE delivering. Iterating the live Map is wrong twice over:
-    // a subscriber writing back to an already-delivered key would update
-    // the in-flight entry (never revisited) and the trailing clear() would
-    // destroy it — a silently lost update; and a subscriber opening a
-    // batch() would re-deliver every in-flight entry through the wave's
-    // re-entrant call. Draining first means write-backs land in the now-
-    // empty live Map and are delivered by the next flush iteration/wave.
-    // No listeners on any key: drop the coalesced pending writes without the
-    // Array.from allocation or the delivery loop. Only reachable when a flush
-    // was scheduled by something other than a plain observed write (e.g. a
-    // store with beforeFlush hooks but no subscribers) — the set trap
-    // short-circuits the common no-observer write before scheduling at all.
-    if (listenerCount === 0) {
-      pendingNotifications.clear();
-      return;
-    }
-    const entries = Array.from(pendingNotifications);
-    pendingNotifications.clear();
-    for (const [key, value] of entries) {
-      if (listeners[key]) {
-        const subs = listeners[key];
-        let i = 0;
-        while (i < subs.length) {
-          const fn = subs[i];
-          try {
-            fn(value);
-          } catch (err) {
-            logError(`[Lume.js state] Error notifying subscriber for key "${String(key)}":`, err);
-          }
-          // Only advance if fn wasn't removed (something shifted into its place)
-          if (subs[i] === fn) i++;
-        }
-      }
-    }
-  }
+  const deep = options.deep === true;
+  // Deep mode: child stores share this store's deep mode and scheduler.
+  // schema and equals name this store's keys, not the child's.
+  const createChild = (raw) => state(raw, { deep, scheduler: options.scheduler });
 
-  /** Drain queued effects (Set deduplicates) into an array. */
-  function takeEffects() {
-    const effects = Array.from(pendingEffects);
-    pendingEffects.clear();
-    return effects;
+  const equals = options.equals;
+  if (equals !== undefined && (!equals || typeof equals !== 'object' ||
+    Object.values(equals).some((fn) => typeof fn !== 'function'))) {
+    throw new Error('state() equals must map keys to comparator functions');
   }
 
-  // Handle this state gives batch() — flush steps only, no live queues.
-  const batchHandle = { runBeforeFlushHooks, notifySubscribers, takeEffects };
-
-  /**
-   * Schedule a single microtask flush for this state object.
-   *
-   * Flush order per state:
-   * 1) Notify subscribers for changed keys (key → subscribers)
-   * 2) Run each queued effect exactly once (Set-based dedupe)
-   * 3) Repeat up to 100 iterations to handle cascading updates,
-   *    then log an error to prevent infinite loops.
-   *
-   * Notes:
-   * - Batching is per state; effects that depend on multiple states
-   *   may run once per state that changed (by design). Use batch() to
-   *   group writes across states and run such effects once.
-   * - Inside batch(), the microtask is skipped: the state enqueues
-   *   itself for the synchronous flush at the end of the batch.
-   */
-  function scheduleFlush() {
-    // Inside batch(): the batch captures this state's flush handle and
-    // flushes synchronously at the end — skip the microtask.
-    if (enqueueIfBatching(batchHandle)) return;
-
-    if (flushScheduled) return;
-
-    flushScheduled = true;
-    queueMicrotask(() => {
-      let iterations = 0;
-
-      try {
-        while ((pendingNotifications.size > 0 || pendingEffects.size > 0) && iterations < MAX_FLUSH_ITERATIONS) {
-          iterations++;
-          runBeforeFlushHooks();
-          notifySubscribers();
-          const effects = takeEffects();
-          for (let i = 0; i < effects.length; i++) {
-            try {
-              effects[i]();
-            } catch (err) {
-              logError('[Lume.js state] Error in effect:', err);
-            }
-          }
-        }
-      } finally {
-        flushScheduled = false;
-      }
-
-      if (iterations >= MAX_FLUSH_ITERATIONS) {
-        logError(
-          '[Lume.js state] Maximum flush iterations reached (100). ' +
-          'This usually indicates an infinite loop caused by an effect or computed mutating state it depends on.'
-        );
-      }
-    });
-  }
+  const { addListener, registerEffect, addBeforeFlush, queue, markQueued, unqueue, dispose, describe } = createNotifier(
+    options.scheduler === undefined ? undefined : resolveScheduler(options.scheduler, 'state()'));
+  let disposed = false;
 
   // Stamp the shared brand (non-enumerable: spreads/Object.assign copies
   // of a store do not inherit the brand and won't masquerade as reactive).
   Object.defineProperty(obj, REACTIVE_BRAND, { value: true });
+  // Introspection for tools (inspect() in addons), non-enumerable likewise.
+  // Configurable: wrapping the same object again points it at the new store.
+  Object.defineProperty(obj, INSPECT, {
+    configurable: true,
+    value: () => ({ keys: Object.keys(obj).filter((key) => !key.startsWith('$')), ...describe() }),
+  });
 
-  const MAX_SUBSCRIBERS = 1000;
-  const noopUnsubscribe = () => {};
+  // In-place mutation: same reference before and after
+  const mutables = createMutableSlots((key) => queue(key, obj[key], obj[key]));
+
+  // Initial snapshot for $initial/$reset. Data properties only: reading an
+  // accessor here would run user getters (and a getter has nothing to reset).
+  const initial = {};
+  for (const key of Object.keys(obj)) {
+    const desc = Object.getOwnPropertyDescriptor(obj, key);
+    if ('value' in desc && !key.startsWith('$') && !BLOCKED_KEYS.has(key)) {
+      initial[key] = desc.value;
+      mutables.track(key, desc.value);
+    }
+  }
+  Object.freeze(initial);
 
-  /**
-   * Shared listener registration with a per-key cap (subscriber DoS
-   * protection). Applied identically to $subscribe callbacks and effect
-   * subscriptions so both paths degrade the same way: a loud console
-   * error and a no-op unsubscribe.
-   */
-  function addListener(key, fn, kind) {
-    if (!listeners[key]) listeners[key] = [];
-    if (listeners[key].length >= MAX_SUBSCRIBERS) {
-      logError(
-        `[Lume.js state] Subscriber limit (${MAX_SUBSCRIBERS}) reached for key "${String(key)}". ` +
-        `${kind} ignored — it will NOT receive updates. ` +
-        'This usually means subscriptions are created in a loop without cleanup.'
-      );
-      return noopUnsubscribe;
+  // The schema addon hands over a guard factory: the kernel carries none
+  // of the rule checking itself
+  if (options.schema !== undefined && typeof options.schema !== 'function') {
+    throw new Error('state() schema must be built with schema() from lume-js/addons');
+  }
+  const guard = options.schema ? options.schema(initial) : null;
+  const DROP = {};
+
+  // Prepare a written value: schema check (recording the key's error), then
+  // deep wrapping. Returns the value to store, or DROP for a rejected write.
+  function incoming(key, value) {
+    if (disposed) return refuse(`Write to "${String(key)}"`, DROP);
+    const result = guard ? guard.check(key, value) : undefined;
+    if (result) {
+      obj.$errors[key] = result.error;
+      if (!result.write) return DROP;
+      value = result.value;
     }
-    listeners[key].push(fn);
-    listenerCount++;
-    return () => {
-      if (listeners[key]) {
-        const idx = listeners[key].indexOf(fn);
-        if (idx !== -1) {
-          listeners[key].splice(idx, 1);
-          listenerCount--; // inside the idx guard: a double-unsubscribe is a no-op
-          if (listeners[key].length === 0) delete listeners[key];
-        }
-      }
-    };
+    // Deep mode: a plain object written into any slot becomes a child store
+    return deep ? wrapDeep(value, createChild) : value;
   }
 
-  // Defined once per state instance — not per property read — to avoid per-read closure allocation.
-  const registerEffect = (key, executeFn) => {
-    const callback = () => {
-      pendingEffects.add(executeFn);
-    };
-    return addListener(key, callback, 'Effect subscription');
+  // transaction() rollback: save a key before its first write, put it back
+  const undo = {
+    capture: (key) => ({
+      had: Object.prototype.hasOwnProperty.call(obj, key),
+      value: obj[key],
+      queued: markQueued(key),
+    }),
+    restore(key, saved) {
+      if (saved.had) obj[key] = saved.value;
+      else delete obj[key];
+      mutables.track(key, saved.value);
+      unqueue(key, saved.value, saved.queued, saved.had);
+    },
   };
 
-  const BLOCKED_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+  const hasOwn = (key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  // Object.is, or the key's own comparator from options.equals
+  const unchanged = (key, oldValue, value) => Object.is(oldValue, value) ||
+    (!!equals && Object.prototype.hasOwnProperty.call(equals, key) && equals[key](oldValue, value));
+
+  // Notify active read observers (effects, devtools, etc.)
+  const track = (key) => reportRead(proxy, key, registerEffect);
+
+  // A key appeared or disappeared: re-run whatever enumerated the keys
+  function keysChanged() {
+    journalWrite(undo, OWN_KEYS);
+    queue(OWN_KEYS);
+  }
 
   const proxy = new Proxy(obj, {
     get(target, key) {
@@ -280,44 +214,72 @@ export function state(obj) {
         return target[key];
       }
 
-      const value = target[key];
+      let value = target[key];
 
-      // Notify active read observers (effects, devtools, etc.)
-      if (readers.size > 0) {
-        for (const reader of readers) {
-          reader(proxy, key, registerEffect);
-        }
+      // Deep mode: swap a nested plain object for its (cached) child store
+      // the first time it is read. Stored on the raw target directly — a
+      // lazy materialization, not a change, so nobody is notified. Only
+      // writable data keys hold it: a getter's result is left as it is.
+      if (deep && value && typeof value === 'object' && Object.getOwnPropertyDescriptor(target, key)?.writable) {
+        const wrapped = wrapDeep(value, createChild);
+        if (wrapped !== value) target[key] = value = wrapped;
       }
 
+      track(key);
       return value;
     },
 
+    // `key in store` is a read of key (a later add or delete changes its
+    // answer). Symbols are brand checks, not data — not tracked.
+    has(target, key) {
+      if (typeof key === 'string' && !key.startsWith('$')) track(key);
+      return key in target;
+    },
+
+    ownKeys(target) {
+      track(OWN_KEYS);
+      return Reflect.ownKeys(target);
+    },
+
+    deleteProperty(target, key) {
+      if (typeof key === 'string' && (BLOCKED_KEYS.has(key) || key.startsWith('$'))) {
+        logWarn(`[Lume.js state] Blocked delete of reserved key "${key}"`);
+        return true;
+      }
+      if (!hasOwn(key)) return true;
+      if (disposed) return refuse(`Delete of "${String(key)}"`, true);
+
+      const oldValue = target[key];
+      journalWrite(undo, key);
+      delete target[key];
+      if (mutables.has(key)) mutables.track(key, undefined);
+      queue(key, undefined, oldValue, true, false);
+      keysChanged();
+      return true;
+    },
+
     set(target, key, value) {
       if (typeof key === 'string' && BLOCKED_KEYS.has(key)) {
         logWarn(`[Lume.js state] Blocked write to reserved key "${key}"`);
         return true;
       }
 
+      value = incoming(key, value);
+      if (value === DROP) return true;
+
       const oldValue = target[key];
+      // New key (only an undefined read can be one — cheap check first)
+      const added = oldValue === undefined && !hasOwn(key);
 
-      // Skip update if value unchanged - Object.is() handles NaN and -0 correctly
-      if (Object.is(oldValue, value)) return true;
+      // Skip update if value unchanged - Object.is() handles NaN and -0
+      // correctly; options.equals can widen "unchanged" per key
+      if (!added && unchanged(key, oldValue, value)) return true;
 
+      journalWrite(undo, key);
       target[key] = value;
-
-      // No-subscriber fast path: with zero listeners and no beforeFlush
-      // hooks, nothing observes this write — populating the pending map,
-      // enqueuing into a batch, and flushing would notify nobody. Storing
-      // the value is the whole job, so skip the scheduling cost (it is O(N)
-      // per frame for a store written N times a frame, e.g. a high-churn
-      // data layer read back by a rAF poll instead of subscribers). A later
-      // $subscribe still delivers the current value immediately, and effects
-      // subscribe before they can depend on a key, so no update is missed.
-      if (listenerCount === 0 && beforeFlushHooks.length === 0) return true;
-
-      // Batch notifications at the state level (per-state, not global)
-      pendingNotifications.set(key, value);
-      scheduleFlush();
+      if (!mutables.isEmpty() || typeof value === 'object') mutables.track(key, value);
+      queue(key, value, oldValue, !added);
+      if (added) keysChanged();
 
       return true;
     }
@@ -328,7 +290,12 @@ export function state(obj) {
    * Calls the callback immediately with the current value.
    * Returns an unsubscribe function for cleanup.
    *
-   * @param {string} key - Property key to watch
+   * key '*' subscribes to the store-wide change feed instead: fn receives,
+   * once per flush, an array of { key, value, oldValue } records for every
+   * key written since the last flush (oldValue is the value before the
+   * first of those writes). No immediate call.
+   *
+   * @param {string} key - Property key to watch, or '*'
    * @param {function} fn - Callback function
    * @returns {function} Unsubscribe function
    */
@@ -342,15 +309,71 @@ export function state(obj) {
     if (typeof fn !== 'function') {
       throw new Error('$beforeFlush requires a function');
     }
-    if (beforeFlushHooks.indexOf(fn) === -1) {
-      beforeFlushHooks.push(fn);
-    }
-    return () => {
-      const idx = beforeFlushHooks.indexOf(fn);
-      if (idx !== -1) {
-        beforeFlushHooks.splice(idx, 1);
-      }
-    };
+    return addBeforeFlush(fn);
+  };
+
+  /**
+   * Write several keys at once. Accepts a key → value object, or a function
+   * that mutates a draft (its writes apply only if it returns normally).
+   * Subscribers see all writes in one flush, as with separate writes.
+   *
+   * @param {object|function} patch
+   * @returns {Set<string>} Keys whose value actually changed
+   */
+  obj.$patch = (patch) => patchStore(proxy, obj, patch);
+
+  // $initial and $errors are data, not methods: non-enumerable (like the
+  // brand) so JSON.stringify(store) and spreads show the store's own keys
+  // only. Configurable: wrapping the same object again replaces them.
+  const define = (key, value) => Object.defineProperty(obj, key, { value, writable: true, configurable: true });
+
+  /**
+   * Top-level values the store was created with (frozen, shallow). Nested
+   * stores keep their own $initial. Deep mode reads a nested object as its
+   * child store, like the store does.
+   */
+  define('$initial', deep ? deepSnapshot(initial, createChild) : initial);
+
+  /**
+   * Restore keys (default: all initial keys) to $initial through the proxy,
+   * so subscribers and bindings fire, and $reset() nested stores in place.
+   * Keys added after creation are left as they are.
+   *
+   * @param {string[]} [keys]
+   */
+  obj.$reset = (keys) => resetStore(proxy, obj, initial, keys);
+
+  /**
+   * Schema stores only: key → error message of the last write ('' when
+   * valid). A store of its own, so effects and bindDom can show errors.
+   */
+  if (guard) define('$errors', state(guard.errors));
+
+  /**
+   * Read a key without reporting the read: inside an effect it makes no
+   * dependency. Otherwise the same as store[key].
+   *
+   * @param {string} key
+   */
+  obj.$peek = (key) => untrack(() => proxy[key]);
+
+  /**
+   * Tear the store down: drop its subscribers, effect subscriptions and
+   * pending flush, and detach list() values. Effects that read only this
+   * store are disposed; effects reading other stores keep those. Later
+   * writes and subscriptions are ignored with a warning.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.deep=false] - Also dispose the stores held
+   *   by this store's keys (recursively)
+   */
+  obj.$dispose = (options) => {
+    if (disposed) return;
+    disposed = true;
+    dispose();
+    mutables.detachAll();
+    if (guard) obj.$errors.$dispose();
+    if (options?.deep) disposeChildren(obj);
   };
 
   obj.$subscribe = (key, fn) => {
@@ -358,15 +381,18 @@ export function state(obj) {
       throw new Error('Subscriber must be a function');
     }
 
-    const unsubscribe = addListener(key, fn, 'New subscriber');
-
-    // Over the cap: listener was not added, skip the immediate call too
-    if (unsubscribe === noopUnsubscribe) return unsubscribe;
+    if (disposed) return refuse(`$subscribe("${String(key)}")`, noopUnsubscribe);
 
-    // Call immediately with current value (NOT batched)
-    fn(proxy[key]);
+    if (key === '*') return own({ stop: addListener(ALL_KEYS, fn, 'Change feed subscriber') });
 
-    return unsubscribe;
+    // Inside effectScope(): owned by the scope, held back while it is paused
+    return ownSubscription(fn, (listener) => {
+      const unsubscribe = addListener(key, listener, 'New subscriber');
+      // Over the cap: listener was not added, skip the immediate call too.
+      // Otherwise call immediately with current value (NOT batched).
+      if (unsubscribe !== noopUnsubscribe) fn(proxy[key]);
+      return unsubscribe;
+    }, () => proxy[key]);
   };
 
   return proxy;
@@ -0,0 +1,44 @@
+/**
+ * Lume-JS Registry Symbols
+ *
+ * Symbols that independent copies of lume-js on one page must agree on,
+ * so they come from the global symbol registry (Symbol.for). state.js
+ * re-exports them.
+ *
+ * This module imports nothing, so every core module can use it.
+ */
+
+/**
+ * Brand symbol stamped on every object passed to state().
+ *
+ * Uses the global symbol registry (Symbol.for) so independent copies of
+ * lume-js on the same page (e.g. a CDN build next to a bundled chunk)
+ * agree on the same brand. This is a type tag for reliable detection
+ * (see isReactive in addons), not a security boundary — any code can
+ * stamp it.
+ *
+ * Internal API — exported for addons; not re-exported from the package root.
+ */
+export const REACTIVE_BRAND = Symbol.for('lume.reactive');
+
+/**
+ * Brand of read-only store views (the readonly() addon). bindDom checks it
+ * to bind such a view one-way: form inputs show its values but never write
+ * back.
+ *
+ * Registry symbol (Symbol.for) for the same cross-copy reason as the brand.
+ * Internal API — exported for addons and bindDom; not re-exported from the
+ * package root.
+ */
+export const READONLY = Symbol.for('lume.readonly');
+
+/**
+ * Non-enumerable method on every store's raw object: store[INSPECT]()
+ * returns a snapshot of its listeners, hooks and pending writes (see
+ * inspect() in addons). Reached through the proxy, so a store made by
+ * another lume-js copy can be inspected too.
+ *
+ * Registry symbol (Symbol.for) for the same cross-copy reason as the brand.
+ * Internal API — exported for addons; not re-exported from the package root.
+ */
+export const INSPECT = Symbol.for('lume.inspect');
@@ -0,0 +1,173 @@
+/**
+ * Lume-JS Transactions
+ *
+ * transaction(fn) is a batch() that can be undone: while it runs, every
+ * store records the value each key had before its first write (via
+ * journalWrite), and a throw or abort() puts those values back before the
+ * batch flushes, so subscribers never see the discarded writes. Pre and
+ * sync effects, which run on the write rather than at the flush, are held
+ * (holdWrite) until the transaction ends.
+ */
+
+import { batch } from './batch.js';
+
+// Undo journal of the innermost running transaction():
+// store handle -> Map<key, saved state>. null outside transactions.
+let journal = null;
+
+// Keys written inside the innermost running transaction(), whose pre and
+// sync effects wait for it to end: store's written() -> Set<key>.
+let heldWrites = null;
+
+/**
+ * Called by state.js before a write lands. Inside a transaction, asks the
+ * store to save the key's current state the first time the key is written.
+ *
+ * Internal API between core modules — not exported from the package root.
+ *
+ * @param {{capture: function(string): *, restore: function(string, *): void}} handle
+ * @param {string|symbol} key
+ */
+export function journalWrite(handle, key) {
+  if (journal === null) return;
+  let keys = journal.get(handle);
+  if (!keys) journal.set(handle, keys = new Map());
+  if (!keys.has(key)) keys.set(key, handle.capture(key));
+}
+
+/**
+ * Called by notifier.js for the pre and sync effects of a write. Inside a
+ * transaction they are held until it ends, so they never see a write it
+ * discards. Returns true if held (the caller must then skip running them).
+ *
+ * Internal API between core modules — not exported from the package root.
+ *
+ * @param {function(string|symbol): void} written - The store's effect runner
+ * @param {string|symbol} key
+ * @returns {boolean}
+ */
+export function holdWrite(written, key) {
+  if (heldWrites === null) return false;
+  let keys = heldWrites.get(written);
+  if (!keys) heldWrites.set(written, keys = new Set());
+  keys.add(key);
+  return true;
+}
+
+/**
+ * Called by notifier.js when a rollback puts key back: the effects held for
+ * it are dropped, as the value they last saw is current again.
+ *
+ * @param {function(string|symbol): void} written
+ * @param {string|symbol} key
+ */
+export function dropWrite(written, key) {
+  heldWrites.get(written)?.delete(key);
+}
+
+// At the end of a transaction: an enclosing one takes over its held keys,
+// the outermost runs their pre and sync effects (once per key).
+function releaseWrites(held, parent) {
+  for (const [written, keys] of held) {
+    if (parent === null) {
+      for (const key of keys) written(key);
+      continue;
+    }
+    const into = parent.get(written);
+    if (into) for (const key of keys) into.add(key);
+    else parent.set(written, keys);
+  }
+}
+
+function rollback(entries) {
+  for (const [handle, keys] of entries) {
+    for (const [key, saved] of keys) handle.restore(key, saved);
+  }
+}
+
+// A committed inner transaction hands its entries to the enclosing one,
+// which keeps its own (older) saved state for keys both wrote.
+function mergeInto(parent, entries) {
+  for (const [handle, keys] of entries) {
+    const into = parent.get(handle);
+    if (!into) {
+      parent.set(handle, keys);
+      continue;
+    }
+    for (const [key, saved] of keys) {
+      if (!into.has(key)) into.set(key, saved);
+    }
+  }
+}
+
+/**
+ * Run fn as a batch whose writes are all-or-nothing. If fn throws, or calls
+ * tx.abort(), every key written inside it — on any store — is put back to
+ * the value it had before, and subscribers and effects are not notified of
+ * the discarded writes (writes still pending from before the transaction
+ * flush as usual). On success it behaves exactly like batch().
+ *
+ * - A thrown error propagates after the rollback; abort() makes
+ *   transaction() return undefined.
+ * - Nested transactions roll back on their own; a committed inner
+ *   transaction is undone if the outer one rolls back.
+ * - Only assignments are undone: in-place mutations of a list() or
+ *   reactiveMap() held by a store are not.
+ * - Pre and sync effects are held too: they run once per written key when
+ *   the outermost transaction ends, for the keys its rollbacks kept.
+ * - fn must be synchronous: a returned Promise is rolled back and throws.
+ *
+ * @param {function({abort: function(): never}): *} fn - Function performing state writes
+ * @returns {*} The return value of fn, or undefined if aborted
+ *
+ * @example
+ * import { state, transaction } from 'lume-js';
+ *
+ * const cart = state({ items: ['book'] });
+ * const wishlist = state({ items: [] });
+ *
+ * transaction(() => {
+ *   wishlist.items = [...wishlist.items, 'book'];
+ *   cart.items = cart.items.filter(i => i !== 'book');
+ *   if (!saveAllowed()) throw new Error('offline'); // both writes undone
+ * });
+ */
+export function transaction(fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('transaction() requires a function');
+  }
+
+  // Thrown by abort() to unwind fn. One per call, so aborting an outer
+  // transaction from inside an inner one unwinds both.
+  const aborted = Symbol('aborted');
+  const tx = {
+    abort() {
+      throw aborted;
+    },
+  };
+
+  return batch(() => {
+    const parent = journal;
+    const parentHeld = heldWrites;
+    const entries = new Map();
+    const held = new Map();
+    journal = entries;
+    heldWrites = held;
+    try {
+      const result = fn(tx);
+      if (result && typeof result.then === 'function') {
+        throw new Error('transaction() requires a synchronous function');
+      }
+      if (parent !== null) mergeInto(parent, entries);
+      return result;
+    } catch (err) {
+      rollback(entries);
+      if (err !== aborted) throw err;
+    } finally {
+      journal = parent;
+      heldWrites = parentHeld;
+      releaseWrites(held, parentHeld);
+    }
+    return undefined; // aborted
+  });
+}
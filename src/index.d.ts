@@ -16,9 +16,21 @@ export type {
   Plugin,
   TypedPlugin,
   ReactiveState,
+  StateOptions,
+  SchemaRule,
+  StoreSchema,
+  Schema,
+  SchemaState,
+  DeepReactiveState,
+  ChangeRecord,
+  JsonPatchOperation,
+  Transaction,
+  AsyncBatchOptions,
+  Scheduler,
+  EffectScope,
 } from './state.js';
 
-export { state, batch, withReadObserver } from './state.js';
+export { state, batch, transaction, asyncBatch, setDefaultScheduler, withReadObserver, scopedReadObserver, untrack, effectScope, getCurrentScope, onScopeDispose } from './state.js';
 
 import type { ReactiveState, Unsubscribe } from './state.js';
 
@@ -138,15 +150,46 @@ export type TypedEffectDependency<T extends ReactiveState<any>> =
   ? [T, ...(keyof U & string)[]]
   : never;
 
+/**
+ * Run read with its reads tracked by the effect — for reads an async
+ * effect makes after an await. Once the run is aborted, read just runs.
+ */
+export type EffectTrack = <R>(read: () => R) => R;
+
+/**
+ * An effect body. Declaring parameters gives it a per-run AbortSignal,
+ * aborted before the next run and when the effect is disposed, and track().
+ * It may return a cleanup, or a promise whose rejection is logged.
+ */
+export type EffectFn = (
+  signal: AbortSignal,
+  track: EffectTrack
+) => void | (() => void) | Promise<unknown>;
+
+/**
+ * Options for an auto-tracking effect
+ */
+export interface EffectOptions {
+  /**
+   * When the effect re-runs: 'pre' before the store's subscribers, 'post'
+   * once the flush (or batch) has settled, 'sync' on every write. By
+   * default, right after the store's subscribers. Inside transaction(),
+   * 'pre' and 'sync' wait for it to end.
+   */
+  flush?: 'pre' | 'post' | 'sync';
+}
+
 /**
  * Create an effect with auto-tracking (default mode)
  * 
  * The effect runs immediately and re-runs when any accessed state properties change.
  * Only tracks properties that are actually accessed during execution.
  * 
- * @param fn - Function to run reactively
+ * @param fn - Function to run reactively; may return a cleanup, run before
+ *   each re-run and when the effect is disposed
+ * @param options - Flush timing (see EffectOptions)
  * @returns Cleanup function to stop the effect
- * @throws {Error} If fn is not a function
+ * @throws {Error} If fn is not a function, or flush is not a known mode
  * 
  * @example
  * ```typescript
@@ -162,8 +205,18 @@ export type TypedEffectDependency<T extends ReactiveState<any>> =
  * 
  * cleanup(); // Stop the effect
  * ```
+ *
+ * @example
+ * ```typescript
+ * // Async: each re-run aborts the previous run's request
+ * effect(async (signal, track) => {
+ *   const res = await fetch(`/search?q=${store.query}`, { signal });
+ *   const results = await res.json();
+ *   store.results = track(() => store.limit) ? results.slice(0, store.limit) : results;
+ * });
+ * ```
  */
-export function effect(fn: () => void): Unsubscribe;
+export function effect(fn: EffectFn, options?: EffectOptions): Unsubscribe;
 
 /**
  * Create an effect with explicit dependencies (no magic)
@@ -171,7 +224,8 @@ export function effect(fn: () => void): Unsubscribe;
  * The effect runs immediately and re-runs ONLY when specified dependencies change.
  * Does not auto-track any state access. Ideal for side-effects like logging.
  * 
- * @param fn - Function to run reactively
+ * @param fn - Function to run reactively; may return a cleanup, run before
+ *   each re-run and when the effect is disposed
  * @param deps - Array of [store, key] tuples specifying exact dependencies
  * @returns Cleanup function to stop the effect
  * @throws {Error} If fn is not a function
@@ -188,7 +242,28 @@ export function effect(fn: () => void): Unsubscribe;
  * cleanup(); // Stop the effect
  * ```
  */
-export function effect(fn: () => void, deps: EffectDependency[]): Unsubscribe;
+export function effect(fn: EffectFn, deps: EffectDependency[]): Unsubscribe;
+
+/**
+ * Register a cleanup for the effect run in progress
+ *
+ * The cleanup runs before the effect's next run and when the effect is
+ * disposed — the same as returning it from the effect. Errors it throws
+ * are logged; the other cleanups still run. Outside a running effect it
+ * warns and does nothing.
+ *
+ * @param fn - Cleanup function
+ * @throws {Error} If fn is not a function
+ *
+ * @example
+ * ```typescript
+ * effect(() => {
+ *   const socket = new WebSocket(`/rooms/${store.room}`);
+ *   onCleanup(() => socket.close()); // closed before joining the next room
+ * });
+ * ```
+ */
+export function onCleanup(fn: () => void): void;
 
 // ============================================================================
 // Utility Types
@@ -5,14 +5,24 @@
  * - state(): create reactive state
  * - bindDom(): zero-runtime DOM binding
  * - effect(): reactive effect with automatic dependency tracking
+ * - onCleanup(): undo an effect run's side effects before the next run
  * - batch(): group writes across states, flush once synchronously
+ * - transaction(): a batch that rolls back on error or abort()
+ * - asyncBatch(): hold every store's notifications until a promise settles
+ * - setDefaultScheduler(): when stores flush (microtask, sync, frame, idle)
  * - withReadObserver(): advanced API for custom reactive primitives
+ * - scopedReadObserver(): the same, for the reads of one store
+ * - untrack(): read without making dependencies
+ * - effectScope(): stop, pause or resume everything created inside it
+ * - getCurrentScope() / onScopeDispose(): scope hooks for addon authors
  *
  * Usage:
  *   import { state, bindDom, effect, batch } from "lume-js";
  */
 
-export { state, withReadObserver } from "./core/state.js";
-export { batch } from "./core/batch.js";
+export { state, withReadObserver, scopedReadObserver, untrack, effectScope, getCurrentScope, onScopeDispose } from "./core/state.js";
+export { batch, asyncBatch } from "./core/batch.js";
+export { transaction } from "./core/transaction.js";
+export { setDefaultScheduler } from "./core/scheduler.js";
 export { bindDom } from "./core/bindDom.js";
-export { effect } from "./core/effect.js";
+export { effect, onCleanup } from "./core/effect.js";
@@ -1,7 +1,7 @@
 /**
  * Lume.js Universal State Entry — TypeScript Definitions
  *
- * Source of truth for the DOM-free kernel: state(), batch(),
+ * Source of truth for the DOM-free kernel: state(), batch(), transaction(),
  * withReadObserver() and their types. This file must type-check WITHOUT
  * lib.dom — it is what `lume-js/state` consumers in Node, Deno, and
  * workers resolve (the full `lume-js` entry re-exports everything here
@@ -99,6 +99,27 @@ export interface Plugin {
    * @param value - New value being notified
    */
   onNotify?(key: string, value: any): void;
+
+  /**
+   * Called once per $patch() with the whole patch (function form already
+   * resolved). Plugins without onPatch get onSet for each key instead.
+   *
+   * Chain pattern: Each plugin receives the output of the previous plugin
+   *
+   * @param patch - Key → new value (possibly transformed by previous plugins)
+   * @param oldValues - Key → value before the patch
+   * @returns Transformed patch, or undefined to keep current patch
+   */
+  onPatch?(patch: Record<string, any>, oldValues: Record<string, any>): Record<string, any> | undefined;
+
+  /**
+   * Called before an existing key is deleted (`delete store[key]`).
+   * Return false to keep the key; the remaining plugins are skipped.
+   *
+   * @param key - Property key being deleted
+   * @param oldValue - Its current value
+   */
+  onDelete?(key: string, oldValue: any): boolean | void;
 }
 
 /**
@@ -128,12 +149,45 @@ export interface TypedPlugin<T extends object> {
   onSet?<K extends keyof T>(key: K, newValue: T[K], oldValue: T[K]): T[K] | undefined;
   onSubscribe?<K extends keyof T>(key: K): void;
   onNotify?<K extends keyof T>(key: K, value: T[K]): void;
+  onPatch?(patch: Partial<T>, oldValues: Partial<T>): Partial<T> | undefined;
+  onDelete?<K extends keyof T>(key: K, oldValue: T[K]): boolean | void;
 }
 
+/**
+ * One record of the store-wide change feed ($subscribe('*', fn)).
+ * oldValue is the value before the first write since the previous flush.
+ * added / deleted mark a key that did not exist before it, or no longer
+ * exists after the last write.
+ */
+export type ChangeRecord<T extends object> = {
+  [K in keyof T]: { key: K; value: T[K]; oldValue: T[K]; added?: true; deleted?: true }
+}[keyof T];
+
+/**
+ * One RFC 6902 operation, as emitted by changes() and applied by
+ * applyPatch() (lume-js/addons). path is a JSON Pointer ("/user/name", "/tags/0").
+ */
+export type JsonPatchOperation =
+  | { op: 'add' | 'replace'; path: string; value: unknown }
+  | { op: 'remove'; path: string };
+
 /**
  * Reactive state object with $subscribe method
  */
 export type ReactiveState<T extends object> = T & {
+  /**
+   * Subscribe to the store-wide change feed: the callback receives, once
+   * per flush, every key written since the last flush. Not called
+   * immediately.
+   * @param key - '*'
+   * @param callback - Receives the flush's change records
+   * @returns Unsubscribe function for cleanup
+   */
+  $subscribe(
+    key: '*',
+    callback: (changes: ChangeRecord<T>[]) => void
+  ): Unsubscribe;
+
   /**
    * Subscribe to changes on a specific property key
    * @param key - Property key to watch
@@ -145,6 +199,44 @@ export type ReactiveState<T extends object> = T & {
     callback: Subscriber<T[K]>
   ): Unsubscribe;
 
+  /**
+   * Tear the store down: drop its subscribers, effect subscriptions and
+   * pending flush. Effects that read only this store are disposed. Later
+   * writes and subscriptions are ignored with a warning.
+   * @param options - deep: also dispose the stores held by its keys
+   */
+  $dispose(options?: { deep?: boolean }): void;
+
+  /**
+   * Read a key without reporting the read: inside an effect it makes no
+   * dependency. Otherwise the same as `store[key]`.
+   * @param key - Property key to read
+   */
+  $peek<K extends keyof T>(key: K): T[K];
+
+  /**
+   * Write several keys at once: a key → value object, or a function that
+   * mutates a draft (applied only if it returns normally). Subscribers see
+   * all writes in one flush.
+   * @param patch - Partial state, or (draft) => void
+   * @returns Keys whose value actually changed
+   */
+  $patch(patch: Partial<T> | ((draft: T) => void)): Set<keyof T & string>;
+
+  /**
+   * Top-level values the store was created with (frozen, shallow).
+   * Nested stores keep their own $initial.
+   */
+  readonly $initial: Readonly<Partial<T>>;
+
+  /**
+   * Restore keys (default: every initial key) to $initial through the
+   * proxy, and $reset() nested stores in place. Keys added after creation
+   * are left as they are.
+   * @param keys - Keys to reset
+   */
+  $reset(keys?: (keyof T & string)[]): void;
+
   /**
    * Register a callback to run before each flush.
    * Dedupes duplicate function references.
@@ -160,10 +252,114 @@ export type ReactiveState<T extends object> = T & {
   readonly [lumeReactiveSymbol]?: true;
 };
 
+/**
+ * Write rule for one key of a schema store. Every field is optional.
+ */
+export interface SchemaRule<V = any> {
+  /** Expected type. NaN is not a 'number', null is not an 'object'. */
+  type?: 'string' | 'number' | 'boolean' | 'object' | 'array';
+  /** Allowed values (compared with Object.is) */
+  enum?: readonly V[];
+  /** Lower bound for numbers; minimum length for strings and arrays */
+  min?: number;
+  /** Upper bound for numbers; maximum length for strings and arrays */
+  max?: number;
+  /** Custom check: true passes, a string is the error message */
+  validate?(value: V): boolean | string;
+}
+
+/**
+ * Key → rule map for `schema()` (lume-js/addons)
+ */
+export type StoreSchema<T extends object> = {
+  [K in keyof T]?: SchemaRule<T[K]>;
+};
+
+/**
+ * A store's write guard, built by `schema(rules)` from lume-js/addons and
+ * passed as `state(obj, { schema })`. Opaque: only state() calls it.
+ */
+export interface Schema<S = StoreSchema<any>> {
+  (initial: Readonly<Record<string, unknown>>): unknown;
+  /** Type-level only: the rules this schema was built from */
+  readonly __rules?: S;
+}
+
+/**
+ * When a store flushes its pending writes: a built-in strategy, or a
+ * function that receives the flush and calls it (later, or right away).
+ */
+export type Scheduler =
+  | 'microtask'
+  | 'sync'
+  | 'animationFrame'
+  | 'idle'
+  | ((flush: () => void) => void);
+
+/**
+ * Options for state()
+ */
+export interface StateOptions<T extends object = any> {
+  /**
+   * Deep reactivity: nested plain objects are wrapped in their own
+   * state() lazily, on first read, and the child store is cached (the same
+   * nested object always yields the same child). Plain objects written
+   * into any slot later are wrapped too. Arrays, Maps, Sets, class
+   * instances and frozen objects stay as-is.
+   * @default false
+   */
+  deep?: boolean;
+
+  /**
+   * Write guard built by `schema()` (lume-js/addons): its rules are checked
+   * on every write to their key, and the results land in the store's
+   * reactive `$errors` map.
+   */
+  schema?: Schema<StoreSchema<T>>;
+
+  /**
+   * Per-key equality: a write whose comparator returns true for
+   * (currentValue, newValue) is dropped before anyone is notified.
+   * Checked after Object.is. See shallowEqual / deepEqual in lume-js/addons.
+   */
+  equals?: { [K in keyof T]?: (oldValue: T[K], newValue: T[K]) => boolean };
+
+  /**
+   * When this store flushes. 'animationFrame' and 'idle' fall back to
+   * timers where requestAnimationFrame / requestIdleCallback are missing.
+   * batch() still flushes the store synchronously when it ends.
+   * @default the default scheduler (see setDefaultScheduler)
+   */
+  scheduler?: Scheduler;
+}
+
+/**
+ * A store created with a schema: `$errors` maps each schema key to the
+ * error of its last write ('' when valid).
+ */
+export type SchemaState<T extends object, S> = ReactiveState<T> & {
+  readonly $errors: ReactiveState<{ [K in keyof S]: string }>;
+};
+
+/**
+ * Reactive state whose nested plain objects are reactive states too —
+ * the shape returned by `state(obj, { deep: true })`.
+ */
+export type DeepReactiveState<T extends object> = ReactiveState<{
+  [K in keyof T]: T[K] extends (...args: any[]) => any
+    ? T[K]
+    : T[K] extends readonly any[] | Date | RegExp | Map<any, any> | Set<any> | WeakMap<any, any> | WeakSet<any> | Promise<any>
+      ? T[K]
+      : T[K] extends object
+        ? DeepReactiveState<T[K]>
+        : T[K];
+}>;
+
 /**
  * Create a reactive state object
  * 
  * @param obj - Plain object to make reactive
+ * @param options - Optional configuration (e.g. `{ deep: true }`)
  * @returns Reactive proxy with $subscribe method
  * @throws {Error} If obj is not a plain object
  * 
@@ -185,9 +381,26 @@ export type ReactiveState<T extends object> = T & {
  * // Cleanup
  * unsub();
  * ```
- * 
+ *
+ * @example
+ * ```typescript
+ * // Deep mode: no hand-wrapping of nested objects
+ * const form = state({ account: { email: '' } }, { deep: true });
+ * form.account.$subscribe('email', v => console.log(v));
+ * form.account.email = 'a@b.c'; // notifies subscribers of 'email'
+ * ```
+ *
+ * @example
+ * ```typescript
+ * // Schema (lume-js/addons): invalid writes are rejected, errors are reactive
+ * const form = state({ age: 0 }, { schema: schema({ age: { type: 'number', min: 0 } }) });
+ * form.age = -1;      // dropped
+ * form.$errors.age;   // 'Must be at least 0'
+ * ```
  */
-export function state<T extends object>(obj: T): ReactiveState<T>;
+export function state<T extends object>(obj: T, options: StateOptions<T> & { deep: true }): DeepReactiveState<T>;
+export function state<T extends object, S extends StoreSchema<T>>(obj: T, options: StateOptions<T> & { schema: Schema<S> }): SchemaState<T, S>;
+export function state<T extends object>(obj: T, options?: StateOptions<T>): ReactiveState<T>;
 
 /**
  * Group multiple state writes and flush them together, synchronously,
@@ -229,6 +442,109 @@ export function state<T extends object>(obj: T): ReactiveState<T>;
  */
 export function batch<T>(fn: () => T): T;
 
+/**
+ * Handle passed to a transaction() function.
+ */
+export interface Transaction {
+  /** Roll back every write made so far and leave the transaction. */
+  abort(): never;
+}
+
+/**
+ * Run fn as a batch whose writes are all-or-nothing. If fn throws, or calls
+ * tx.abort(), every key written inside it — on any store — is put back to
+ * the value it had before, and subscribers are not notified of the
+ * discarded writes. On success it behaves exactly like batch().
+ *
+ * - A thrown error propagates after the rollback; abort() makes
+ *   transaction() return undefined.
+ * - Nested transactions roll back on their own; a committed inner
+ *   transaction is undone if the outer one rolls back.
+ * - Only assignments are undone, not in-place mutations of collections.
+ * - 'pre' and 'sync' effects run once per written key when the outermost
+ *   transaction ends, and not for rolled-back writes.
+ *
+ * fn must be synchronous: a returned Promise is rolled back and throws.
+ *
+ * @param fn - Function performing state writes
+ * @returns The return value of fn, or undefined if aborted
+ * @throws {Error} If fn is not a function, or returns a Promise
+ *
+ * @example
+ * ```typescript
+ * import { state, transaction } from 'lume-js';
+ *
+ * const cart = state({ items: ['book'] });
+ * const wishlist = state({ items: [] as string[] });
+ *
+ * transaction((tx) => {
+ *   wishlist.items = [...wishlist.items, 'book'];
+ *   cart.items = cart.items.filter(i => i !== 'book');
+ *   if (!canSave()) tx.abort(); // both writes undone
+ * });
+ * ```
+ */
+export function transaction<T>(fn: (tx: Transaction) => T): T | undefined;
+
+/**
+ * Options for asyncBatch()
+ */
+export interface AsyncBatchOptions {
+  /**
+   * Milliseconds after which the hold is released anyway, with a console
+   * warning. Infinity disables it.
+   * @default 5000
+   */
+  timeout?: number;
+}
+
+/**
+ * Like batch(), for an async function: notifications of every store are
+ * held until the returned promise settles, then flushed together,
+ * synchronously. Writes made by other code while it is pending are held
+ * too, and overlapping async batches release together when the last one
+ * settles. A batch() run by other code meanwhile still flushes when it
+ * ends.
+ *
+ * @param fn - Async function performing state writes
+ * @param options - `{ timeout }` safeguard
+ * @returns fn's result, after the flush
+ * @throws {Error} (rejects) If fn is not a function or timeout is invalid;
+ *   a rejection of fn propagates after the flush
+ *
+ * @example
+ * ```typescript
+ * import { state, asyncBatch } from 'lume-js';
+ *
+ * const form = state({ saving: false, result: null as string | null });
+ *
+ * await asyncBatch(async () => {
+ *   form.saving = true;
+ *   form.result = await submit();
+ *   form.saving = false;
+ * }); // one flush instead of three
+ * ```
+ */
+export function asyncBatch<T>(fn: () => Promise<T> | T, options?: AsyncBatchOptions): Promise<T>;
+
+/**
+ * Set the scheduler of every store created without a `scheduler` option,
+ * including stores that already exist. Starts as 'microtask'.
+ *
+ * @param scheduler - Built-in name or custom function
+ * @throws {Error} If scheduler is not a known name or a function
+ *
+ * @example
+ * ```typescript
+ * import { setDefaultScheduler } from 'lume-js';
+ *
+ * // Tests: every write flushes before the next line runs
+ * beforeEach(() => setDefaultScheduler('sync'));
+ * afterEach(() => setDefaultScheduler('microtask'));
+ * ```
+ */
+export function setDefaultScheduler(scheduler: Scheduler): void;
+
 /**
  * Run a function with a read observer active.
  *
@@ -250,3 +566,128 @@ export function withReadObserver<T>(
   ) => void,
   fn: () => T
 ): T;
+
+/**
+ * Run a function with a read observer for one store active.
+ *
+ * Like `withReadObserver()`, but the observer only receives reads of
+ * `store` — reads of other stores are not reported, and cost nothing extra.
+ * Pass the store `state()` returned, not a `readonly()` view or
+ * `withPlugins()` wrapper of it.
+ *
+ * @param store - The store to observe
+ * @param onRead - Called on each read of store inside fn
+ * @param fn - The function to run under observation
+ * @returns The return value of fn
+ *
+ * @example
+ * ```typescript
+ * const keys = new Set<string>();
+ * scopedReadObserver(store, (_proxy, key) => keys.add(key), () => render());
+ * ```
+ */
+export function scopedReadObserver<S extends object, T>(
+  store: ReactiveState<S>,
+  onRead: (
+    proxy: ReactiveState<S>,
+    key: string,
+    registerEffect: (key: string, executeFn: () => void) => () => void
+  ) => void,
+  fn: () => T
+): T;
+
+/**
+ * Run a function with every active read observer suspended.
+ *
+ * Reads inside `fn` make no effect dependency and reach no
+ * `scopedReadObserver()`. Observers installed inside `fn` (an effect created
+ * there) still see their own reads.
+ *
+ * @param fn - The function to run untracked
+ * @returns The return value of fn
+ * @throws {Error} If fn is not a function
+ *
+ * @example
+ * ```typescript
+ * effect(() => {
+ *   // Re-runs when store.query changes, not when settings.pageSize does
+ *   search(store.query, untrack(() => settings.pageSize));
+ * });
+ * ```
+ */
+export function untrack<T>(fn: () => T): T;
+
+/**
+ * A group of reactive work created by `effectScope()`.
+ */
+export interface EffectScope {
+  /** False once the scope is stopped */
+  readonly active: boolean;
+  /** True between pause() and resume() */
+  readonly paused: boolean;
+  /**
+   * Run fn inside the scope, capturing what it creates. Returns fn's
+   * result; on a stopped scope it warns and returns undefined.
+   */
+  run<T>(fn: () => T): T | undefined;
+  /** Dispose everything the scope owns, nested scopes included */
+  stop(): void;
+  /**
+   * Hold back effect re-runs and key subscriber calls. Change feed
+   * (`$subscribe('*')`) subscribers keep receiving changes.
+   */
+  pause(): void;
+  /** Catch up: each effect or key subscriber that missed a change runs once */
+  resume(): void;
+}
+
+/**
+ * Run a function and own the reactive work it creates synchronously.
+ *
+ * Captures `effect()`, `computed()`, `$subscribe()` (and so `watch()`),
+ * `bindDom()`, `repeat()` and nested scopes. If fn throws, what it created
+ * is disposed and the error rethrown.
+ *
+ * @param fn - Creates the work the scope will own
+ * @returns The scope
+ * @throws {Error} If fn is not a function
+ *
+ * @example
+ * ```typescript
+ * const scope = effectScope(() => {
+ *   bindDom(panel, store);
+ *   effect(() => { title.textContent = store.title; });
+ * });
+ *
+ * scope.pause();  // panel hidden
+ * scope.resume(); // panel shown again, caught up
+ * scope.stop();   // panel closed
+ * ```
+ */
+export function effectScope(fn: () => void): EffectScope;
+
+/**
+ * The scope whose function is running, or null outside any scope.
+ */
+export function getCurrentScope(): EffectScope | null;
+
+/**
+ * Run fn when the current scope stops. Outside a scope it warns and does
+ * nothing — check `getCurrentScope()` first to make it optional.
+ *
+ * @param fn - Cleanup function
+ * @returns fn, wrapped to also release it from the scope — return this to
+ *   your caller, so that stopping early leaves nothing in the scope
+ *   (outside a scope, fn itself)
+ * @throws {Error} If fn is not a function
+ *
+ * @example
+ * ```typescript
+ * export function poll(store, url) {
+ *   const id = setInterval(() => refresh(store, url), 5000);
+ *   const stop = () => clearInterval(id);
+ *   return getCurrentScope() ? onScopeDispose(stop) : stop;
+ * }
+ * ```
+ */
+export function onScopeDispose(fn: () => void): () => void;
@@ -21,5 +21,7 @@
  *   import { state, bindDom, effect, batch } from "lume-js";
  */
 
-export { state, withReadObserver } from "./core/state.js";
-export { batch } from "./core/batch.js";
+export { state, withReadObserver, scopedReadObserver, untrack, effectScope, getCurrentScope, onScopeDispose } from "./core/state.js";
+export { batch, asyncBatch } from "./core/batch.js";
+export { transaction } from "./core/transaction.js";
+export { setDefaultScheduler } from "./core/scheduler.js";
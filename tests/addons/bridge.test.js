@@ -0,0 +1,249 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { exposeStore, connectStore } from 'src/addons/bridge.js';
+import { state } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
+
+// MessagePorts deliver a few ticks after postMessage
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+describe('exposeStore / connectStore', () => {
+  const cleanups = [];
+
+  afterEach(() => {
+    while (cleanups.length) cleanups.pop()();
+  });
+
+  function channel() {
+    const { port1, port2 } = new MessageChannel();
+    cleanups.push(() => {
+      port1.close();
+      port2.close();
+    });
+    return [port1, port2];
+  }
+
+  async function connected(owner) {
+    const [ownerPort, copyPort] = channel();
+    cleanups.push(exposeStore(owner, ownerPort));
+    const { store, dispose } = await connectStore(copyPort);
+    cleanups.push(dispose);
+    return { copy: store, dispose, ownerPort, copyPort };
+  }
+
+  it('validates its arguments', () => {
+    const [port] = channel();
+    expect(() => exposeStore({}, port)).toThrow('[Lume.js] exposeStore() requires a reactive store from state()');
+    expect(() => exposeStore(state({}), {})).toThrow(
+      '[Lume.js] exposeStore() requires a postMessage endpoint (Worker, MessagePort or window)'
+    );
+    expect(() => connectStore(null)).toThrow('[Lume.js] connectStore() requires a postMessage endpoint');
+    expect(() => connectStore(port, { timeout: 0 })).toThrow(
+      '[Lume.js] connectStore() timeout must be a positive number of milliseconds'
+    );
+    expect(() => exposeStore(state({}), window)).toThrow(
+      "[Lume.js] exposeStore() requires an origin option for a window, e.g. { origin: 'https://app.example' }"
+    );
+    expect(() => connectStore(window, { origin: '*' })).toThrow('[Lume.js] connectStore() requires an origin option');
+  });
+
+  it('resolves with a deep copy of the owner', async () => {
+    const owner = state({ query: 'a', user: state({ name: 'Ada' }), settings: { theme: 'dark' } });
+    const { copy } = await connected(owner);
+
+    expect(copy.query).toBe('a');
+    expect(copy.user.name).toBe('Ada');
+    expect(typeof copy.user.$subscribe).toBe('function');
+    expect(copy.settings.theme).toBe('dark');
+    expect(typeof copy.settings.$subscribe).toBe('function'); // deep mode
+  });
+
+  it('connects whichever side starts first', async () => {
+    const owner = state({ n: 1 });
+    const [ownerPort, copyPort] = channel();
+    const pending = connectStore(copyPort);
+    await settle();
+    cleanups.push(exposeStore(owner, ownerPort));
+
+    const { store, dispose } = await pending;
+    cleanups.push(dispose);
+    expect(store.n).toBe(1);
+  });
+
+  it('rejects when no owner answers in time', async () => {
+    const [ownerPort, copyPort] = channel();
+    await expect(connectStore(copyPort, { timeout: 30 })).rejects.toThrow(
+      '[Lume.js] connectStore(): no store exposed on the port answered within 30 ms'
+    );
+
+    const pending = connectStore(copyPort, { timeout: Infinity });
+    await settle();
+    cleanups.push(exposeStore(state({ n: 1 }), ownerPort));
+    const { store, dispose } = await pending;
+    cleanups.push(dispose);
+    expect(store.n).toBe(1);
+  });
+
+  it('reads a window only from that window and origin, and posts to that origin', async () => {
+    const iframe = document.createElement('iframe');
+    document.body.append(iframe);
+    cleanups.push(() => iframe.remove());
+    const other = iframe.contentWindow;
+    const posted = vi.spyOn(other, 'postMessage').mockImplementation(() => {});
+    const origin = 'https://app.example';
+    const send = (data, from = {}) => {
+      window.dispatchEvent(new MessageEvent('message', { data, source: other, origin, ...from }));
+    };
+
+    const owner = state({ n: 0 });
+    cleanups.push(exposeStore(owner, other, { origin }));
+    expect(posted).toHaveBeenCalledWith({ type: 'lume:snapshot', data: { n: 0 } }, origin);
+
+    const ops = (value) => ({ type: 'lume:ops', ops: [{ op: 'replace', path: '/n', value }] });
+    send(ops(1), { origin: 'https://evil.example' });
+    send(ops(2), { source: window });
+    expect(owner.n).toBe(0);
+    send(ops(3));
+    expect(owner.n).toBe(3);
+
+    const pending = connectStore(other, { origin });
+    expect(posted).toHaveBeenLastCalledWith({ type: 'lume:hello' }, origin);
+    send({ type: 'lume:snapshot', data: { n: 4 } });
+    const { store, dispose } = await pending;
+    cleanups.push(dispose);
+    expect(store.n).toBe(4);
+  });
+
+  it('mirrors owner changes, one message per tick', async () => {
+    const owner = state({ query: '', user: state({ name: '' }) });
+    const { copy, copyPort } = await connected(owner);
+    const messages = [];
+    copyPort.addEventListener('message', e => e.data.type === 'lume:ops' && messages.push(e.data));
+    const seen = vi.fn();
+    effect(() => seen(copy.user.name));
+
+    owner.query = 'x';
+    owner.user.name = 'Ada';
+    owner.extra = { a: 1 };
+    delete owner.query;
+    await settle();
+
+    expect('query' in copy).toBe(false);
+    expect(copy.user.name).toBe('Ada');
+    expect(copy.extra.a).toBe(1);
+    expect(seen).toHaveBeenLastCalledWith('Ada');
+    expect(messages).toHaveLength(1);
+  });
+
+  it('forwards writes to the copy to the owner without echoes', async () => {
+    const owner = state({ query: '', user: state({ name: '' }), settings: { theme: 'dark', font: { size: 1 } } });
+    const { copy, ownerPort, copyPort } = await connected(owner);
+    const toOwner = [];
+    const toCopy = [];
+    ownerPort.addEventListener('message', e => toOwner.push(e.data));
+    copyPort.addEventListener('message', e => e.data.type === 'lume:ops' && toCopy.push(e.data));
+
+    copy.query = 'ab';
+    copy.user.name = 'Ada';
+    copy.settings.font.size = 2; // a plain object at the owner: copied
+    delete copy.settings.theme;
+    await settle();
+
+    expect(owner.query).toBe('ab');
+    expect(owner.user.name).toBe('Ada');
+    expect(owner.settings).toEqual({ font: { size: 2 } });
+    expect(toOwner).toHaveLength(1);
+    expect(toCopy).toHaveLength(0);
+  });
+
+  it('shares one store between copies on separate ports', async () => {
+    const owner = state({ n: 0 });
+    const first = await connected(owner);
+    const second = await connected(owner);
+
+    first.copy.n = 1;
+    await settle();
+    await settle();
+
+    expect(owner.n).toBe(1);
+    expect(second.copy.n).toBe(1);
+  });
+
+  it('ignores other traffic and rejects unsafe operations', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const owner = state({ a: 0, user: state({ name: '' }), meta: 1 });
+    const [ownerPort, rawPort] = channel();
+    cleanups.push(exposeStore(owner, ownerPort));
+    rawPort.start();
+
+    rawPort.postMessage('hello');
+    rawPort.postMessage(null);
+    rawPort.postMessage({ type: 'other' });
+    rawPort.postMessage({ type: 'lume:ops', ops: 'nope' });
+    rawPort.postMessage({ type: 'lume:ops', ops: [
+      null,
+      { op: 'move', path: '/a' },
+      { op: 'replace', path: 'a', value: 1 },
+      { op: 'add', path: '/__proto__/polluted', value: 1 },
+      { op: 'add', path: '/$errors', value: 1 },
+      { op: 'replace', path: '/user/$initial/name', value: 1 },
+      { op: 'replace', path: '/meta/x', value: 1 },
+      { op: 'replace', path: '/a', value: 2 },
+    ] });
+    await settle();
+
+    expect(owner.a).toBe(2);
+    expect(owner.meta).toBe(1);
+    expect({}.polluted).toBeUndefined();
+    expect(warnSpy).toHaveBeenCalledTimes(7);
+    expect(warnSpy).toHaveBeenCalledWith('[Lume.js] store bridge: ignoring operation "/__proto__/polluted": blocked key');
+    expect(warnSpy).toHaveBeenCalledWith('[Lume.js] store bridge: ignoring operation "/meta/x": "/meta/x" does not exist');
+    expect(warnSpy).toHaveBeenCalledWith('[Lume.js] store bridge: ignoring operation undefined: unsupported operation');
+  });
+
+  it('ignores snapshots that are not objects, and later snapshots', async () => {
+    const [ownerPort, copyPort] = channel();
+    ownerPort.start();
+    ownerPort.postMessage({ type: 'lume:ops', ops: [{ op: 'add', path: '/x', value: 1 }] });
+    ownerPort.postMessage({ type: 'lume:snapshot', data: null });
+    ownerPort.postMessage({ type: 'lume:snapshot', data: { n: 1 } });
+    ownerPort.postMessage({ type: 'lume:snapshot', data: { n: 2 } });
+
+    const { store, dispose } = await connectStore(copyPort);
+    cleanups.push(dispose);
+    await settle();
+
+    expect(store.n).toBe(1);
+    expect('x' in store).toBe(false);
+  });
+
+  it('warns when a value cannot be posted', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const owner = state({ fn: null });
+    await connected(owner);
+
+    owner.fn = () => {};
+    await settle();
+
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[Lume.js] store bridge: could not post a message — values not cloneable?',
+      expect.anything()
+    );
+  });
+
+  it('stops on dispose', async () => {
+    const owner = state({ n: 0 });
+    const [ownerPort, copyPort] = channel();
+    const stop = exposeStore(owner, ownerPort);
+    const { store: copy, dispose } = await connectStore(copyPort);
+
+    copy.n = 1;
+    dispose(); // the write is queued for this tick, then dropped
+    await settle();
+    expect(owner.n).toBe(0);
+
+    stop();
+    owner.n = 2;
+    await settle();
+    expect(copy.n).toBe(1);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, vi } from 'vitest';
+import { state, withReadObserver } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
+import { computed } from 'src/addons/computed.js';
+import { reactiveMap, reactiveSet } from 'src/addons/collections.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('reactiveMap', () => {
+  it('is a real Map with the usual results', () => {
+    const map = reactiveMap([['a', 1]]);
+    expect(map).toBeInstanceOf(Map);
+    expect(map.set('b', 2)).toBe(map);
+    expect(map.get('b')).toBe(2);
+    expect(map.has('c')).toBe(false);
+    expect(map.size).toBe(2);
+    expect([...map]).toEqual([['a', 1], ['b', 2]]);
+    expect(Array.from(map.keys())).toEqual(['a', 'b']);
+    expect(Array.from(map.entries())).toEqual([['a', 1], ['b', 2]]);
+    expect(map.delete('a')).toBe(true);
+    expect(map.delete('a')).toBe(false);
+    expect(Object.keys(map)).toEqual([]);
+  });
+
+  it('re-runs get(key) effects only for that key', async () => {
+    const map = reactiveMap([['a', 1], ['b', 2]]);
+    const fn = vi.fn(() => map.get('a'));
+    effect(fn);
+
+    map.set('b', 20);
+    await flush();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    map.set('a', 10);
+    await flush();
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveLastReturnedWith(10);
+  });
+
+  it('tracks has(key) across delete and re-add', async () => {
+    const map = reactiveMap([['a', 1]]);
+    const seen = [];
+    effect(() => { seen.push(map.has('a')); });
+
+    map.delete('a');
+    await flush();
+    map.set('a', 2);
+    await flush();
+
+    expect(seen).toEqual([true, false, true]);
+  });
+
+  it('tracks size on structural changes only', async () => {
+    const map = reactiveMap([['a', 1]]);
+    const fn = vi.fn(() => map.size);
+    effect(fn);
+
+    map.set('a', 2);
+    await flush();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    map.set('b', 1);
+    await flush();
+    expect(fn).toHaveLastReturnedWith(2);
+  });
+
+  it('tracks iteration on any change, and skips same-value sets', async () => {
+    const map = reactiveMap([['a', 1]]);
+    const fn = vi.fn(() => Array.from(map.values()).join());
+    effect(fn);
+
+    map.set('a', 1);
+    await flush();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    map.set('a', 5);
+    await flush();
+    expect(fn).toHaveLastReturnedWith('5');
+  });
+
+  it('forEach passes (value, key, map) and thisArg', () => {
+    const map = reactiveMap([['a', 1]]);
+    const ctx = {};
+    const calls = [];
+    map.forEach(function (value, key, m) { calls.push([value, key, m === map, this === ctx]); }, ctx);
+    expect(calls).toEqual([[1, 'a', true, true]]);
+  });
+
+  it('clear() notifies every tracked entry; clearing an empty map is a no-op', async () => {
+    const map = reactiveMap([['a', 1], ['b', 2]]);
+    const a = vi.fn(() => map.get('a'));
+    const size = vi.fn(() => map.size);
+    effect(a);
+    effect(size);
+
+    map.clear();
+    await flush();
+    expect(a).toHaveLastReturnedWith(undefined);
+    expect(size).toHaveLastReturnedWith(0);
+
+    map.clear();
+    await flush();
+    expect(size).toHaveBeenCalledTimes(2);
+  });
+
+  it('works with computed()', async () => {
+    const map = reactiveMap([[1, 'Ada']]);
+    const name = computed(() => map.get(1) ?? 'none');
+
+    map.delete(1);
+    await flush();
+
+    expect(name.value).toBe('none');
+  });
+
+  it('reports reads to withReadObserver', () => {
+    const map = reactiveMap([['a', 1]]);
+    const onRead = vi.fn();
+
+    withReadObserver(onRead, () => { map.get('a'); });
+
+    expect(onRead).toHaveBeenCalledTimes(1);
+  });
+
+  it('notifies the store key that holds it', async () => {
+    const store = state({ users: reactiveMap() });
+    const seen = vi.fn();
+    store.$subscribe('users', seen);
+    seen.mockClear();
+
+    store.users.set(1, 'Ada');
+    store.users.set(2, 'Grace');
+    await flush();
+
+    expect(seen).toHaveBeenCalledTimes(1);
+    expect(seen).toHaveBeenCalledWith(store.users);
+  });
+});
+
+describe('reactiveSet', () => {
+  it('is a real Set with the usual results', () => {
+    const set = reactiveSet([1]);
+    expect(set).toBeInstanceOf(Set);
+    expect(set.add(2)).toBe(set);
+    expect(set.add(2)).toBe(set);
+    expect(set.size).toBe(2);
+    expect([...set]).toEqual([1, 2]);
+    expect(Array.from(set.entries())).toEqual([[1, 1], [2, 2]]);
+  });
+
+  it('tracks has(value) per value', async () => {
+    const set = reactiveSet();
+    const fn = vi.fn(() => set.has(1));
+    effect(fn);
+
+    set.add(2);
+    await flush();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    set.add(1);
+    await flush();
+    expect(fn).toHaveLastReturnedWith(true);
+
+    set.delete(1);
+    await flush();
+    expect(fn).toHaveLastReturnedWith(false);
+  });
+
+  it('keeps no bookkeeping for lookups nothing tracks', async () => {
+    const set = reactiveSet();
+    for (let i = 0; i < 100; i++) set.has({ id: i });
+
+    // The first tracked lookup gets the first signal key: none was spent above
+    const keys = [];
+    withReadObserver((proxy, key) => keys.push(key), () => set.has('a'));
+    expect(keys).toEqual(['e0']);
+
+    // A key allocated by a tracked read is reused by later untracked ones
+    const fn = vi.fn(() => set.has('a'));
+    effect(fn);
+    expect(set.has('a')).toBe(false);
+    set.add('a');
+    await flush();
+    expect(fn).toHaveLastReturnedWith(true);
+  });
+
+  it('tracks size and iteration', async () => {
+    const set = reactiveSet(['x']);
+    const fn = vi.fn(() => `${set.size}:${[...set].join()}`);
+    effect(fn);
+
+    set.add('y');
+    await flush();
+
+    expect(fn).toHaveLastReturnedWith('2:x,y');
+  });
+
+  it('notifies the store key that holds it', async () => {
+    const store = state({ selected: reactiveSet() });
+    const seen = [];
+    store.$subscribe('selected', s => seen.push(s.size));
+
+    store.selected.add(3);
+    await flush();
+
+    expect(seen).toEqual([0, 1]);
+  });
+});
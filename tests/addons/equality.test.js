@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { shallowEqual, deepEqual } from 'src/addons/equality.js';
+import { state } from 'src/core/state.js';
+
+describe('shallowEqual', () => {
+  it('compares primitives with Object.is', () => {
+    expect(shallowEqual(1, 1)).toBe(true);
+    expect(shallowEqual(NaN, NaN)).toBe(true);
+    expect(shallowEqual(0, -0)).toBe(false);
+    expect(shallowEqual('a', 'b')).toBe(false);
+    expect(shallowEqual(null, {})).toBe(false);
+  });
+
+  it('compares arrays and plain objects one level deep', () => {
+    const inner = { id: 1 };
+    expect(shallowEqual([1, inner], [1, inner])).toBe(true);
+    expect(shallowEqual([1, 2], [1])).toBe(false);
+    expect(shallowEqual([{ id: 1 }], [{ id: 1 }])).toBe(false);
+    expect(shallowEqual({ a: 1, b: inner }, { b: inner, a: 1 })).toBe(true);
+    expect(shallowEqual({ a: 1 }, { a: 1, b: 2 })).toBe(false);
+    expect(shallowEqual({ a: undefined }, { b: undefined })).toBe(false);
+    expect(shallowEqual(Object.create(null), {})).toBe(true);
+  });
+
+  it('does not mix arrays, objects and class instances', () => {
+    class Point { constructor(x) { this.x = x; } }
+    expect(shallowEqual([], {})).toBe(false);
+    expect(shallowEqual({}, [])).toBe(false);
+    expect(shallowEqual(new Point(1), new Point(1))).toBe(false);
+    expect(shallowEqual({ x: 1 }, new Point(1))).toBe(false);
+  });
+
+  it('compares stores by their data keys', () => {
+    expect(shallowEqual(state({ a: 1 }), state({ a: 1 }))).toBe(true);
+    expect(shallowEqual(state({ a: 1 }), state({ a: 2 }))).toBe(false);
+    expect(shallowEqual(state({ a: 1 }), { a: 1 })).toBe(true);
+  });
+});
+
+describe('deepEqual', () => {
+  it('recurses into arrays and plain objects', () => {
+    expect(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+    expect(deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).toBe(false);
+    expect(deepEqual([[]], [{}])).toBe(false);
+    expect(deepEqual({ a: 1 }, { a: '1' })).toBe(false);
+  });
+
+  it('compares Dates, Maps and Sets', () => {
+    expect(deepEqual(new Date(5), new Date(5))).toBe(true);
+    expect(deepEqual(new Date(5), new Date(6))).toBe(false);
+    expect(deepEqual(new Map([['a', { x: 1 }]]), new Map([['a', { x: 1 }]]))).toBe(true);
+    expect(deepEqual(new Map([['a', 1]]), new Map([['b', 1]]))).toBe(false);
+    expect(deepEqual(new Map([['a', 1]]), new Map())).toBe(false);
+    expect(deepEqual(new Set([1, 2]), new Set([2, 1]))).toBe(true);
+    expect(deepEqual(new Set([1]), new Set([2]))).toBe(false);
+    expect(deepEqual(new Set([1]), new Set([1, 2]))).toBe(false);
+    expect(deepEqual(new Map(), new Set())).toBe(false);
+  });
+
+  it('treats other objects as equal only to themselves', () => {
+    class Point { constructor(x) { this.x = x; } }
+    const fn = () => {};
+    expect(deepEqual(new Point(1), new Point(1))).toBe(false);
+    expect(deepEqual(fn, fn)).toBe(true);
+    expect(deepEqual(() => {}, () => {})).toBe(false);
+  });
+
+  it('handles cycles', () => {
+    const a = { name: 'a' };
+    a.self = a;
+    const b = { name: 'a' };
+    b.self = b;
+    expect(deepEqual(a, b)).toBe(true);
+    b.name = 'b';
+    expect(deepEqual(a, b)).toBe(false);
+  });
+
+  it('works as a state() comparator', () => {
+    const store = state({ filters: { tags: ['x'] } }, { equals: { filters: deepEqual } });
+    const before = store.filters;
+    store.filters = { tags: ['x'] };
+    expect(store.filters).toBe(before);
+  });
+});
@@ -0,0 +1,280 @@
+import { describe, it, expect } from 'vitest';
+import { state } from 'src/core/state.js';
+import { batch, asyncBatch } from 'src/core/batch.js';
+import { effect } from 'src/core/effect.js';
+import { history } from 'src/addons/history.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('history', () => {
+  it('validates its arguments', () => {
+    expect(() => history({})).toThrow('history() requires a reactive store');
+    expect(() => history(state({}), { limit: 0 })).toThrow('limit must be a positive integer');
+    expect(() => history(state({}), { limit: 1.5 })).toThrow('limit must be a positive integer');
+  });
+
+  it('undoes and redoes one step per flush', async () => {
+    const doc = state({ title: 'a', body: '' });
+    const h = history(doc);
+
+    doc.title = 'b';
+    await flush();
+    doc.title = 'c';
+    doc.body = 'x';
+    await flush();
+
+    expect(h.undo()).toBe(true);
+    expect(doc.title).toBe('b');
+    expect(doc.body).toBe('');
+    expect(h.undo()).toBe(true);
+    expect(doc.title).toBe('a');
+    expect(h.undo()).toBe(false);
+
+    expect(h.redo()).toBe(true);
+    expect(doc.title).toBe('b');
+    expect(h.redo()).toBe(true);
+    expect(doc.body).toBe('x');
+    expect(h.redo()).toBe(false);
+  });
+
+  it('notifies subscribers of undone values without recording them', async () => {
+    const doc = state({ n: 0 });
+    const h = history(doc);
+    const seen = [];
+    doc.$subscribe('n', v => seen.push(v));
+
+    doc.n = 1;
+    await flush();
+    h.undo();
+    await flush();
+
+    expect(seen).toEqual([0, 1, 0]);
+    expect(h.canUndo).toBe(false);
+    expect(h.canRedo).toBe(true);
+  });
+
+  it('does not record an undo made while an asyncBatch() holds the store', async () => {
+    const doc = state({ n: 0 });
+    const h = history(doc);
+    doc.n = 1;
+    await flush();
+
+    let finish;
+    const done = asyncBatch(async () => {
+      doc.n = 2;
+      await new Promise(resolve => { finish = resolve; });
+    });
+    h.undo();
+    finish();
+    await done;
+    await flush();
+
+    expect(doc.n).toBe(0);
+    expect(h.canUndo).toBe(false);
+    expect(h.canRedo).toBe(true);
+  });
+
+  it('groups the writes of one batch() across nested stores into one step', async () => {
+    const address = state({ city: 'London' });
+    const form = state({ name: 'Ada', address });
+    const h = history(form);
+
+    batch(() => {
+      form.name = 'Grace';
+      address.city = 'Paris';
+    });
+    await flush();
+    h.undo();
+
+    expect(form.name).toBe('Ada');
+    expect(address.city).toBe('London');
+    expect(h.canUndo).toBe(false);
+  });
+
+  it('tracks deep-mode children', async () => {
+    const form = state({ account: { email: 'a@b.c' } }, { deep: true });
+    const h = history(form);
+
+    form.account.email = 'x@y.z';
+    await flush();
+    h.undo();
+
+    expect(form.account.email).toBe('a@b.c');
+  });
+
+  it('follows nested stores as keys are replaced', async () => {
+    const first = state({ v: 1 });
+    const second = state({ v: 2 });
+    const root = state({ child: first, alias: first });
+    const h = history(root);
+
+    root.child = second;
+    await flush();
+    first.v = 10; // still held by alias
+    await flush();
+    root.alias = null;
+    await flush();
+    first.v = 100; // no longer reachable
+    second.v = 20;
+    await flush();
+
+    h.undo();
+    expect(second.v).toBe(2);
+    expect(first.v).toBe(100);
+    h.undo();
+    expect(root.alias).toBe(first);
+    h.undo();
+    expect(first.v).toBe(1);
+    h.undo();
+    expect(root.child).toBe(first);
+  });
+
+  it('stops tracking a whole nested subtree when it is replaced', async () => {
+    const grandchild = state({ v: 0 });
+    const root = state({ child: state({ grandchild }), n: 0 });
+    const h = history(root);
+
+    root.child = null;
+    await flush();
+    grandchild.v = 1;
+    await flush();
+    h.clear();
+    grandchild.v = 2;
+    root.n = undefined;
+    await flush();
+
+    h.undo();
+    expect(grandchild.v).toBe(2);
+    expect(root.n).toBe(0);
+  });
+
+  it('tracks only the given keys of the root store', async () => {
+    const doc = state({ text: '', saving: false });
+    const h = history(doc, { keys: ['text'] });
+
+    doc.saving = true;
+    await flush();
+    expect(h.canUndo).toBe(false);
+
+    doc.text = 'hi';
+    await flush();
+    h.undo();
+    expect(doc.text).toBe('');
+    expect(doc.saving).toBe(true);
+  });
+
+  it('exposes reactive canUndo / canRedo', async () => {
+    const doc = state({ n: 0 });
+    const h = history(doc);
+    const seen = [];
+    effect(() => { seen.push([h.canUndo, h.canRedo]); });
+
+    doc.n = 1;
+    await flush();
+    await flush();
+    h.undo();
+    await flush();
+
+    expect(seen).toEqual([[false, false], [true, false], [false, true]]);
+  });
+
+  it('drops the oldest steps beyond limit', async () => {
+    const doc = state({ n: 0 });
+    const h = history(doc, { limit: 2 });
+
+    for (let i = 1; i <= 3; i++) {
+      doc.n = i;
+      await flush();
+    }
+
+    h.undo();
+    h.undo();
+    expect(h.undo()).toBe(false);
+    expect(doc.n).toBe(1);
+  });
+
+  it('clears the redo stack on a new change', async () => {
+    const doc = state({ n: 0 });
+    const h = history(doc);
+
+    doc.n = 1;
+    await flush();
+    h.undo();
+    doc.n = 2;
+    await flush();
+
+    expect(h.canRedo).toBe(false);
+    expect(h.redo()).toBe(false);
+  });
+
+  it('deletes an added key on undo, and a deleted one on redo', async () => {
+    const doc = state({ old: 'x' });
+    const h = history(doc);
+
+    doc.added = undefined;
+    await flush();
+    delete doc.old;
+    await flush();
+
+    h.undo();
+    expect(doc.old).toBe('x');
+    h.undo();
+    expect('added' in doc).toBe(false);
+
+    h.redo();
+    expect('added' in doc).toBe(true);
+    h.redo();
+    expect('old' in doc).toBe(false);
+  });
+
+  it('closes the step being collected before undoing it', async () => {
+    const a = state({ n: 0 });
+    const h = history(a);
+
+    a.n = 1;
+    await Promise.resolve(); // store flushed, step not yet closed
+    expect(h.undo()).toBe(true);
+    expect(a.n).toBe(0);
+  });
+
+  it('ignores in-place mutations', async () => {
+    let notify;
+    const box = { [Symbol.for('lume.mutable')]: (fn) => { notify = fn; return () => {}; } };
+    const doc = state({ box });
+    const h = history(doc);
+
+    notify();
+    await flush();
+
+    expect(h.canUndo).toBe(false);
+  });
+
+  it('clear() forgets every step, dispose() stops tracking', async () => {
+    const doc = state({ n: 0, child: state({ m: 0 }) });
+    const h = history(doc);
+
+    doc.n = 1;
+    await flush();
+    h.clear();
+    expect(h.canUndo).toBe(false);
+    expect(h.undo()).toBe(false);
+
+    h.dispose();
+    doc.n = 2;
+    doc.child.m = 2;
+    await flush();
+    expect(h.canUndo).toBe(false);
+  });
+
+  it('tolerates stores that reach each other', async () => {
+    const a = state({ n: 0, other: null });
+    const b = state({ n: 0, other: a });
+    a.other = b;
+    const h = history(a);
+
+    b.n = 1;
+    await flush();
+    h.undo();
+    expect(b.n).toBe(0);
+  });
+});
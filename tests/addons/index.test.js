@@ -26,6 +26,15 @@ describe('addons public API', () => {
     expect(typeof addons.debug).toBe('object');
   });
 
+  it('exposes shallowEqual and deepEqual', () => {
+    expect(typeof addons.shallowEqual).toBe('function');
+    expect(typeof addons.deepEqual).toBe('function');
+  });
+
+  it('exposes schema', () => {
+    expect(typeof addons.schema).toBe('function');
+  });
+
   it('exposes isReactive', () => {
     expect(addons).toHaveProperty('isReactive');
     expect(typeof addons.isReactive).toBe('function');
@@ -45,6 +54,44 @@ describe('addons public API', () => {
     expect(addons).toHaveProperty('hydrateState');
     expect(typeof addons.hydrateState).toBe('function');
   });
+
+  it('exposes list', () => {
+    expect(addons).toHaveProperty('list');
+    expect(typeof addons.list).toBe('function');
+  });
+
+  it('exposes reactiveMap and reactiveSet', () => {
+    expect(typeof addons.reactiveMap).toBe('function');
+    expect(typeof addons.reactiveSet).toBe('function');
+  });
+
+  it('exposes history', () => {
+    expect(typeof addons.history).toBe('function');
+  });
+
+  it('exposes readonly', () => {
+    expect(typeof addons.readonly).toBe('function');
+  });
+
+  it('exposes changes and applyPatch', () => {
+    expect(typeof addons.changes).toBe('function');
+    expect(typeof addons.applyPatch).toBe('function');
+  });
+
+  it('exposes syncTabs', () => {
+    expect(typeof addons.syncTabs).toBe('function');
+  });
+
+  it('exposes exposeStore and connectStore', () => {
+    expect(typeof addons.exposeStore).toBe('function');
+    expect(typeof addons.connectStore).toBe('function');
+  });
+
+  it('exposes registerStore, registeredStores and inspect', () => {
+    expect(typeof addons.registerStore).toBe('function');
+    expect(typeof addons.registeredStores).toBe('function');
+    expect(typeof addons.inspect).toBe('function');
+  });
 });
 
 describe('isReactive', () => {
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { registerStore, registeredStores, inspect } from 'src/addons/inspect.js';
+import { readonly } from 'src/addons/readonly.js';
+import { withPlugins } from 'src/addons/withPlugins.js';
+import { state } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
+
+describe('registerStore / registeredStores', () => {
+  const cleanups = [];
+
+  afterEach(() => {
+    while (cleanups.length) cleanups.pop()();
+  });
+
+  it('lists registered stores by name, in a copy', () => {
+    const cart = state({ items: [] });
+    const user = state({ name: '' });
+    cleanups.push(registerStore('cart', cart), registerStore('user', user));
+
+    const stores = registeredStores();
+    expect([...stores]).toEqual([['cart', cart], ['user', user]]);
+
+    stores.delete('cart');
+    expect(registeredStores().get('cart')).toBe(cart);
+  });
+
+  it('shares the registry through a registry symbol', () => {
+    const store = state({});
+    cleanups.push(registerStore('shared', store));
+
+    expect(globalThis[Symbol.for('lume.stores')].get('shared')).toBe(store);
+  });
+
+  it('replaces a taken name with a warning, and unregisters only its own store', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const first = state({});
+    const second = state({});
+    const unregisterFirst = registerStore('app', first);
+    registerStore('app', first); // same store again: no warning
+    const unregisterSecond = registerStore('app', second);
+    cleanups.push(unregisterSecond);
+
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+    expect(warnSpy).toHaveBeenCalledWith('[Lume.js] registerStore(): replacing the store registered as "app"');
+    unregisterFirst();
+    expect(registeredStores().get('app')).toBe(second);
+    unregisterSecond();
+    expect(registeredStores().has('app')).toBe(false);
+    warnSpy.mockRestore();
+  });
+
+  it('validates its arguments', () => {
+    expect(() => registerStore('', state({}))).toThrow('[Lume.js] registerStore() requires a non-empty name');
+    expect(() => registerStore('x', {})).toThrow('[Lume.js] registerStore() requires a reactive store from state()');
+  });
+});
+
+describe('inspect', () => {
+  it('reports keys, listener counts and hooks', () => {
+    const store = state({ a: 1, b: 2 });
+    store.$subscribe('a', () => {});
+    store.$subscribe('a', () => {});
+    store.$subscribe('*', () => {});
+    store.$beforeFlush(() => {});
+    const stop = effect(() => store.a + store.b);
+
+    expect(inspect(store)).toEqual({
+      keys: ['a', 'b'],
+      subscribers: { a: 2 },
+      effects: { a: 1, b: 1 },
+      changeFeed: 1,
+      beforeFlush: 1,
+      pending: {},
+      disposed: false,
+    });
+
+    stop();
+    expect(inspect(store).effects).toEqual({});
+  });
+
+  it('counts effects of every flush timing', () => {
+    const store = state({ a: 1 });
+    effect(() => store.a, { flush: 'pre' });
+    effect(() => store.a, { flush: 'sync' });
+    effect(() => store.a, { flush: 'post' });
+    effect(() => store.a);
+
+    expect(inspect(store).effects).toEqual({ a: 4 });
+  });
+
+  it('reports writes waiting for the flush', async () => {
+    const store = state({ a: 1, b: 2 });
+    store.$subscribe('a', () => {});
+
+    store.a = 10;
+    store.c = 3;
+    expect(inspect(store).pending).toEqual({ a: 10, c: 3 });
+    expect(inspect(store).keys).toEqual(['a', 'b', 'c']);
+
+    await Promise.resolve();
+    expect(inspect(store).pending).toEqual({});
+  });
+
+  it('reports disposal', () => {
+    const store = state({ a: 1 });
+    store.$subscribe('a', () => {});
+    store.$dispose();
+
+    expect(inspect(store)).toMatchObject({ subscribers: {}, disposed: true });
+  });
+
+  it('does not add a dependency inside an effect', async () => {
+    const store = state({ a: 1 });
+    const run = vi.fn(() => inspect(store));
+    effect(run);
+
+    expect(inspect(store).effects).toEqual({});
+    store.a = 2;
+    await Promise.resolve();
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('works through readonly views and plugin wrappers', () => {
+    const store = state({ a: 1 });
+
+    expect(inspect(readonly(store)).keys).toEqual(['a']);
+    expect(inspect(withPlugins(store, [{ name: 'noop' }])).beforeFlush).toBe(1);
+  });
+
+  it('requires a store', () => {
+    expect(() => inspect({})).toThrow('[Lume.js] inspect() requires a reactive store from state()');
+    expect(() => inspect(null)).toThrow('[Lume.js] inspect() requires a reactive store from state()');
+  });
+});
@@ -0,0 +1,369 @@
+import { describe, it, expect, vi } from 'vitest';
+import { changes, applyPatch } from 'src/addons/jsonPatch.js';
+import { list } from 'src/addons/list.js';
+import { reactiveMap } from 'src/addons/collections.js';
+import { state } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('applyPatch', () => {
+  it('applies add, replace and remove to stores', () => {
+    const store = state({ user: state({ name: '', age: 1 }), tmp: 1 });
+
+    applyPatch(store, [
+      { op: 'replace', path: '/user/name', value: 'Ada' },
+      { op: 'remove', path: '/user/age' },
+      { op: 'add', path: '/flag', value: true },
+      { op: 'remove', path: '/tmp' },
+    ]);
+
+    expect(store.user.name).toBe('Ada');
+    expect('age' in store.user).toBe(false);
+    expect(store.flag).toBe(true);
+    expect('tmp' in store).toBe(false);
+  });
+
+  it('notifies once, in one flush', async () => {
+    const store = state({ a: 0, b: 0 });
+    const fn = vi.fn();
+    effect(() => fn(store.a + store.b));
+    fn.mockClear();
+
+    applyPatch(store, [
+      { op: 'replace', path: '/a', value: 1 },
+      { op: 'replace', path: '/b', value: 2 },
+    ]);
+    await flush();
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith(3);
+  });
+
+  it('copies plain arrays and objects and writes them back', () => {
+    const tags = ['a', 'b'];
+    const meta = { size: 1, deep: { x: 1 } };
+    const store = state({ tags, meta });
+
+    applyPatch(store, [
+      { op: 'add', path: '/tags/-', value: 'c' },
+      { op: 'add', path: '/tags/0', value: 'z' },
+      { op: 'remove', path: '/tags/1' },
+      { op: 'replace', path: '/tags/0', value: 'y' },
+      { op: 'replace', path: '/meta/deep/x', value: 2 },
+    ]);
+
+    expect(store.tags).toEqual(['y', 'b', 'c']);
+    expect(tags).toEqual(['a', 'b']);
+    expect(store.meta).toEqual({ size: 1, deep: { x: 2 } });
+    expect(meta.deep.x).toBe(1);
+  });
+
+  it('patches objects inside arrays', () => {
+    const store = state({ rows: [{ id: 1 }, { id: 2 }] });
+
+    applyPatch(store, [{ op: 'replace', path: '/rows/1/id', value: 3 }]);
+
+    expect(store.rows).toEqual([{ id: 1 }, { id: 3 }]);
+  });
+
+  it('changes lists in place', () => {
+    const items = list([1, 2]);
+    const store = state({ items });
+
+    applyPatch(store, [{ op: 'add', path: '/items/-', value: 3 }]);
+
+    expect(store.items).toBe(items);
+    expect([...items]).toEqual([1, 2, 3]);
+  });
+
+  it('creates missing intermediate objects as nested stores', () => {
+    const store = state({});
+
+    applyPatch(store, [{ op: 'add', path: '/settings/theme/name', value: 'dark' }]);
+
+    expect(typeof store.settings.$subscribe).toBe('function');
+    expect(store.settings.theme.name).toBe('dark');
+  });
+
+  it('unescapes JSON Pointer segments', () => {
+    const store = state({ 'a/b': 0, 'c~d': 0 });
+
+    applyPatch(store, [
+      { op: 'replace', path: '/a~1b', value: 1 },
+      { op: 'replace', path: '/c~0d', value: 2 },
+    ]);
+
+    expect(store['a/b']).toBe(1);
+    expect(store['c~d']).toBe(2);
+  });
+
+  it('round-trips changes() from one store to another', async () => {
+    const source = state({ user: state({ name: '' }), count: 0 });
+    const replica = state({ user: state({ name: '' }), count: 0 });
+    changes(source, ops => applyPatch(replica, ops));
+
+    source.user.name = 'Ada';
+    source.count = 2;
+    source.extra = { a: 1 };
+    await flush();
+
+    expect(replica.user.name).toBe('Ada');
+    expect(replica.count).toBe(2);
+    expect(replica.extra).toEqual({ a: 1 });
+  });
+
+  it('rejects prototype-polluting paths and $-keys', () => {
+    const store = state({ user: state({ name: '' }) });
+
+    expect(() => applyPatch(store, [{ op: 'add', path: '/__proto__/polluted', value: 1 }]))
+      .toThrow('applyPatch(): blocked key "__proto__" in path "/__proto__/polluted"');
+    expect(() => applyPatch(store, [{ op: 'add', path: '/user/constructor/prototype/x', value: 1 }]))
+      .toThrow('blocked key "constructor"');
+    expect(() => applyPatch(store, [{ op: 'replace', path: '/$initial/user', value: 1 }]))
+      .toThrow('blocked key "$initial"');
+    expect(() => applyPatch(store, [{ op: 'add', path: '/user/$patch', value: 1 }]))
+      .toThrow('blocked key "$patch"');
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('rolls back every op when one fails', async () => {
+    const store = state({ a: 0, tags: ['x'], user: state({ name: '' }) });
+    const fn = vi.fn();
+    store.$subscribe('a', fn);
+    fn.mockClear();
+
+    expect(() => applyPatch(store, [
+      { op: 'replace', path: '/a', value: 1 },
+      { op: 'add', path: '/tags/-', value: 'y' },
+      { op: 'replace', path: '/user/name', value: 'Ada' },
+      { op: 'remove', path: '/missing' },
+    ])).toThrow('applyPatch(): nothing to remove at "/missing"');
+    await flush();
+
+    expect(store.a).toBe(0);
+    expect(store.tags).toEqual(['x']);
+    expect(store.user.name).toBe('');
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('leaves a list() untouched when a later op fails', async () => {
+    const store = state({ tags: list(['x']), user: state({ name: '' }) });
+    const seen = [];
+    store.$subscribe('tags', tags => seen.push([...tags]));
+
+    expect(() => applyPatch(store, [
+      { op: 'add', path: '/tags/-', value: 'y' },
+      { op: 'add', path: '/tags/0', value: 'w' },
+      { op: 'replace', path: '/missing/q', value: 1 },
+    ])).toThrow('"/missing/q" does not exist');
+    await flush();
+
+    expect([...store.tags]).toEqual(['x']);
+    expect(seen).toEqual([['x']]);
+  });
+
+  it('checks later ops against the changes of earlier ones', () => {
+    const store = state({ tags: list(['x']) });
+
+    applyPatch(store, [
+      { op: 'add', path: '/tags/-', value: 'y' },
+      { op: 'replace', path: '/tags/1', value: 'z' },
+      { op: 'add', path: '/settings/theme', value: 'dark' },
+      { op: 'replace', path: '/settings/theme', value: 'light' },
+    ]);
+    expect([...store.tags]).toEqual(['x', 'z']);
+    expect(store.settings.theme).toBe('light');
+
+    expect(() => applyPatch(store, [
+      { op: 'add', path: '/fresh/inner/a', value: 1 },
+      { op: 'add', path: '/fresh/inner/$patch', value: 1 },
+    ])).toThrow('blocked key "$patch"');
+    expect('fresh' in store).toBe(false);
+  });
+
+  it('reports paths that cannot be applied', () => {
+    const store = state({ tags: ['x'], n: 1, when: new Date(0), byId: reactiveMap() });
+    const apply = (op) => () => applyPatch(store, [op]);
+
+    expect(apply({ op: 'replace', path: '/missing', value: 1 })).toThrow('nothing to replace at "/missing"');
+    expect(apply({ op: 'replace', path: '/tags/1', value: 1 })).toThrow('no index "1" at "/tags/1"');
+    expect(apply({ op: 'remove', path: '/tags/-' })).toThrow('no index "-" at "/tags/-"');
+    expect(apply({ op: 'add', path: '/tags/01', value: 1 })).toThrow('no index "01"');
+    expect(apply({ op: 'replace', path: '/tags/3/a', value: 1 })).toThrow('no index "3"');
+    expect(apply({ op: 'add', path: '/missing/a', value: 1, })).not.toThrow();
+    expect(apply({ op: 'replace', path: '/other/a', value: 1 })).toThrow('"/other/a" does not exist');
+    expect(apply({ op: 'add', path: '/n/a', value: 1 })).toThrow('"/n/a" does not exist');
+    expect(apply({ op: 'add', path: '/when/a', value: 1 })).toThrow('can\'t patch inside the value at "/when/a"');
+    expect(apply({ op: 'add', path: '/byId/a', value: 1 })).toThrow('can\'t patch inside the value at "/byId/a"');
+  });
+
+  it('validates its arguments', () => {
+    const store = state({ a: 0 });
+
+    expect(() => applyPatch({}, [])).toThrow('[Lume.js] applyPatch() requires a reactive store from state()');
+    expect(() => applyPatch(store, {})).toThrow('applyPatch(): ops must be an array');
+    expect(() => applyPatch(store, [{ op: 'move', path: '/a', from: '/b' }]))
+      .toThrow('applyPatch(): unsupported operation "move" (use add, remove or replace)');
+    expect(() => applyPatch(store, [null])).toThrow('unsupported operation undefined');
+    expect(() => applyPatch(store, [{ op: 'add', path: '/b' }])).toThrow('"add" at "/b" needs a value');
+    expect(() => applyPatch(store, [{ op: 'add', path: 'b', value: 1 }])).toThrow('invalid path "b"');
+  });
+});
+
+describe('changes()', () => {
+  it('emits add, replace and remove operations once per flush', async () => {
+    const store = state({ a: 1, b: 2 });
+    const calls = [];
+    changes(store, ops => calls.push(ops));
+
+    store.a = 10;
+    store.a = 11;
+    store.c = 3;
+    delete store.b;
+    await flush();
+
+    expect(calls).toEqual([[
+      { op: 'replace', path: '/a', value: 11 },
+      { op: 'add', path: '/c', value: 3 },
+      { op: 'remove', path: '/b' },
+    ]]);
+  });
+
+  it('tells keys holding undefined apart from new and deleted keys', async () => {
+    const store = state({ gone: undefined, kept: undefined, set: 1 });
+    const calls = [];
+    changes(store, ops => calls.push(...ops));
+
+    delete store.gone;
+    store.kept = 2;
+    store.set = undefined;
+    await flush();
+
+    expect(calls).toEqual([
+      { op: 'remove', path: '/gone' },
+      { op: 'replace', path: '/kept', value: 2 },
+      { op: 'replace', path: '/set', value: null },
+    ]);
+  });
+
+  it('round-trips through JSON into applyPatch()', async () => {
+    const source = state({ gone: undefined, kept: undefined, set: 1 });
+    const replica = state({ gone: undefined, kept: undefined, set: 1 });
+    changes(source, ops => applyPatch(replica, JSON.parse(JSON.stringify(ops))));
+
+    delete source.gone;
+    source.kept = 2;
+    source.set = undefined;
+    source.added = undefined;
+    await flush();
+
+    expect('gone' in replica).toBe(false);
+    expect(replica.kept).toBe(2);
+    expect(replica.set).toBeNull();
+    expect('added' in replica).toBe(true);
+  });
+
+  it('skips a key added and deleted within one flush', async () => {
+    const store = state({ a: 1 });
+    const fn = vi.fn();
+    changes(store, fn);
+
+    store.tmp = 1;
+    delete store.tmp;
+    await flush();
+
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('reports nested stores with escaped paths and plain values', async () => {
+    const store = state({ 'a/b': state({ 'c~d': 1 }), user: state({ name: '' }) });
+    const calls = [];
+    changes(store, ops => calls.push(...ops));
+
+    store['a/b']['c~d'] = 2;
+    store.user.name = 'Ada';
+    store.profile = state({ bio: 'x', tags: [state({ t: 1 })] });
+    await flush();
+
+    expect(calls).toEqual([
+      { op: 'replace', path: '/a~1b/c~0d', value: 2 },
+      { op: 'replace', path: '/user/name', value: 'Ada' },
+      { op: 'add', path: '/profile', value: { bio: 'x', tags: [{ t: 1 }] } },
+    ]);
+
+    calls.length = 0;
+    store.profile.bio = 'y';
+    await flush();
+    expect(calls).toEqual([{ op: 'replace', path: '/profile/bio', value: 'y' }]);
+  });
+
+  it('follows nested stores that are replaced or removed', async () => {
+    const first = state({ v: 1 });
+    const store = state({ child: first });
+    const calls = [];
+    changes(store, ops => calls.push(...ops));
+
+    const second = state({ v: 2 });
+    store.child = second;
+    await flush();
+    calls.length = 0;
+
+    first.v = 5;
+    second.v = 3;
+    await flush();
+    expect(calls).toEqual([{ op: 'replace', path: '/child/v', value: 3 }]);
+
+    store.child = first;
+    store.child = second; // back to the watched store within one flush
+    await flush();
+    calls.length = 0;
+    second.v = 6;
+    await flush();
+    expect(calls).toEqual([{ op: 'replace', path: '/child/v', value: 6 }]);
+
+    delete store.child;
+    await flush();
+    calls.length = 0;
+    second.v = 4;
+    await flush();
+    expect(calls).toEqual([]);
+  });
+
+  it('does not loop on cyclic stores', async () => {
+    const store = state({ n: 0 });
+    const child = state({ n: 0 });
+    store.child = child;
+    child.parent = store;
+    const calls = [];
+    changes(store, ops => calls.push(...ops));
+
+    child.n = 1;
+    store.self = store;
+    await flush();
+
+    expect(calls).toEqual([
+      { op: 'replace', path: '/child/n', value: 1 },
+      // the cycles inside the value are left out
+      { op: 'add', path: '/self', value: { n: 0, child: { n: 1, parent: undefined }, self: undefined } },
+    ]);
+  });
+
+  it('stops everything on unsubscribe', async () => {
+    const store = state({ a: 0, child: state({ b: 0 }) });
+    const fn = vi.fn();
+    const unsubscribe = changes(store, fn);
+
+    unsubscribe();
+    store.a = 1;
+    store.child.b = 1;
+    await flush();
+
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('requires a store and a function', () => {
+    expect(() => changes({}, () => {})).toThrow('[Lume.js] changes() requires a reactive store from state()');
+    expect(() => changes(state({}))).toThrow('[Lume.js] changes() requires a function');
+  });
+});
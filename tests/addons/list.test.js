@@ -0,0 +1,220 @@
+import { describe, it, expect, vi } from 'vitest';
+import { state } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
+import { list } from 'src/addons/list.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+function observed(items) {
+  const records = [];
+  items.$observe(batch => records.push(...batch));
+  return records;
+}
+
+describe('list', () => {
+  it('throws for non-array input', () => {
+    expect(() => list({})).toThrow('list() requires an array');
+  });
+
+  it('defaults to an empty array and behaves like one', () => {
+    const items = list();
+    items.push(1, 2, 3);
+    expect(Array.isArray(items)).toBe(true);
+    expect(items.length).toBe(3);
+    expect([...items]).toEqual([1, 2, 3]);
+    expect(items.map(x => x * 2)).toEqual([2, 4, 6]);
+    expect(JSON.stringify(items)).toBe('[1,2,3]');
+  });
+
+  describe('change records', () => {
+    it('push and unshift insert; pop and shift remove', () => {
+      const items = list([1, 2]);
+      const records = observed(items);
+
+      expect(items.push(3)).toBe(3);
+      expect(items.unshift(0)).toBe(4);
+      expect(items.pop()).toBe(3);
+      expect(items.shift()).toBe(0);
+
+      expect(records).toEqual([
+        { type: 'insert', index: 2, value: 3 },
+        { type: 'insert', index: 0, value: 0 },
+        { type: 'remove', index: 3, value: 3 },
+        { type: 'remove', index: 0, value: 0 },
+      ]);
+    });
+
+    it('splice describes removes then inserts at the start index', () => {
+      const items = list(['a', 'b', 'c', 'd']);
+      const records = observed(items);
+
+      expect(items.splice(-3, 2, 'x')).toEqual(['b', 'c']);
+      expect([...items]).toEqual(['a', 'x', 'd']);
+      expect(records).toEqual([
+        { type: 'remove', index: 1, value: 'b' },
+        { type: 'remove', index: 1, value: 'c' },
+        { type: 'insert', index: 1, value: 'x' },
+      ]);
+    });
+
+    it('follows splice argument semantics and skips no-op calls', () => {
+      const items = list([1, 2, 3]);
+      const records = observed(items);
+
+      expect(items.splice()).toEqual([]);
+      expect(items.splice(1, -5)).toEqual([]);
+      expect(items.pop.call(undefined)).toBe(3);
+      expect(items.splice(1)).toEqual([2]);
+      expect(list([]).pop()).toBeUndefined();
+      expect(records.map(r => r.type)).toEqual(['remove', 'remove']);
+    });
+
+    it('index writes replace, append, or reset when sparse', () => {
+      const items = list([1, 2]);
+      const records = observed(items);
+
+      items[0] = 10;
+      items[0] = 10; // unchanged: no record
+      items[2] = 3;
+      items[5] = 6;
+
+      expect(records).toEqual([
+        { type: 'replace', index: 0, value: 10, oldValue: 1 },
+        { type: 'insert', index: 2, value: 3 },
+        { type: 'reset' },
+      ]);
+      expect(items.length).toBe(6);
+    });
+
+    it('length writes remove the tail or reset on growth', () => {
+      const items = list([1, 2, 3]);
+      const records = observed(items);
+
+      items.length = 3;
+      items.length = 1;
+      items.length = 2;
+
+      expect(records).toEqual([
+        { type: 'remove', index: 1, value: 2 },
+        { type: 'remove', index: 1, value: 3 },
+        { type: 'reset' },
+      ]);
+    });
+
+    it('whole-array rewrites reset and return the list', () => {
+      const items = list([3, 1, 2]);
+      const records = observed(items);
+
+      expect(items.sort()).toBe(items);
+      expect([...items]).toEqual([1, 2, 3]);
+      items.reverse();
+      items.fill(0, 2);
+      items.copyWithin(0, 2);
+
+      expect([...items]).toEqual([0, 2, 0]);
+      expect(records).toEqual(Array(4).fill({ type: 'reset' }));
+    });
+
+    it('deleting an index resets; other keys are plain', () => {
+      const items = list([1, 2]);
+      const records = observed(items);
+
+      const tag = Symbol('tag');
+      items.label = 'x';
+      items[tag] = true;
+      delete items.label;
+      delete items[tag];
+      delete items[1];
+
+      expect(items.length).toBe(2);
+      expect(items[1]).toBeUndefined();
+      expect(records).toEqual([{ type: 'reset' }]);
+    });
+
+    it('move() emits a move record and validates indexes', () => {
+      const items = list(['a', 'b', 'c']);
+      const records = observed(items);
+
+      items.move(0, 2);
+      items.move(1, 1);
+
+      expect([...items]).toEqual(['b', 'c', 'a']);
+      expect(records).toEqual([{ type: 'move', from: 0, to: 2 }]);
+      expect(() => items.move(0, 3)).toThrow(RangeError);
+      expect(() => items.move(-1, 0)).toThrow('index out of range');
+    });
+
+    it('$observe validates, unsubscribes, and isolates throwing observers', () => {
+      const items = list([]);
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const seen = [];
+
+      expect(() => items.$observe(null)).toThrow('$observe requires a function');
+      items.$observe(() => { throw new Error('boom'); });
+      const stop = items.$observe(records => seen.push(records.length));
+
+      items.push(1);
+      stop();
+      items.push(2);
+
+      expect(seen).toEqual([1]);
+      expect(errorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Error in $observe callback'),
+        expect.any(Error)
+      );
+      errorSpy.mockRestore();
+    });
+  });
+
+  describe('reactivity', () => {
+    it('notifies the holding store key on in-place mutations', async () => {
+      const store = state({ todos: list([]) });
+      const seen = [];
+      store.$subscribe('todos', todos => seen.push(todos.length));
+
+      store.todos.push('a');
+      store.todos.push('b');
+      await flush();
+
+      expect(seen).toEqual([0, 2]);
+    });
+
+    it('re-runs effects that read the store key', async () => {
+      const store = state({ todos: list(['a']) });
+      const fn = vi.fn(() => store.todos.join());
+
+      effect(fn);
+      store.todos[0] = 'b';
+      await flush();
+
+      expect(fn).toHaveLastReturnedWith('b');
+    });
+
+    it('tracks reads of a standalone list', async () => {
+      const items = list([1]);
+      let total = 0;
+
+      effect(() => { total = items.reduce((a, b) => a + b, 0); });
+      items.push(2);
+      await flush();
+
+      expect(total).toBe(3);
+    });
+
+    it('detaches from a store key once the list is replaced', async () => {
+      const first = list([]);
+      const store = state({ todos: first });
+      const seen = vi.fn();
+      store.$subscribe('todos', seen);
+
+      store.todos = list([]);
+      await flush();
+      seen.mockClear();
+
+      first.push(1);
+      await flush();
+
+      expect(seen).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { state, READONLY } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
+import { bindDom } from 'src/core/bindDom.js';
+import { readonly } from 'src/addons/readonly.js';
+import { schema } from 'src/addons/schema.js';
+import { changes } from 'src/addons/jsonPatch.js';
+import { list } from 'src/addons/list.js';
+import { reactiveMap, reactiveSet } from 'src/addons/collections.js';
+import { isReactive } from 'src/addons/index.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('readonly', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('requires a reactive store', () => {
+    expect(() => readonly({})).toThrow('readonly() requires a reactive store');
+    expect(() => readonly(null)).toThrow('readonly() requires a reactive store');
+  });
+
+  it('forwards reads and returns one view per store', () => {
+    const store = state({ count: 1 });
+    const view = readonly(store);
+
+    expect(view.count).toBe(1);
+    expect('count' in view).toBe(true);
+    expect(view[Symbol.for('lume.reactive')]).toBe(true); // symbol keys forward too
+    expect(view[READONLY]).toBe(true);
+    expect(READONLY in view).toBe(true);
+    expect(READONLY in store).toBe(false);
+    expect(Object.keys(view)).toContain('count');
+    expect(readonly(store)).toBe(view);
+    expect(readonly(view)).toBe(view);
+  });
+
+  it('warns on writes, deletes and defineProperty and changes nothing', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ count: 1 });
+    const view = readonly(store);
+
+    view.count = 2;
+    delete view.count;
+    Object.defineProperty(view, 'extra', { value: 1 });
+
+    expect(store.count).toBe(1);
+    expect('extra' in store).toBe(false);
+    expect(warnSpy).toHaveBeenCalledTimes(3);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Write to "count" ignored: this is a read-only view'));
+  });
+
+  it('is tracked by effect() through the store', async () => {
+    const store = state({ count: 1 });
+    const view = readonly(store);
+    const seen = [];
+    effect(() => { seen.push(view.count); });
+
+    store.count = 2;
+    await flush();
+
+    expect(seen).toEqual([1, 2]);
+  });
+
+  it('returns nested stores as views', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const user = state({ name: 'Ada' });
+    const view = readonly(state({ user, plain: { a: 1 } }));
+
+    expect(view.user).toBe(readonly(user));
+    view.user.name = 'x';
+    expect(user.name).toBe('Ada');
+    expect(warnSpy).toHaveBeenCalledOnce();
+    view.plain.a = 2; // plain objects are not stores — not guarded
+    expect(view.plain.a).toBe(2);
+  });
+
+  it('returns list() values as views whose mutators warn', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const items = list([1, 2]);
+    const store = state({ items });
+    const view = readonly(store);
+    const seen = [];
+    effect(() => { seen.push(view.items.join(',')); });
+
+    expect(view.items).toBe(view.items);
+    expect(Array.isArray(view.items)).toBe(true);
+    view.items.push(3);
+    view.items.splice(0, 1);
+    view.items.move(0, 1);
+    view.items[0] = 9;
+    view.items.length = 0;
+    expect([...items]).toEqual([1, 2]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('push() ignored'));
+
+    items.push(3); // the store's owner still writes, and the view tracks it
+    await flush();
+    expect(seen[0]).toBe('1,2');
+    expect(seen.at(-1)).toBe('1,2,3');
+    expect(typeof view.items.$observe).toBe('function');
+  });
+
+  it('returns reactiveMap() and reactiveSet() values as views whose mutators warn', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ m: reactiveMap([['a', 1]]), s: reactiveSet([1]) });
+    const view = readonly(store);
+
+    view.m.set('a', 2);
+    view.m.delete('a');
+    view.m.clear();
+    view.s.add(2);
+    view.s.delete(1);
+    delete view.m.size;
+
+    expect(store.m.get('a')).toBe(1);
+    expect([...store.s]).toEqual([1]);
+    expect(view.m.get('a')).toBe(1);
+    expect(view.m.size).toBe(1);
+    expect(view.s.has(1)).toBe(true);
+    expect(view.m instanceof Map).toBe(true);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('set() ignored'));
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Delete of "size" ignored'));
+  });
+
+  it('leaves plain arrays, Maps and Sets alone', () => {
+    const tags = ['a'];
+    const view = readonly(state({ tags, m: new Map() }));
+    expect(view.tags).toBe(tags);
+    expect(view.m).toBeInstanceOf(Map);
+  });
+
+  it('supports $subscribe with wrapped values, and the change feed', async () => {
+    const first = state({ v: 1 });
+    const store = state({ child: first, n: 0 });
+    const view = readonly(store);
+    const seen = [];
+    const feed = [];
+
+    view.$subscribe('child', v => seen.push(v));
+    view.$subscribe('*', changes => feed.push(...changes));
+    const second = state({ v: 2 });
+    store.child = second;
+    await flush();
+
+    expect(seen).toEqual([readonly(first), readonly(second)]);
+    expect(feed).toEqual([{ key: 'child', value: readonly(second), oldValue: readonly(first) }]);
+    expect(() => view.$subscribe('n')).toThrow('Subscriber must be a function');
+  });
+
+  it('supports changes()', async () => {
+    const store = state({ user: state({ name: '' }) });
+    const ops = [];
+
+    changes(readonly(store), batch => ops.push(...batch));
+    store.user.name = 'Ada';
+    await flush();
+
+    expect(ops).toEqual([{ op: 'replace', path: '/user/name', value: 'Ada' }]);
+  });
+
+  it('supports $peek, wrapping nested stores', () => {
+    const user = state({ name: 'Ada' });
+    const view = readonly(state({ user, n: 1 }));
+
+    expect(view.$peek('n')).toBe(1);
+    expect(view.$peek('user')).toBe(readonly(user));
+  });
+
+  it('rejects the other $-methods', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ n: 0 });
+    const view = readonly(store);
+
+    view.$patch({ n: 1 });
+    view.$reset();
+    view.$beforeFlush(() => {});
+
+    expect(store.n).toBe(0);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('$patch() ignored'));
+  });
+
+  it('reads $-data through, wrapping stores', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ n: 0 }, { schema: schema({ n: { type: 'number' } }) });
+    const view = readonly(store);
+
+    expect(view.$initial).toBe(store.$initial);
+    expect(view.$errors).toBe(readonly(store.$errors));
+    view.$errors.n = 'x';
+    expect(store.$errors.n).toBe('');
+  });
+
+  it('is recognized by isReactive()', () => {
+    expect(isReactive(readonly(state({})))).toBe(true);
+  });
+
+  it('binds one-way with bindDom', async () => {
+    document.body.innerHTML = '<input data-bind="user.name"><span data-bind="count"></span>';
+    const store = state({ count: 1, user: state({ name: 'Ada' }) });
+    const cleanup = bindDom(document.body, readonly(store));
+    const input = document.querySelector('input');
+
+    expect(input.value).toBe('Ada');
+    expect(document.querySelector('span').textContent).toBe('1');
+
+    input.value = 'typed';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(store.user.name).toBe('Ada');
+
+    store.user.name = 'Grace';
+    await flush();
+    expect(input.value).toBe('Grace');
+    cleanup();
+  });
+});
@@ -2,6 +2,8 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { state } from 'src/core/state.js';
 import { repeat, defaultFocusPreservation, defaultScrollPreservation } from 'src/addons/repeat.js';
 import { computed } from 'src/addons/computed.js';
+import { list } from 'src/addons/list.js';
+import { reactiveMap, reactiveSet } from 'src/addons/collections.js';
 
 describe('repeat', () => {
   let container;
@@ -1277,6 +1279,187 @@ describe('repeat', () => {
     });
   });
 
+  describe('list() change records', () => {
+    const order = () => Array.from(container.children).map(el => el.textContent).join(',');
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    function mount(ids) {
+      const store = state({ items: list(ids.map(id => ({ id }))) });
+      repeat(container, store, 'items', {
+        key: item => item.id,
+        render: (item, el) => { el.textContent = String(item.id); }
+      });
+      return store;
+    }
+
+    // reconcileDOM walks the container's children; the fast path never does
+    function spyReconcile() {
+      const { get } = Object.getOwnPropertyDescriptor(Element.prototype, 'firstElementChild');
+      const walk = vi.fn(function () { return get.call(this); });
+      Object.defineProperty(container, 'firstElementChild', { get: walk, configurable: true });
+      walk.mockRestore = () => { delete container.firstElementChild; };
+      return walk;
+    }
+
+    it('renders push() without a reconciliation pass', async () => {
+      const store = mount([1, 2, 3]);
+      const walk = spyReconcile();
+      const insertSpy = vi.spyOn(container, 'insertBefore');
+
+      store.items.push({ id: 4 }, { id: 5 });
+      await flush();
+
+      expect(order()).toBe('1,2,3,4,5');
+      expect(insertSpy.mock.calls.length).toBe(2);
+      expect(walk).not.toHaveBeenCalled();
+      walk.mockRestore();
+      insertSpy.mockRestore();
+    });
+
+    it('detaches removed rows before calling remove, in place or reordered', async () => {
+      const store = state({ items: list([{ id: 1 }, { id: 2 }, { id: 3 }]) });
+      const attached = [];
+      repeat(container, store, 'items', {
+        key: item => item.id,
+        render: (item, el) => { el.textContent = String(item.id); },
+        remove: (item, el) => attached.push(`${item.id}:${el.isConnected}`)
+      });
+
+      store.items.splice(1, 1); // fast path
+      await flush();
+      store.items = list([{ id: 3 }]); // new list: reconciliation
+      await flush();
+
+      expect(attached).toEqual(['2:false', '1:false']);
+      expect(order()).toBe('3');
+    });
+
+    it('applies splice, pop and shift in place, keeping survivors', async () => {
+      const store = mount([1, 2, 3, 4, 5]);
+      const el3 = container.children[2];
+      const walk = spyReconcile();
+
+      store.items.splice(1, 1, { id: 9 });
+      store.items.pop();
+      store.items.shift();
+      await flush();
+
+      expect(order()).toBe('9,3,4');
+      expect(container.children[1]).toBe(el3);
+      expect(walk).not.toHaveBeenCalled();
+      walk.mockRestore();
+    });
+
+    it('re-renders replaced items that keep their key', async () => {
+      const store = mount([1, 2]);
+      const el2 = container.children[1];
+
+      store.items[1] = { id: 2, extra: true };
+      await flush();
+
+      expect(container.children[1]).toBe(el2);
+      expect(order()).toBe('1,2');
+    });
+
+    it('falls back to full reconciliation for moves and sorts', async () => {
+      const store = mount([1, 2, 3, 4]);
+
+      store.items.move(0, 3);
+      await flush();
+      expect(order()).toBe('2,3,4,1');
+
+      store.items.sort((a, b) => a.id - b.id);
+      await flush();
+      expect(order()).toBe('1,2,3,4');
+    });
+
+    it('falls back when an insert re-adds a rendered key elsewhere', async () => {
+      const store = mount([1, 2, 3]);
+      const walk = spyReconcile();
+
+      // Remove 1 then re-insert it at the end: its row must move
+      const [first] = store.items.splice(0, 1);
+      store.items.push(first);
+      await flush();
+
+      expect(order()).toBe('2,3,1');
+      expect(walk).toHaveBeenCalled();
+      walk.mockRestore();
+    });
+
+    it('falls back when an update contains duplicate keys', async () => {
+      const store = mount([1, 2]);
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      store.items.unshift({ id: 5 }, { id: 5 });
+      await flush();
+
+      expect(order()).toBe('5,1,2');
+      warnSpy.mockRestore();
+    });
+
+    it('re-observes when the key is assigned a new list', async () => {
+      const store = mount([1, 2]);
+      const old = store.items;
+
+      store.items = list([{ id: 7 }]);
+      await flush();
+      expect(order()).toBe('7');
+
+      old.push({ id: 3 });
+      store.items.push({ id: 8 });
+      await flush();
+      expect(order()).toBe('7,8');
+    });
+
+    it('stops observing the list on cleanup', async () => {
+      const items = list([{ id: 1 }]);
+      const store = state({ items });
+      const cleanup = repeat(container, store, 'items', {
+        key: item => item.id,
+        render: (item, el) => { el.textContent = String(item.id); }
+      });
+
+      cleanup();
+      items.push({ id: 2 });
+      await flush();
+      expect(container.children.length).toBe(0);
+    });
+  });
+
+  describe('Map and Set', () => {
+    const order = () => Array.from(container.children).map(el => el.textContent).join(',');
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('renders the values of a reactiveMap and follows its changes', async () => {
+      const store = state({ users: reactiveMap([[1, { id: 1, name: 'Ada' }]]) });
+      repeat(container, store, 'users', {
+        key: u => u.id,
+        render: (u, el) => { el.textContent = u.name; }
+      });
+      expect(order()).toBe('Ada');
+
+      store.users.set(2, { id: 2, name: 'Grace' });
+      store.users.delete(1);
+      await flush();
+
+      expect(order()).toBe('Grace');
+    });
+
+    it('renders a reactiveSet of primitives', async () => {
+      const store = state({ tags: reactiveSet(['a', 'b']) });
+      repeat(container, store, 'tags', {
+        key: t => t,
+        render: (t, el) => { el.textContent = t; }
+      });
+
+      store.tags.add('c');
+      await flush();
+
+      expect(order()).toBe('a,b,c');
+    });
+  });
+
   describe('Error Handling', () => {
     it('warns if container not found', () => {
       const store = state({ items: [] });
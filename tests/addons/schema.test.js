@@ -0,0 +1,154 @@
+import { describe, it, expect, vi } from 'vitest';
+import { state } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
+import { schema } from 'src/addons/schema.js';
+
+describe('schema()', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  const rules = {
+    age: { type: 'number', min: 0, max: 130 },
+    name: { type: 'string', min: 1, validate: (v) => v.trim() === v || 'No outer spaces' },
+    role: { enum: ['admin', 'user'] },
+  };
+
+  it('rejects invalid writes and reports them in $errors', async () => {
+    const store = state({ age: 30, name: 'Ada', role: 'user' }, { schema: schema(rules) });
+    const seen = vi.fn();
+    store.$subscribe('age', seen);
+
+    store.age = '31';
+    store.name = ' Ada';
+    store.role = 'root';
+    await tick();
+
+    expect(store.age).toBe(30);
+    expect(store.name).toBe('Ada');
+    expect(store.role).toBe('user');
+    expect(seen).toHaveBeenCalledTimes(1);
+    expect(store.$errors.age).toBe('Expected number');
+    expect(store.$errors.name).toBe('No outer spaces');
+    expect(store.$errors.role).toBe('Must be one of: admin, user');
+
+    store.age = 31;
+    expect(store.age).toBe(31);
+    expect(store.$errors.age).toBe('');
+  });
+
+  it('checks min/max, NaN and custom predicates', () => {
+    const store = state({ age: 30, name: 'Ada', tags: [] }, {
+      schema: schema({ ...rules, tags: { type: 'array', max: 1, validate: () => false } }),
+    });
+
+    store.age = -1;
+    expect(store.$errors.age).toBe('Must be at least 0');
+    store.age = 200;
+    expect(store.$errors.age).toBe('Must be at most 130');
+    store.age = NaN;
+    expect(store.$errors.age).toBe('Expected number');
+    store.name = '';
+    expect(store.$errors.name).toBe('Must be at least 1');
+    store.tags = ['a', 'b'];
+    expect(store.$errors.tags).toBe('Must be at most 1');
+    store.tags = ['a'];
+    expect(store.$errors.tags).toBe('Invalid value');
+    expect(store.tags).toEqual([]);
+  });
+
+  it('coerces with onInvalid: "coerce"', () => {
+    const store = state({ age: 0, on: false, label: '' }, {
+      schema: schema(
+        { age: { type: 'number' }, on: { type: 'boolean' }, label: { type: 'string' } },
+        { onInvalid: 'coerce' },
+      ),
+    });
+
+    store.age = '42';
+    store.on = 'true';
+    store.label = 7;
+    expect(store.age).toBe(42);
+    expect(store.on).toBe(true);
+    expect(store.label).toBe('7');
+    expect(store.$errors.age).toBe('');
+
+    store.age = 'abc';
+    store.age = '';
+    store.on = 1;
+    store.label = {};
+    expect(store.age).toBe(42);
+    expect(store.label).toBe('7');
+    expect(store.$errors.age).toBe('Expected number');
+  });
+
+  it('writes anyway with onInvalid: "keep"', () => {
+    const store = state({ age: 0 }, { schema: schema(rules, { onInvalid: 'keep' }) });
+
+    store.age = -5;
+    expect(store.age).toBe(-5);
+    expect(store.$errors.age).toBe('Must be at least 0');
+  });
+
+  it('reports invalid initial values but still accepts them on $reset()', () => {
+    const store = state({ age: null }, { schema: schema({ age: { type: 'number' } }) });
+    expect(store.$errors.age).toBe('Expected number');
+
+    store.age = 5;
+    expect(store.$errors.age).toBe('');
+    store.$reset();
+    expect(store.age).toBe(null);
+    expect(store.$errors.age).toBe('Expected number');
+  });
+
+  it('leaves keys without a rule alone', () => {
+    const store = state({ age: 1, free: 0 }, { schema: schema({ age: { type: 'number' } }) });
+    store.free = 'anything';
+    expect(store.free).toBe('anything');
+    expect('free' in store.$errors).toBe(false);
+  });
+
+  it('guards $patch() writes', () => {
+    const store = state({ age: 1, name: 'Ada' }, { schema: schema(rules) });
+    expect([...store.$patch({ age: -1, name: 'Grace' })]).toEqual(['name']);
+    expect(store.age).toBe(1);
+  });
+
+  it('makes $errors reactive', async () => {
+    const store = state({ age: 1 }, { schema: schema(rules) });
+    const shown = [];
+    effect(() => { shown.push(store.$errors.age); });
+
+    store.age = -1;
+    await tick();
+    store.age = -2; // same message: no re-run
+    await tick();
+
+    expect(shown).toEqual(['', 'Must be at least 0']);
+  });
+
+  it('validates the rules and policy', () => {
+    expect(() => schema([])).toThrow('schema() requires an object of key → rule');
+    expect(() => schema({ a: 1 })).toThrow('schema() rule for "a" must be an object');
+    expect(() => schema({ a: { type: 'date' } })).toThrow('unknown type "date" for "a"');
+    expect(() => schema({}, { onInvalid: 'drop' })).toThrow('schema() onInvalid must be one of: reject, coerce, keep');
+  });
+
+  it('must be built with schema()', () => {
+    expect(() => state({ age: 1 }, { schema: { age: { type: 'number' } } }))
+      .toThrow('state() schema must be built with schema() from lume-js/addons');
+  });
+
+  it('can be shared by several stores', () => {
+    const ageRules = schema({ age: { type: 'number', min: 0 } });
+    const a = state({ age: 1 }, { schema: ageRules });
+    const b = state({ age: -1 }, { schema: ageRules });
+
+    a.age = -2;
+    expect(a.$errors.age).toBe('Must be at least 0');
+    b.age = 2;
+    expect(b.$errors.age).toBe('');
+    expect(a.$errors).not.toBe(b.$errors);
+  });
+
+  it('has no $errors without a schema', () => {
+    expect(state({ a: 1 }).$errors).toBeUndefined();
+  });
+});
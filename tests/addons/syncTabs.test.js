@@ -0,0 +1,244 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { syncTabs } from 'src/addons/syncTabs.js';
+import { state } from 'src/core/state.js';
+
+// Node's BroadcastChannel delivers between instances of one process, a few
+// ticks after postMessage
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+let channelId = 0;
+const nextChannel = () => `test-${++channelId}`;
+
+describe('syncTabs', () => {
+  const cleanups = [];
+  const track = (dispose) => {
+    cleanups.push(dispose);
+    return dispose;
+  };
+
+  afterEach(() => {
+    while (cleanups.length) cleanups.pop()();
+    vi.unstubAllGlobals();
+  });
+
+  /** A raw channel standing in for another tab. */
+  function otherTab(name) {
+    const channel = new BroadcastChannel(name);
+    const received = [];
+    channel.onmessage = (event) => received.push(JSON.parse(event.data));
+    track(() => channel.close());
+    return { received, send: (message) => channel.postMessage(JSON.stringify(message)) };
+  }
+
+  it('requires a store and a channel name', () => {
+    expect(() => syncTabs({}, 'a')).toThrow('[Lume.js] syncTabs() requires a reactive store from state()');
+    expect(() => syncTabs(state({}), '')).toThrow('[Lume.js] syncTabs() requires a non-empty channel name');
+  });
+
+  it('syncs writes and deletes between tabs without echoing them back', async () => {
+    const name = nextChannel();
+    const a = state({ count: 0, title: '' });
+    const b = state({ count: 0, title: '' });
+    track(syncTabs(a, name));
+    track(syncTabs(b, name));
+    const spy = otherTab(name);
+
+    a.count = 1;
+    a.title = 'x';
+    await settle();
+    expect(b.count).toBe(1);
+    expect(b.title).toBe('x');
+
+    delete b.title;
+    b.extra = true;
+    await settle();
+    expect('title' in a).toBe(false);
+    expect(a.extra).toBe(true);
+
+    // one message per flush, none echoed by the receiving tab
+    expect(spy.received.map(m => m.changes)).toEqual([
+      [{ key: 'count', value: 1 }, { key: 'title', value: 'x' }],
+      [{ key: 'title', deleted: true }, { key: 'extra', value: true }],
+    ]);
+  });
+
+  it('only sends and applies the given keys', async () => {
+    const name = nextChannel();
+    const store = state({ theme: 'light', draft: '' });
+    track(syncTabs(store, name, { keys: ['theme'] }));
+    const tab = otherTab(name);
+
+    store.draft = 'typing';
+    await settle();
+    expect(tab.received).toEqual([]);
+
+    tab.send({ source: 'z', clock: 1, changes: [{ key: 'draft', value: 'x' }, { key: 'theme', value: 'dark' }] });
+    await settle();
+    expect(store.theme).toBe('dark');
+    expect(store.draft).toBe('typing');
+  });
+
+  it('sends nested stores as plain data', async () => {
+    const name = nextChannel();
+    const store = state({ user: state({ name: '' }), query: null });
+    track(syncTabs(store, name));
+    const tab = otherTab(name);
+
+    store.user = state({ name: 'Ada' });
+    store.query = { $gt: 1 };
+    await settle();
+
+    expect(tab.received[0].changes).toEqual([
+      { key: 'user', value: { name: 'Ada' } },
+      { key: 'query', value: { $gt: 1 } },
+    ]);
+  });
+
+  it('resolves conflicts per key by logical clock, last writer wins', async () => {
+    const name = nextChannel();
+    const store = state({ a: 0, b: 0 });
+    track(syncTabs(store, name));
+    const tab = otherTab(name);
+
+    tab.send({ source: 'm', clock: 5, changes: [{ key: 'a', value: 5 }] });
+    await settle();
+    tab.send({ source: 'm', clock: 3, changes: [{ key: 'a', value: 3 }, { key: 'b', value: 3 }] });
+    await settle();
+    expect(store.a).toBe(5); // older than the key's last write
+    expect(store.b).toBe(3);
+
+    tab.send({ source: 'a', clock: 5, changes: [{ key: 'a', value: -1 }] });
+    tab.send({ source: 'z', clock: 5, changes: [{ key: 'a', value: 6 }] });
+    await settle();
+    expect(store.a).toBe(6); // same clock: the higher tab id wins
+
+    // A local write after seeing clock 5 is newer than it
+    store.a = 7;
+    await settle();
+    expect(tab.received.at(-1).clock).toBeGreaterThan(5);
+    tab.send({ source: 'z', clock: 5, changes: [{ key: 'a', value: 8 }] });
+    await settle();
+    expect(store.a).toBe(7);
+  });
+
+  it('ignores malformed and foreign messages', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const name = nextChannel();
+    const store = state({ a: 0 });
+    track(syncTabs(store, name));
+    const raw = new BroadcastChannel(name);
+    track(() => raw.close());
+
+    raw.postMessage('{not json');
+    raw.postMessage('null');
+    raw.postMessage(JSON.stringify({ source: 'z', clock: 'x', changes: [] }));
+    raw.postMessage(JSON.stringify({ source: 'z', clock: 1 }));
+    raw.postMessage(JSON.stringify({ source: 'z', clock: 1, changes: [{ key: '$initial', value: 1 }] }));
+    await settle();
+
+    expect(store.a).toBe(0);
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+    expect(warnSpy).toHaveBeenCalledWith('[Lume.js] syncTabs(): ignoring a malformed message');
+  });
+
+  it('warns when a value cannot be sent', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ n: 0 });
+    track(syncTabs(store, nextChannel()));
+
+    store.n = 1n;
+    await settle();
+
+    expect(warnSpy).toHaveBeenCalledWith(
+      expect.stringContaining('syncTabs(): could not send'),
+      expect.any(TypeError)
+    );
+  });
+
+  it('stops on dispose', async () => {
+    const name = nextChannel();
+    const store = state({ a: 0 });
+    const stop = syncTabs(store, name);
+    const tab = otherTab(name);
+
+    stop();
+    store.a = 1;
+    tab.send({ source: 'z', clock: 1, changes: [{ key: 'a', value: 2 }] });
+    await settle();
+
+    expect(tab.received).toEqual([]);
+    expect(store.a).toBe(1);
+  });
+
+  describe('storage fallback', () => {
+    function fakeStorage() {
+      const data = new Map();
+      return { data, getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, String(v)) };
+    }
+
+    it('sends through a storage entry and receives storage events', async () => {
+      vi.stubGlobal('BroadcastChannel', undefined);
+      const storage = fakeStorage();
+      const store = state({ a: 0 });
+      const stop = syncTabs(store, 'app', { storage });
+
+      store.a = 1;
+      await settle();
+      expect(JSON.parse(storage.data.get('lume-sync:app')).changes).toEqual([{ key: 'a', value: 1 }]);
+
+      // its own message coming back is ignored
+      const own = JSON.parse(storage.data.get('lume-sync:app'));
+      own.changes[0].value = 5;
+      window.dispatchEvent(new StorageEvent('storage', { key: 'lume-sync:app', newValue: JSON.stringify(own) }));
+
+      const message = JSON.stringify({ source: 'z', clock: 9, changes: [{ key: 'a', value: 2 }] });
+      window.dispatchEvent(new StorageEvent('storage', { key: 'other', newValue: message }));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'lume-sync:app', newValue: null }));
+      expect(store.a).toBe(1);
+      window.dispatchEvent(new StorageEvent('storage', { key: 'lume-sync:app', newValue: message }));
+      expect(store.a).toBe(2);
+
+      stop();
+      const later = JSON.stringify({ source: 'z', clock: 10, changes: [{ key: 'a', value: 3 }] });
+      window.dispatchEvent(new StorageEvent('storage', { key: 'lume-sync:app', newValue: later }));
+      expect(store.a).toBe(2);
+    });
+
+    it('defaults to localStorage', async () => {
+      vi.stubGlobal('BroadcastChannel', undefined);
+      const store = state({ a: 0 });
+      track(syncTabs(store, 'app'));
+
+      store.a = 1;
+      await settle();
+
+      expect(JSON.parse(localStorage.getItem('lume-sync:app')).changes).toEqual([{ key: 'a', value: 1 }]);
+      localStorage.removeItem('lume-sync:app');
+    });
+
+    it('is disabled, with a warning, without a transport', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.stubGlobal('BroadcastChannel', undefined);
+      const original = Object.getOwnPropertyDescriptor(window, 'localStorage');
+      Object.defineProperty(window, 'localStorage', {
+        configurable: true,
+        get() { throw new Error('SecurityError: access denied'); },
+      });
+
+      try {
+        const stop = syncTabs(state({ a: 0 }), 'app');
+        expect(() => stop()).not.toThrow();
+        Object.defineProperty(window, 'localStorage', { configurable: true, value: undefined });
+        syncTabs(state({ a: 0 }), 'app');
+        vi.stubGlobal('addEventListener', undefined);
+        syncTabs(state({ a: 0 }), 'app', { storage: fakeStorage() });
+        expect(warnSpy).toHaveBeenCalledTimes(3);
+        expect(warnSpy).toHaveBeenCalledWith(
+          '[Lume.js] syncTabs(): no BroadcastChannel or storage available — sync disabled'
+        );
+      } finally {
+        Object.defineProperty(window, 'localStorage', original);
+      }
+    });
+  });
+});
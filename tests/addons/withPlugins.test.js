@@ -1,5 +1,6 @@
 import { describe, it, expect, vi } from 'vitest';
 import { state } from 'src/core/state.js';
+import { effect } from 'src/core/effect.js';
 import { withPlugins } from 'src/addons/withPlugins.js';
 import { isReactive } from 'src/addons/index.js';
 
@@ -244,6 +245,19 @@ describe('withPlugins', () => {
       expect(wrapped.$custom).toBe('hello');
       expect(onGet).not.toHaveBeenCalledWith('$custom', expect.anything());
     });
+
+    it('$peek reads through onGet without tracking', async () => {
+      const store = withPlugins(state({ x: 1 }), [{ name: 'double', onGet: (key, value) => value * 2 }]);
+      const seen = [];
+
+      effect(() => { seen.push(store.$peek('x')); });
+      expect(seen).toEqual([2]);
+
+      store.x = 5;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(seen).toEqual([2]);
+      expect(store.$peek('x')).toBe(10);
+    });
   });
 
   describe('plugin isolation', () => {
@@ -464,4 +478,135 @@ describe('withPlugins', () => {
       expect(notifyKeys).not.toContain('$subscribe');
     });
   });
+
+  describe('$patch', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('passes the whole patch to onPatch once, with old values', () => {
+      const onPatch = vi.fn();
+      const onSet = vi.fn();
+      const store = withPlugins(state({ a: 1, b: 2 }), [{ name: 'p', onPatch, onSet }]);
+
+      const changed = store.$patch({ a: 10, b: 20 });
+
+      expect(onPatch).toHaveBeenCalledTimes(1);
+      expect(onPatch.mock.calls[0][0]).toEqual({ a: 10, b: 20 });
+      expect(onPatch.mock.calls[0][1]).toEqual({ a: 1, b: 2 });
+      expect(onSet).not.toHaveBeenCalled();
+      expect(changed).toEqual(new Set(['a', 'b']));
+    });
+
+    it('applies a patch returned by onPatch, chained across plugins', () => {
+      const double = { name: 'double', onPatch: (patch) => ({ ...patch, a: patch.a * 2 }) };
+      const addB = { name: 'addB', onPatch: (patch) => ({ ...patch, b: 'added' }) };
+      const store = withPlugins(state({ a: 1, b: '' }), [double, addB]);
+
+      store.$patch({ a: 5 });
+
+      expect(store.a).toBe(10);
+      expect(store.b).toBe('added');
+    });
+
+    it('falls back to onSet per key for plugins without onPatch', () => {
+      const upper = { name: 'upper', onSet: (key, v) => (typeof v === 'string' ? v.toUpperCase() : v) };
+      const store = withPlugins(state({ a: '', b: '' }), [upper]);
+
+      store.$patch({ a: 'x', b: 'y' });
+
+      expect(store.a).toBe('X');
+      expect(store.b).toBe('Y');
+    });
+
+    it('resolves the function form through onGet before hooks run', () => {
+      const onPatch = vi.fn();
+      const plus = { name: 'plus', onGet: (key, v) => (key === 'n' ? v + 100 : v), onPatch };
+      const store = withPlugins(state({ n: 1 }), [plus]);
+
+      store.$patch(draft => { draft.n = draft.n + 1; });
+
+      expect(onPatch.mock.calls[0][0]).toEqual({ n: 102 });
+    });
+
+    it('fires onNotify once per changed key', async () => {
+      const notified = [];
+      const store = withPlugins(state({ a: 1, b: 2 }), [{ name: 'n', onNotify: (key, v) => notified.push([key, v]) }]);
+      store.$subscribe('a', () => {});
+
+      store.$patch({ a: 2, b: 2 });
+      await tick();
+
+      expect(notified).toEqual([['a', 2]]);
+    });
+
+    it('logs onPatch errors and applies the patch anyway', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const store = withPlugins(state({ a: 1 }), [{ name: 'bad', onPatch: () => { throw new Error('boom'); } }]);
+
+      store.$patch({ a: 2 });
+
+      expect(store.a).toBe(2);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('error in onPatch'), expect.any(Error));
+      errorSpy.mockRestore();
+    });
+
+    it('rejects a non-patch like the underlying store', () => {
+      const store = withPlugins(state({ a: 1 }), [{ name: 'p' }]);
+      expect(() => store.$patch(null)).toThrow('$patch requires an object or a function');
+    });
+  });
+
+  describe('onDelete', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('is called with the old value before the key is deleted', async () => {
+      const onDelete = vi.fn();
+      const onNotify = vi.fn();
+      const store = withPlugins(state({ a: 1 }), [{ name: 'p', onDelete, onNotify }]);
+      store.$subscribe('a', () => {});
+
+      delete store.a;
+      await tick();
+
+      expect(onDelete).toHaveBeenCalledWith('a', 1);
+      expect('a' in store).toBe(false);
+      expect(onNotify).toHaveBeenCalledWith('a', undefined);
+    });
+
+    it('keeps the key when a plugin returns false', () => {
+      const later = vi.fn();
+      const store = withPlugins(state({ a: 1 }), [
+        { name: 'guard', onDelete: () => false },
+        { name: 'later', onDelete: later },
+      ]);
+
+      delete store.a;
+
+      expect(store.a).toBe(1);
+      expect(later).not.toHaveBeenCalled();
+    });
+
+    it('logs a throwing hook and still deletes', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const store = withPlugins(state({ a: 1 }), [{ name: 'boom', onDelete: () => { throw new Error('x'); } }]);
+
+      delete store.a;
+
+      expect('a' in store).toBe(false);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Plugin "boom" error in onDelete'), expect.any(Error));
+      errorSpy.mockRestore();
+    });
+
+    it('skips hooks for absent and reserved keys', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const onDelete = vi.fn();
+      const store = withPlugins(state({ a: 1 }), [{ name: 'p', onDelete }]);
+
+      delete store.missing;
+      delete store.$subscribe;
+
+      expect(onDelete).not.toHaveBeenCalled();
+      expect(typeof store.$subscribe).toBe('function');
+      warnSpy.mockRestore();
+    });
+  });
 });
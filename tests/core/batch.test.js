@@ -2,7 +2,7 @@
  * @vitest-environment jsdom
  */
 import { describe, it, expect, vi } from 'vitest';
-import { state, effect, batch } from 'src/index.js';
+import { state, effect, batch, asyncBatch } from 'src/index.js';
 
 describe('batch', () => {
   it('throws if not passed a function', () => {
@@ -330,4 +330,252 @@ describe('batch', () => {
     await new Promise(resolve => setTimeout(resolve, 0));
     expect(effectRuns).toBe(3);
   });
+
+  it('orders pre effects, subscribers, effects and post effects across stores', () => {
+    const a = state({ x: 0 });
+    const b = state({ y: 0 });
+    const log = [];
+
+    effect(() => { log.push(`pre ${a.x + b.y}`); }, { flush: 'pre' });
+    effect(() => { log.push(`post ${a.x + b.y}`); }, { flush: 'post' });
+    effect(() => {
+      log.push(`effect ${a.x}`);
+      if (a.x === 1) b.y = 10; // a second wave, before the post effect
+    });
+    a.$subscribe('x', x => log.push(`subscriber a ${x}`));
+    b.$subscribe('y', y => log.push(`subscriber b ${y}`));
+    log.length = 0;
+
+    batch(() => {
+      a.x = 1;
+      b.y = 1;
+    });
+    expect(log).toEqual([
+      'pre 2',
+      'subscriber a 1',
+      'subscriber b 1',
+      'effect 1',
+      'pre 11',
+      'subscriber b 10',
+      'post 11',
+    ]);
+  });
+
+  it('runs post effects again when they write', () => {
+    const store = state({ x: 0, measured: 0 });
+    const runs = [];
+
+    effect(() => {
+      runs.push(store.x);
+      store.measured = store.x * 10;
+    }, { flush: 'post' });
+    effect(() => { if (store.measured === 10) store.x = 2; });
+
+    batch(() => { store.x = 1; });
+    expect(runs).toEqual([0, 1, 2]);
+    expect(store.measured).toBe(20);
+  });
+});
+
+describe('asyncBatch', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('holds notifications across awaits and flushes once when settled', async () => {
+    const form = state({ saving: false, result: null });
+    const other = state({ n: 0 });
+    const seen = [];
+    const runs = vi.fn();
+    form.$subscribe('saving', v => seen.push(`saving:${v}`));
+    form.$subscribe('result', v => seen.push(`result:${v}`));
+    effect(() => runs(form.result, other.n));
+    seen.length = 0;
+    runs.mockClear();
+
+    const done = asyncBatch(async () => {
+      form.saving = true;
+      await tick();
+      form.result = 'ok';
+      other.n = 1;
+      await tick();
+      form.saving = false;
+      return 'value';
+    });
+    await tick();
+    expect(seen).toEqual([]);
+
+    await expect(done).resolves.toBe('value');
+    expect(seen).toEqual(['saving:false', 'result:ok']);
+    expect(runs).toHaveBeenCalledTimes(1);
+    expect(runs).toHaveBeenCalledWith('ok', 1);
+  });
+
+  it('holds a flush that was scheduled before it began', async () => {
+    const store = state({ n: 0 });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    store.n = 1; // microtask flush already scheduled
+    const done = asyncBatch(async () => {
+      await tick();
+      store.n = 2;
+    });
+    await Promise.resolve();
+    expect(seen).toEqual([0]);
+
+    await done;
+    expect(seen).toEqual([0, 2]);
+  });
+
+  it('holds stores first written after an await', async () => {
+    const a = state({ x: 0 });
+    const b = state({ y: 0 });
+    const seen = [];
+    a.$subscribe('x', v => seen.push(`a${v}`));
+    b.$subscribe('y', v => seen.push(`b${v}`));
+    seen.length = 0;
+
+    await asyncBatch(async () => {
+      await tick();
+      a.x = 1;
+      await tick();
+      b.y = 1;
+      await tick();
+      a.x = 2;
+    });
+
+    expect(seen).toEqual(['a2', 'b1']);
+  });
+
+  it('lets a batch() of other code flush a held store', async () => {
+    const store = state({ n: 0 });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    let finish;
+    const done = asyncBatch(async () => {
+      store.n = 1;
+      await new Promise(resolve => { finish = resolve; });
+    });
+    batch(() => { store.n = 2; });
+    expect(seen).toEqual([0, 2]);
+
+    finish();
+    await done;
+    expect(seen).toEqual([0, 2]);
+  });
+
+  it('keeps holding a store until every async batch holding it settles', async () => {
+    const store = state({ n: 0 });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    let finishSecond;
+    const first = asyncBatch(async () => {
+      store.n = 1;
+      await tick();
+    });
+    const second = asyncBatch(async () => {
+      store.n = 2;
+      await new Promise(resolve => { finishSecond = resolve; });
+    });
+
+    await first;
+    await tick();
+    expect(seen).toEqual([0]);
+
+    finishSecond();
+    await second;
+    expect(seen).toEqual([0, 2]);
+  });
+
+  it('releases overlapping async batches together when the last settles', async () => {
+    const store = state({ a: 0, b: 0 });
+    const seen = [];
+    store.$subscribe('a', v => seen.push(`a:${v}`));
+    store.$subscribe('b', v => seen.push(`b:${v}`));
+    seen.length = 0;
+
+    let finishSecond;
+    const first = asyncBatch(async () => {
+      store.a = 1;
+      await tick();
+    });
+    const second = asyncBatch(async () => {
+      store.b = 1;
+      await new Promise(resolve => { finishSecond = resolve; });
+    });
+
+    await first;
+    expect(seen).toEqual([]);
+
+    finishSecond();
+    await second;
+    expect(seen).toEqual(['a:1', 'b:1']);
+  });
+
+  it('holds sync batch() writes made while pending', async () => {
+    const store = state({ n: 0 });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    const done = asyncBatch(async () => {
+      batch(() => { store.n = 1; });
+      expect(seen).toEqual([0]);
+      await tick();
+    });
+
+    await done;
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it('flushes what was written when fn rejects', async () => {
+    const store = state({ n: 0 });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    await expect(asyncBatch(async () => {
+      store.n = 1;
+      await tick();
+      throw new Error('offline');
+    })).rejects.toThrow('offline');
+
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it('releases its hold after the timeout', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ n: 0 });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    let finish;
+    const done = asyncBatch(async () => {
+      store.n = 1;
+      await new Promise(resolve => { finish = resolve; });
+      store.n = 2;
+    }, { timeout: 10 });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(seen).toEqual([0, 1]);
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Still pending after 10 ms'));
+
+    finish();
+    await done;
+    await tick();
+    expect(seen).toEqual([0, 1, 2]);
+    warnSpy.mockRestore();
+  });
+
+  it('accepts timeout: Infinity', async () => {
+    const store = state({ n: 0 });
+    await asyncBatch(async () => { store.n = 1; }, { timeout: Infinity });
+    expect(store.n).toBe(1);
+  });
+
+  it('validates its arguments', async () => {
+    await expect(asyncBatch(null)).rejects.toThrow('asyncBatch() requires a function');
+    await expect(asyncBatch(async () => {}, { timeout: 0 })).rejects.toThrow(
+      'asyncBatch() timeout must be a positive number of milliseconds');
+    await expect(asyncBatch(async () => {}, { timeout: '5' })).rejects.toThrow('timeout must be');
+  });
 });
@@ -1,6 +1,7 @@
 import { describe, it, expect, vi } from 'vitest';
 import { state } from 'src/core/state.js';
 import { bindDom } from 'src/core/bindDom.js';
+import { schema } from 'src/addons/schema.js';
 
 function setupDOM(html) {
   document.body.innerHTML = html;
@@ -204,6 +205,24 @@ describe('bindDom', () => {
     cleanup();
   });
 
+  it('binds dotted paths through deep-mode children (two-way)', async () => {
+    const root = setupDOM(`<div><input data-bind="account.email"><span data-bind="account.email"></span></div>`);
+    const store = state({ account: { email: 'a@b.c' } }, { deep: true });
+
+    const cleanup = bindDom(root, store);
+    const input = root.querySelector('input');
+    const span = root.querySelector('span');
+    expect(input.value).toBe('a@b.c');
+
+    input.value = 'x@y.z';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(store.account.email).toBe('x@y.z');
+    await Promise.resolve();
+    expect(span.textContent).toBe('x@y.z');
+
+    cleanup();
+  });
+
   it('handles empty or null values gracefully', async () => {
     const root = setupDOM(`<div><span data-bind="value"></span></div>`);
     const store = state({ value: null });
@@ -820,6 +839,21 @@ describe('bindDom', () => {
       });
       expect(() => bindDom(root, store)).toThrow('getter boom');
     });
+
+    it('binds a schema store\'s $errors', async () => {
+      const root = setupDOM(`<div><input type="number" data-bind="age"><span data-bind="$errors.age"></span></div>`);
+      const store = state({ age: 1 }, { schema: schema({ age: { type: 'number', min: 0 } }) });
+      const cleanup = bindDom(root, store);
+      const input = root.querySelector('input');
+
+      input.value = '';
+      input.dispatchEvent(new Event('input', { bubbles: true })); // valueAsNumber: NaN
+      await Promise.resolve();
+
+      expect(store.age).toBe(1);
+      expect(root.querySelector('span').textContent).toBe('Expected number');
+      cleanup();
+    });
   });
 
   describe('edge cases', () => {
@@ -2,7 +2,7 @@
  * @vitest-environment jsdom
  */
 import { describe, it, expect, vi } from 'vitest';
-import { state, effect, batch } from '../../src/index.js';
+import { state, effect, onCleanup, batch, bindDom } from '../../src/index.js';
 import { computed } from '../../src/addons/computed.js';
 
 describe('effect', () => {
@@ -682,4 +682,420 @@ describe('effect', () => {
       if (innerCleanup) innerCleanup();
     });
   });
+
+  describe('per-run cleanup', () => {
+    it('runs a returned cleanup before each re-run and on dispose', async () => {
+      const store = state({ count: 0 });
+      const log = [];
+
+      const stop = effect(() => {
+        const seen = store.count;
+        log.push(`run ${seen}`);
+        return () => log.push(`cleanup ${seen}`);
+      });
+
+      store.count = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(log).toEqual(['run 0', 'cleanup 0', 'run 1']);
+
+      stop();
+      expect(log).toEqual(['run 0', 'cleanup 0', 'run 1', 'cleanup 1']);
+      stop(); // a second dispose runs nothing twice
+      expect(log).toHaveLength(4);
+    });
+
+    it('runs the last cleanup once the effect\'s last store is disposed', () => {
+      const a = state({ x: 0 });
+      const b = state({ y: 0 });
+      const cleanup = vi.fn();
+      let signal;
+
+      effect((runSignal) => {
+        signal = runSignal;
+        void a.x;
+        void b.y;
+        return cleanup;
+      });
+      a.$dispose();
+      expect(cleanup).not.toHaveBeenCalled(); // b can still re-run it
+
+      b.$dispose();
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('runs onCleanup() callbacks in registration order', async () => {
+      const store = state({ count: 0 });
+      const log = [];
+
+      effect(() => {
+        void store.count;
+        onCleanup(() => log.push('a'));
+        onCleanup(() => log.push('b'));
+        return () => log.push('returned');
+      });
+
+      store.count = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(log).toEqual(['a', 'b', 'returned']);
+    });
+
+    it('runs cleanups in explicit deps mode', async () => {
+      const store = state({ count: 0 });
+      const log = [];
+
+      const stop = effect(() => {
+        const seen = store.count;
+        return () => log.push(`cleanup ${seen}`);
+      }, [[store, 'count']]);
+
+      store.count = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(log).toEqual(['cleanup 0']);
+
+      stop();
+      expect(log).toEqual(['cleanup 0', 'cleanup 1']);
+    });
+
+    it('keeps cleanups registered before a run throws', async () => {
+      const store = state({ count: 0 });
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const cleanup = vi.fn();
+
+      const stop = effect(() => {
+        if (store.count === 1) {
+          onCleanup(cleanup);
+          throw new Error('Test error');
+        }
+      });
+
+      store.count = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(cleanup).not.toHaveBeenCalled();
+
+      store.count = 2;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(cleanup).toHaveBeenCalledTimes(1);
+
+      stop();
+      errorSpy.mockRestore();
+    });
+
+    it('contains and logs errors thrown by cleanups', async () => {
+      const store = state({ count: 0 });
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const second = vi.fn();
+
+      const stop = effect(() => {
+        void store.count;
+        onCleanup(() => { throw new Error('Cleanup error'); });
+        onCleanup(second);
+      });
+
+      store.count = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(second).toHaveBeenCalledTimes(1);
+      expect(errorSpy).toHaveBeenCalledWith(
+        '[Lume.js effect] Error in effect cleanup:',
+        expect.any(Error)
+      );
+
+      expect(() => stop()).not.toThrow();
+      expect(second).toHaveBeenCalledTimes(2);
+      errorSpy.mockRestore();
+    });
+
+    it('gives a nested effect its own cleanups', async () => {
+      const store = state({ outer: 0, inner: 0 });
+      const log = [];
+      let stopInner;
+
+      effect(() => {
+        void store.outer;
+        onCleanup(() => log.push('outer'));
+        stopInner = effect(() => {
+          void store.inner;
+          onCleanup(() => log.push('inner'));
+        });
+        onCleanup(() => log.push('outer, after the inner effect'));
+      });
+
+      store.inner = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(log).toEqual(['inner']);
+
+      stopInner();
+      expect(log).toEqual(['inner', 'inner']);
+
+      // The outer run kept collecting after the inner effect was created
+      store.outer = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(log).toEqual(['inner', 'inner', 'outer', 'outer, after the inner effect']);
+      stopInner();
+    });
+
+    it('ignores return values that are not functions', async () => {
+      const store = state({ count: 0 });
+      const fn = vi.fn(() => store.count);
+
+      effect(fn);
+      store.count = 1;
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    it('onCleanup() requires a function and a running effect', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+      expect(() => onCleanup('nope')).toThrow('onCleanup() requires a function');
+      onCleanup(() => {});
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[Lume.js effect] onCleanup() called outside a running effect — ignored'
+      );
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('async effects', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('aborts the previous run on re-run and on dispose', async () => {
+      const store = state({ query: 'a', results: null });
+      const signals = [];
+      const pending = [];
+
+      const stop = effect(async (signal) => {
+        const query = store.query;
+        signals.push(signal);
+        const response = await new Promise(resolve => pending.push(() => resolve(query)));
+        if (!signal.aborted) store.results = response;
+      });
+
+      store.query = 'ab';
+      await tick();
+      expect(signals.map(s => s.aborted)).toEqual([true, false]);
+
+      // The stale response arrives last and is dropped
+      pending[1]();
+      pending[0]();
+      await tick();
+      expect(store.results).toBe('ab');
+
+      stop();
+      expect(signals[1].aborted).toBe(true);
+    });
+
+    it('tracks reads before the first await, and after it only through track()', async () => {
+      const store = state({ query: 'a', page: 1, limit: 10 });
+      const runs = vi.fn();
+
+      effect(async (signal, track) => {
+        void store.query;
+        runs();
+        await Promise.resolve();
+        void store.page;
+        track(() => store.limit);
+      });
+      await tick();
+
+      store.page = 2;
+      await tick();
+      expect(runs).toHaveBeenCalledTimes(1);
+
+      store.limit = 20;
+      await tick();
+      expect(runs).toHaveBeenCalledTimes(2);
+
+      store.query = 'b';
+      await tick();
+      expect(runs).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not track through an aborted run\'s track()', async () => {
+      const store = state({ query: 'a', late: 0 });
+      const runs = vi.fn();
+      const tracks = [];
+
+      effect(async (signal, track) => {
+        void store.query;
+        runs();
+        tracks.push(track);
+      });
+      store.query = 'b';
+      await tick();
+
+      expect(tracks[0](() => store.late)).toBe(0);
+      store.late = 1;
+      await tick();
+      expect(runs).toHaveBeenCalledTimes(2);
+    });
+
+    it('logs rejections as effect errors, except aborts', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const store = state({ query: 'a' });
+
+      effect(async () => {
+        void store.query;
+        throw new Error('Async error');
+      });
+      await tick();
+      expect(errorSpy).toHaveBeenCalledWith('[Lume.js effect] Error in effect:', expect.any(Error));
+      errorSpy.mockClear();
+
+      effect(async (signal) => {
+        void store.query;
+        await new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        });
+      });
+      effect(async (signal) => {
+        void store.query;
+        await new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(new Error('Failed after abort')));
+        });
+      });
+      store.query = 'b';
+      await tick();
+      // The re-run's error and the non-abort rejection are reported; the abort is not
+      expect(errorSpy.mock.calls.map(([, error]) => error.message).sort())
+        .toEqual(['Async error', 'Failed after abort']);
+      errorSpy.mockRestore();
+    });
+
+    it('gives explicit-deps effects a signal, and a track() that just reads', async () => {
+      const store = state({ query: 'a', other: 0 });
+      const signals = [];
+      let tracked;
+
+      effect(async (signal, track) => {
+        signals.push(signal);
+        tracked = track(() => store.other);
+      }, [[store, 'query']]);
+      expect(tracked).toBe(0);
+
+      store.other = 1;
+      await tick();
+      expect(signals).toHaveLength(1);
+
+      store.query = 'b';
+      await tick();
+      expect(signals.map(s => s.aborted)).toEqual([true, false]);
+    });
+  });
+
+  describe('flush timing', () => {
+    const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('requires a known flush mode', () => {
+      expect(() => effect(() => {}, { flush: 'later' }))
+        .toThrow("effect() flush must be 'pre', 'post' or 'sync'");
+    });
+
+    it('runs pre effects before subscribers, which see their writes', async () => {
+      const store = state({ name: '' });
+      const log = [];
+
+      effect(() => {
+        log.push(`pre ${store.name}`);
+        store.name = store.name.trim();
+      }, { flush: 'pre' });
+      store.$subscribe('name', name => log.push(`subscriber "${name}"`));
+      effect(() => { log.push(`effect ${store.name}`); });
+      log.length = 0;
+
+      store.name = ' Ada ';
+      await tick();
+      expect(log).toEqual(['pre  Ada ', 'subscriber "Ada"', 'effect Ada', 'pre Ada']);
+    });
+
+    it('runs pre effects for the triggering write under the sync scheduler', () => {
+      const store = state({ a: 1 }, { scheduler: 'sync' });
+      const runs = [];
+
+      effect(() => { runs.push(store.a); }, { flush: 'pre' });
+      store.a = 2;
+      expect(runs).toEqual([1, 2]);
+      store.a = 3;
+      expect(runs).toEqual([1, 2, 3]);
+    });
+
+    it('runs post effects once the store has settled', async () => {
+      const store = state({ count: 0, doubled: 0 });
+      const log = [];
+
+      effect(() => { log.push(`post ${store.count} ${store.doubled}`); }, { flush: 'post' });
+      effect(() => { store.doubled = store.count * 2; });
+      store.$subscribe('doubled', doubled => log.push(`subscriber ${doubled}`));
+      log.length = 0;
+
+      store.count = 1;
+      await tick();
+      expect(log).toEqual(['subscriber 2', 'post 1 2']);
+    });
+
+    it('runs post effects after bindDom has updated the DOM', async () => {
+      const store = state({ label: 'a' });
+      const root = document.createElement('div');
+      root.innerHTML = '<span data-bind="label"></span>';
+      const seen = [];
+
+      effect(() => {
+        void store.label;
+        seen.push(root.querySelector('span').textContent);
+      }, { flush: 'post' });
+      bindDom(root, store, { immediate: true });
+
+      store.label = 'b';
+      await tick();
+      expect(seen).toEqual(['', 'b']);
+    });
+
+    it('runs sync effects on every write', async () => {
+      const store = state({ count: 0 });
+      const runs = [];
+
+      const stop = effect(() => { runs.push(store.count); }, { flush: 'sync' });
+      store.count = 1;
+      store.count = 2;
+      expect(runs).toEqual([0, 1, 2]);
+
+      batch(() => { store.count = 3; });
+      expect(runs).toEqual([0, 1, 2, 3]);
+
+      stop();
+      store.count = 4;
+      await tick();
+      expect(runs).toEqual([0, 1, 2, 3]);
+    });
+
+    it('contains a throwing sync effect', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const store = state({ count: 0 });
+
+      effect(() => {
+        if (store.count > 0) throw new Error('Sync error');
+      }, { flush: 'sync' });
+      expect(() => { store.count = 1; }).not.toThrow();
+      expect(store.count).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith('[Lume.js state] Error in effect:', expect.any(Error));
+      errorSpy.mockRestore();
+    });
+
+    it('drops pre and sync effects with the store', async () => {
+      const store = state({ count: 0 });
+      const pre = vi.fn(() => store.count);
+      const sync = vi.fn(() => store.count);
+
+      effect(pre, { flush: 'pre' });
+      effect(sync, { flush: 'sync' });
+      store.$dispose();
+
+      vi.spyOn(console, 'warn').mockImplementation(() => { });
+      store.count = 1;
+      await tick();
+      expect(pre).toHaveBeenCalledTimes(1);
+      expect(sync).toHaveBeenCalledTimes(1);
+      vi.restoreAllMocks();
+    });
+  });
 });
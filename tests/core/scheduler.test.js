@@ -0,0 +1,118 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { state } from 'src/core/state.js';
+import { batch } from 'src/core/batch.js';
+import { effect } from 'src/core/effect.js';
+import { setDefaultScheduler } from 'src/core/scheduler.js';
+
+describe('flush schedulers', () => {
+  afterEach(() => {
+    setDefaultScheduler('microtask');
+    vi.unstubAllGlobals();
+  });
+
+  it('flushes inside the write with "sync"', () => {
+    const store = state({ a: 1, b: 1 }, { scheduler: 'sync' });
+    const seen = [];
+    store.$subscribe('a', v => {
+      seen.push(v);
+      if (v === 2) store.b = 2; // write-back lands in the same flush
+    });
+    store.$subscribe('b', v => seen.push(`b${v}`));
+
+    store.a = 2;
+
+    expect(seen).toEqual([1, 'b1', 2, 'b2']);
+  });
+
+  it('runs effects synchronously with "sync"', () => {
+    const store = state({ n: 0 }, { scheduler: 'sync' });
+    const seen = [];
+    effect(() => seen.push(store.n));
+
+    store.n = 1;
+    store.n = 2;
+
+    expect(seen).toEqual([0, 1, 2]);
+  });
+
+  it('keeps batch() semantics for sync stores', () => {
+    const store = state({ n: 0 }, { scheduler: 'sync' });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    batch(() => {
+      store.n = 1;
+      store.n = 2;
+      expect(seen).toEqual([0]);
+    });
+
+    expect(seen).toEqual([0, 2]);
+  });
+
+  it('flushes on the next animation frame', () => {
+    const frames = [];
+    vi.stubGlobal('requestAnimationFrame', (cb) => frames.push(cb));
+    const store = state({ n: 0 }, { scheduler: 'animationFrame' });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    store.n = 1;
+    store.n = 2;
+
+    expect(frames).toHaveLength(1);
+    frames[0](16.7);
+    expect(seen).toEqual([0, 2]);
+  });
+
+  it('flushes when idle', () => {
+    const idle = [];
+    vi.stubGlobal('requestIdleCallback', (cb) => idle.push(cb));
+    const store = state({ n: 0 }, { scheduler: 'idle' });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    store.n = 1;
+
+    expect(idle).toHaveLength(1);
+    idle[0]({ timeRemaining: () => 10 });
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it('accepts a custom scheduler function', () => {
+    const queued = [];
+    const store = state({ n: 0 }, { scheduler: (flush) => queued.push(flush) });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+
+    store.n = 1;
+    store.n = 2;
+    expect(queued).toHaveLength(1);
+
+    queued[0]();
+    store.n = 3;
+    expect(seen).toEqual([0, 2]);
+    expect(queued).toHaveLength(2);
+  });
+
+  it('uses the default scheduler, read at scheduling time', async () => {
+    const store = state({ n: 0 });
+    const own = state({ n: 0 }, { scheduler: 'microtask' });
+    const seen = [];
+    store.$subscribe('n', v => seen.push(v));
+    own.$subscribe('n', v => seen.push(`own${v}`));
+
+    setDefaultScheduler('sync');
+    store.n = 1;
+    own.n = 1;
+    expect(seen).toEqual([0, 'own0', 1]);
+
+    await Promise.resolve();
+    expect(seen).toEqual([0, 'own0', 1, 'own1']);
+  });
+
+  it('validates scheduler names', () => {
+    expect(() => state({}, { scheduler: 'later' })).toThrow(
+      'state() scheduler must be one of: microtask, sync, animationFrame, idle, or a function');
+    expect(() => setDefaultScheduler(null)).toThrow('setDefaultScheduler() scheduler must be one of');
+  });
+});
@@ -0,0 +1,369 @@
+import { describe, it, expect, vi } from 'vitest';
+import { state, effect, bindDom, effectScope, getCurrentScope, onScopeDispose } from 'src/index.js';
+import { computed } from 'src/addons/computed.js';
+import { watch } from 'src/addons/watch.js';
+import { repeat } from 'src/addons/repeat.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('effectScope', () => {
+  it('requires a function', () => {
+    expect(() => effectScope()).toThrow('effectScope() requires a function');
+  });
+
+  it('stop() disposes everything created inside it', async () => {
+    const store = state({ count: 0, items: [{ id: 1, name: 'a' }] });
+    const root = document.createElement('div');
+    root.innerHTML = '<span data-bind="count"></span>';
+    const container = document.createElement('ul');
+    const seen = { effect: 0, subscribe: 0, watch: 0 };
+    let doubled;
+
+    const scope = effectScope(() => {
+      effect(() => { void store.count; seen.effect++; });
+      store.$subscribe('count', () => seen.subscribe++);
+      watch(store, 'count', () => seen.watch++);
+      doubled = computed(() => store.count * 2);
+      bindDom(root, store, { immediate: true });
+      repeat(container, store, 'items', {
+        key: item => item.id,
+        render: (item, el) => { el.textContent = item.name; },
+      });
+    });
+    expect(scope.active).toBe(true);
+
+    store.count = 1;
+    await tick();
+    expect(seen).toEqual({ effect: 2, subscribe: 2, watch: 2 });
+    expect(doubled.value).toBe(2);
+    expect(root.querySelector('span').textContent).toBe('1');
+
+    scope.stop();
+    expect(scope.active).toBe(false);
+    expect(container.children.length).toBe(0);
+
+    store.count = 2;
+    await tick();
+    expect(seen).toEqual({ effect: 2, subscribe: 2, watch: 2 });
+    expect(root.querySelector('span').textContent).toBe('1');
+    expect(() => doubled.value).toThrow('Computed value accessed before initialization');
+    scope.stop(); // a second stop is a no-op
+  });
+
+  it('owns change feed subscriptions and explicit-deps effects', async () => {
+    const store = state({ count: 0 });
+    const feed = vi.fn();
+    const fn = vi.fn();
+
+    const scope = effectScope(() => {
+      store.$subscribe('*', feed);
+      effect(fn, [[store, 'count']]);
+    });
+    scope.stop();
+
+    store.count = 1;
+    await tick();
+    expect(feed).not.toHaveBeenCalled();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves work created outside the scope alone', async () => {
+    const store = state({ count: 0 });
+    const inside = vi.fn();
+    const outside = vi.fn();
+
+    const scope = effectScope(() => {
+      effect(() => { void store.count; inside(); });
+    });
+    effect(() => { void store.count; outside(); });
+    scope.stop();
+
+    store.count = 1;
+    await tick();
+    expect(inside).toHaveBeenCalledTimes(1);
+    expect(outside).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops nested scopes with their parent', async () => {
+    const store = state({ count: 0 });
+    const fn = vi.fn();
+    let child;
+
+    const parent = effectScope(() => {
+      child = effectScope(() => {
+        effect(() => { void store.count; fn(); });
+      });
+    });
+    parent.stop();
+    expect(child.active).toBe(false);
+
+    store.count = 1;
+    await tick();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets a nested scope stop on its own', () => {
+    const cleanup = vi.fn();
+    let child;
+
+    const parent = effectScope(() => {
+      child = effectScope(() => onScopeDispose(cleanup));
+    });
+    child.stop();
+    parent.stop();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets go of a subscription unsubscribed on its own', async () => {
+    const store = state({ count: 0 });
+    const fn = vi.fn();
+    let unsubscribe;
+
+    const scope = effectScope(() => { unsubscribe = store.$subscribe('count', fn); });
+    fn.mockClear();
+    scope.pause();
+    store.count = 1;
+    await tick();
+    unsubscribe();
+    scope.resume(); // the scope no longer holds it: no catch-up call
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  it('disposes what fn created when fn throws', async () => {
+    const store = state({ count: 0 });
+    const fn = vi.fn();
+
+    expect(() => effectScope(() => {
+      effect(() => { void store.count; fn(); });
+      throw new Error('setup failed');
+    })).toThrow('setup failed');
+
+    store.count = 1;
+    await tick();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  describe('run()', () => {
+    it('captures more work and returns its result', async () => {
+      const store = state({ count: 0 });
+      const fn = vi.fn();
+      const scope = effectScope(() => {});
+
+      const result = scope.run(() => {
+        effect(() => { void store.count; fn(); });
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(getCurrentScope()).toBe(null);
+
+      scope.stop();
+      store.count = 1;
+      await tick();
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('warns on a stopped scope', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+      const scope = effectScope(() => {});
+      const fn = vi.fn();
+
+      scope.stop();
+      expect(scope.run(fn)).toBeUndefined();
+      expect(fn).not.toHaveBeenCalled();
+      expect(warnSpy).toHaveBeenCalledWith('[Lume.js effectScope] run() on a stopped scope — ignored');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('pause() / resume()', () => {
+    it('holds back effect re-runs and runs each effect once on resume', async () => {
+      const store = state({ count: 0, other: 0 });
+      const runs = [];
+      const idle = vi.fn();
+
+      const scope = effectScope(() => {
+        effect(() => { runs.push(store.count); });
+        effect(() => { void store.other; idle(); });
+      });
+      scope.pause();
+      expect(scope.paused).toBe(true);
+
+      store.count = 1;
+      await tick();
+      store.count = 2;
+      await tick();
+      expect(runs).toEqual([0]);
+
+      scope.resume();
+      expect(scope.paused).toBe(false);
+      expect(runs).toEqual([0, 2]);
+      expect(idle).toHaveBeenCalledTimes(1); // missed nothing, no re-run
+
+      store.count = 3;
+      await tick();
+      expect(runs).toEqual([0, 2, 3]);
+    });
+
+    it('calls a paused key subscriber once with the latest value', async () => {
+      const store = state({ count: 0 });
+      const root = document.createElement('div');
+      root.innerHTML = '<span data-bind="count"></span>';
+      const values = [];
+
+      const scope = effectScope(() => {
+        store.$subscribe('count', v => values.push(v));
+        bindDom(root, store, { immediate: true });
+      });
+      scope.pause();
+
+      store.count = 1;
+      await tick();
+      store.count = 2;
+      await tick();
+      expect(values).toEqual([0]);
+      expect(root.querySelector('span').textContent).toBe('0');
+
+      scope.resume();
+      expect(values).toEqual([0, 2]);
+      expect(root.querySelector('span').textContent).toBe('2');
+      scope.resume(); // not paused: a no-op
+      expect(values).toEqual([0, 2]);
+    });
+
+    it('pauses explicit-deps effects and nested scopes', async () => {
+      const store = state({ count: 0 });
+      const explicit = vi.fn();
+      const nested = vi.fn();
+
+      const scope = effectScope(() => {
+        effect(explicit, [[store, 'count']]);
+        effectScope(() => {
+          effect(() => { void store.count; nested(); });
+        });
+      });
+      scope.pause();
+      scope.pause(); // already paused: a no-op
+
+      store.count = 1;
+      await tick();
+      expect(explicit).toHaveBeenCalledTimes(1);
+      expect(nested).toHaveBeenCalledTimes(1);
+
+      scope.resume();
+      await tick();
+      expect(explicit).toHaveBeenCalledTimes(2);
+      expect(nested).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps delivering to change feed subscribers', async () => {
+      const store = state({ count: 0 });
+      const feed = vi.fn();
+
+      const scope = effectScope(() => store.$subscribe('*', feed));
+      scope.pause();
+      store.count = 1;
+      await tick();
+      expect(feed).toHaveBeenCalledTimes(1);
+    });
+
+    it('starts work created while paused as paused', async () => {
+      const store = state({ count: 0 });
+      const runs = [];
+
+      const scope = effectScope(() => {
+        getCurrentScope().pause();
+        effect(() => { runs.push(store.count); });
+      });
+
+      store.count = 1;
+      await tick();
+      expect(runs).toEqual([0]);
+      scope.resume();
+      expect(runs).toEqual([0, 1]);
+    });
+
+    it('contains an effect that throws on resume', async () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const store = state({ count: 0 });
+      const after = vi.fn();
+
+      const scope = effectScope(() => {
+        effect(() => {
+          if (store.count > 0) throw new Error('Effect error');
+        });
+        store.$subscribe('count', after);
+      });
+      scope.pause();
+      store.count = 1;
+      await tick();
+
+      expect(() => scope.resume()).not.toThrow();
+      expect(after).toHaveBeenLastCalledWith(1);
+      expect(errorSpy).toHaveBeenCalledWith('[Lume.js effect] Error in effect:', expect.any(Error));
+      errorSpy.mockRestore();
+    });
+
+    it('does nothing on a stopped scope', async () => {
+      const store = state({ count: 0 });
+      const runs = [];
+      const scope = effectScope(() => {
+        effect(() => { runs.push(store.count); });
+      });
+
+      scope.stop();
+      scope.pause();
+      scope.resume();
+      expect(scope.paused).toBe(false);
+      expect(runs).toEqual([0]);
+    });
+  });
+
+  describe('getCurrentScope() / onScopeDispose()', () => {
+    it('exposes the running scope', () => {
+      let current;
+      const scope = effectScope(() => { current = getCurrentScope(); });
+      expect(current).toBe(scope);
+      expect(getCurrentScope()).toBe(null);
+    });
+
+    it('runs scope cleanups on stop, containing errors', () => {
+      const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => { });
+      const log = [];
+
+      const scope = effectScope(() => {
+        onScopeDispose(() => log.push('a'));
+        onScopeDispose(() => { throw new Error('Cleanup error'); });
+        onScopeDispose(() => log.push('b'));
+      });
+      expect(log).toEqual([]);
+
+      scope.stop();
+      expect(log).toEqual(['a', 'b']);
+      expect(errorSpy).toHaveBeenCalledWith('[Lume.js effectScope] Error in scope cleanup:', expect.any(Error));
+      errorSpy.mockRestore();
+    });
+
+    it('releases a cleanup its caller runs early', () => {
+      const cleanup = vi.fn();
+      let release;
+      const scope = effectScope(() => { release = onScopeDispose(cleanup); });
+
+      release();
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      scope.stop();
+      expect(cleanup).toHaveBeenCalledTimes(1); // no longer owned by the scope
+    });
+
+    it('requires a function and a running scope', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => { });
+
+      expect(() => onScopeDispose('nope')).toThrow('onScopeDispose() requires a function');
+      const fn = () => {};
+      expect(onScopeDispose(fn)).toBe(fn);
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[Lume.js effectScope] onScopeDispose() called outside a scope — ignored'
+      );
+      warnSpy.mockRestore();
+    });
+  });
+});
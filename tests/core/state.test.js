@@ -1,8 +1,9 @@
 import { describe, it, expect, vi } from 'vitest';
-import { state } from 'src/core/state.js';
+import { state, MUTABLE, withReadObserver, scopedReadObserver, untrack } from 'src/core/state.js';
 import { batch } from 'src/core/batch.js';
+import { transaction } from 'src/core/transaction.js';
 import { effect } from 'src/core/effect.js';
-import { isReactive } from 'src/addons/index.js';
+import { isReactive, schema } from 'src/addons/index.js';
 import * as log from 'src/utils/log.js';
 
 describe('state', () => {
@@ -665,3 +666,977 @@ describe('no-subscriber fast path', () => {
     cleanup();
   });
 });
+
+describe('deep mode', () => {
+  it('wraps nested plain objects lazily on first read', () => {
+    const raw = { account: { email: 'a@b.c' } };
+    const store = state(raw, { deep: true });
+
+    // Not materialized until read
+    expect(isReactive(raw.account)).toBe(false);
+    expect(isReactive(store.account)).toBe(true);
+    expect(store.account.email).toBe('a@b.c');
+  });
+
+  it('gives children deep mode and the scheduler, but not schema or equals', () => {
+    const store = state({ age: 5, user: { name: 'x', age: 1 } }, {
+      deep: true,
+      scheduler: 'sync',
+      schema: schema({ age: { type: 'number' } }),
+      equals: { name: () => true },
+    });
+    const seen = [];
+    store.user.$subscribe('age', v => seen.push(v));
+
+    expect(store.user.$errors).toBeUndefined();
+    store.user.age = 'oops';
+    store.user.name = 'y';
+    expect(store.user.age).toBe('oops');
+    expect(store.user.name).toBe('y');
+    expect(seen).toEqual([1, 'oops']); // flushed synchronously
+
+    store.user.nested = { a: 1 };
+    expect(isReactive(store.user.nested)).toBe(true); // still deep
+  });
+
+  it('caches child stores — the same nested object always yields the same child', () => {
+    const store = state({ prefs: { theme: 'dark' } }, { deep: true });
+    expect(store.prefs).toBe(store.prefs);
+  });
+
+  it('maps one raw object reached through two keys to one child store', () => {
+    const shared = { n: 1 };
+    const store = state({ a: shared, b: shared }, { deep: true });
+    expect(store.a).toBe(store.b);
+  });
+
+  it('leaves the result of a getter key as it is', () => {
+    const store = state({ get info() { return { name: 'a' }; } }, { deep: true });
+    expect(store.info).toEqual({ name: 'a' });
+    expect(isReactive(store.info)).toBe(false);
+  });
+
+  it('wraps recursively and notifies subscribers of nested keys', async () => {
+    const store = state({ user: { address: { city: 'Paris' } } }, { deep: true });
+    const spy = vi.fn();
+    store.user.address.$subscribe('city', spy);
+    spy.mockClear();
+
+    store.user.address.city = 'Rome';
+    await Promise.resolve();
+    expect(spy).toHaveBeenCalledWith('Rome');
+  });
+
+  it('wraps plain objects written into a slot', async () => {
+    const store = state({ user: null }, { deep: true });
+    const spy = vi.fn();
+    store.$subscribe('user', spy);
+    spy.mockClear();
+
+    store.user = { name: 'Ada' };
+    await Promise.resolve();
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(isReactive(spy.mock.calls[0][0])).toBe(true);
+    expect(spy.mock.calls[0][0]).toBe(store.user);
+  });
+
+  it('treats re-writing an already-wrapped object as a no-op', async () => {
+    const nested = { x: 1 };
+    const store = state({ nested }, { deep: true });
+    const child = store.nested;
+    const spy = vi.fn();
+    store.$subscribe('nested', spy);
+    spy.mockClear();
+
+    store.nested = nested; // raw object maps back to the cached child
+    await Promise.resolve();
+    expect(store.nested).toBe(child);
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('tracks reads through generated children in effect()', async () => {
+    const store = state({ profile: { name: 'Ada' } }, { deep: true });
+    const seen = [];
+    const cleanup = effect(() => { seen.push(store.profile.name); });
+
+    store.profile.name = 'Grace';
+    await Promise.resolve();
+    expect(seen).toEqual(['Ada', 'Grace']);
+    cleanup();
+  });
+
+  it('materializing a child does not notify subscribers of the parent key', async () => {
+    const store = state({ profile: { name: 'Ada' } }, { deep: true });
+    const spy = vi.fn();
+    store.$subscribe('profile', spy); // immediate call materializes the child
+    spy.mockClear();
+
+    void store.profile.name;
+    await Promise.resolve();
+    expect(spy).not.toHaveBeenCalled();
+  });
+
+  it('leaves arrays, class instances, frozen objects and existing stores as-is', () => {
+    class Point { constructor() { this.x = 1; } }
+    const frozen = Object.freeze({ a: 1 });
+    const items = [{ id: 1 }];
+    const explicit = state({ y: 2 });
+    const store = state({ items, point: new Point(), frozen, explicit, n: 1 }, { deep: true });
+
+    expect(store.items).toBe(items);
+    expect(isReactive(store.items[0])).toBe(false);
+    expect(isReactive(store.point)).toBe(false);
+    expect(store.frozen).toBe(frozen);
+    expect(store.explicit).toBe(explicit);
+    expect(store.n).toBe(1);
+  });
+
+  it('wraps null-prototype objects', () => {
+    const dict = Object.create(null);
+    dict.a = 1;
+    const store = state({ dict }, { deep: true });
+    expect(isReactive(store.dict)).toBe(true);
+  });
+
+  it('does not wrap nested objects without the option', () => {
+    const store = state({ nested: { x: 1 } });
+    expect(isReactive(store.nested)).toBe(false);
+  });
+});
+
+describe('MUTABLE protocol', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  // Minimal in-place mutable value: attach(onMutate) → detach
+  function mutable() {
+    const owners = new Set();
+    return {
+      [MUTABLE]: (notify) => { owners.add(notify); return () => owners.delete(notify); },
+      mutate() { for (const notify of owners) notify(); },
+      owners,
+    };
+  }
+
+  it('notifies the holding key when the value mutates in place', async () => {
+    const value = mutable();
+    const store = state({ box: value });
+    const seen = vi.fn();
+    store.$subscribe('box', seen);
+    seen.mockClear();
+
+    value.mutate();
+    await tick();
+
+    expect(seen).toHaveBeenCalledWith(value);
+  });
+
+  it('attaches on assignment and detaches on replacement', () => {
+    const first = mutable();
+    const second = mutable();
+    const store = state({ box: null });
+
+    store.box = first;
+    expect(first.owners.size).toBe(1);
+    store.box = second;
+    expect(first.owners.size).toBe(0);
+    expect(second.owners.size).toBe(1);
+  });
+
+  it('does not run accessors while scanning initial values', () => {
+    const getter = vi.fn(() => 1);
+    state({ get x() { return getter(); } });
+    expect(getter).not.toHaveBeenCalled();
+  });
+});
+
+describe('change feed ($subscribe("*"))', () => {
+  const tick = () => Promise.resolve();
+
+  it('delivers one array of { key, value, oldValue } records per flush', async () => {
+    const store = state({ a: 1, b: 'x', c: true });
+    const feed = vi.fn();
+    store.$subscribe('*', feed);
+
+    expect(feed).not.toHaveBeenCalled(); // no immediate call
+
+    store.a = 2;
+    store.a = 3;
+    store.b = 'y';
+    await tick();
+
+    expect(feed).toHaveBeenCalledTimes(1);
+    expect(feed).toHaveBeenCalledWith([
+      { key: 'a', value: 3, oldValue: 1 },
+      { key: 'b', value: 'y', oldValue: 'x' },
+    ]);
+  });
+
+  it('marks keys added or deleted over the flush window', async () => {
+    const store = state({ gone: undefined, kept: undefined });
+    const feed = vi.fn();
+    store.$subscribe('*', feed);
+
+    store.fresh = undefined;
+    delete store.gone;
+    store.kept = 2;
+    store.brief = 1;
+    delete store.brief; // added and deleted again: no change
+    await tick();
+
+    expect(feed).toHaveBeenCalledWith([
+      { key: 'fresh', value: undefined, oldValue: undefined, added: true },
+      { key: 'gone', value: undefined, oldValue: undefined, deleted: true },
+      { key: 'kept', value: 2, oldValue: undefined },
+    ]);
+  });
+
+  it('keeps the markers of writes made before a rolled-back transaction', async () => {
+    const store = state({ a: 1 });
+    const feed = vi.fn();
+    store.$subscribe('*', feed);
+
+    store.b = 1;
+    transaction((tx) => {
+      delete store.b;
+      tx.abort();
+    });
+    await tick();
+
+    expect(feed).toHaveBeenCalledWith([{ key: 'b', value: 1, oldValue: undefined, added: true }]);
+  });
+
+  it('reports the flush window only, then starts fresh', async () => {
+    const store = state({ a: 1 });
+    const feed = vi.fn();
+    store.$subscribe('*', feed);
+
+    store.a = 2;
+    await tick();
+    store.a = 3;
+    await tick();
+
+    expect(feed.mock.calls.map(([changes]) => changes)).toEqual([
+      [{ key: 'a', value: 2, oldValue: 1 }],
+      [{ key: 'a', value: 3, oldValue: 2 }],
+    ]);
+  });
+
+  it('flushes once for a batch() across stores', () => {
+    const a = state({ n: 0 });
+    const b = state({ n: 0 });
+    const feedA = vi.fn();
+    const feedB = vi.fn();
+    a.$subscribe('*', feedA);
+    b.$subscribe('*', feedB);
+
+    batch(() => {
+      a.n = 1;
+      a.n = 2;
+      b.n = 5;
+    });
+
+    expect(feedA).toHaveBeenCalledWith([{ key: 'n', value: 2, oldValue: 0 }]);
+    expect(feedB).toHaveBeenCalledWith([{ key: 'n', value: 5, oldValue: 0 }]);
+  });
+
+  it('runs after per-key subscribers and does not fire them for "*"', async () => {
+    const store = state({ a: 1, '*': 'literal' });
+    const order = [];
+    store.$subscribe('a', v => order.push(`a:${v}`));
+    store.$subscribe('*', changes => order.push(`feed:${changes.length}`));
+
+    store.a = 2;
+    store['*'] = 'changed';
+    await tick();
+
+    expect(order).toEqual(['a:1', 'a:2', 'feed:2']);
+  });
+
+  it('skips writes made before subscribing and stops after unsubscribe', async () => {
+    const store = state({ a: 1, b: 1 });
+    store.$subscribe('a', () => {}); // keep the store observed
+
+    store.a = 2;
+    const feed = vi.fn();
+    const unsub = store.$subscribe('*', feed);
+    store.b = 2;
+    await tick();
+
+    expect(feed).toHaveBeenCalledWith([{ key: 'b', value: 2, oldValue: 1 }]);
+
+    unsub();
+    store.b = 3;
+    await tick();
+    expect(feed).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs a throwing feed subscriber and keeps delivering to others', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const store = state({ a: 1 });
+    const feed = vi.fn();
+    store.$subscribe('*', () => { throw new Error('boom'); });
+    store.$subscribe('*', feed);
+
+    store.a = 2;
+    await tick();
+
+    expect(feed).toHaveBeenCalledTimes(1);
+    expect(errorSpy).toHaveBeenCalledWith(
+      expect.stringContaining('change feed subscriber'),
+      expect.any(Error)
+    );
+    errorSpy.mockRestore();
+  });
+
+  it('reports in-place MUTABLE changes with the same reference', async () => {
+    let notify;
+    const box = { [MUTABLE]: (fn) => { notify = fn; return () => {}; } };
+    const store = state({ box });
+    const feed = vi.fn();
+    store.$subscribe('*', feed);
+
+    notify();
+    await tick();
+
+    expect(feed).toHaveBeenCalledWith([{ key: 'box', value: box, oldValue: box }]);
+  });
+});
+
+describe('$patch', () => {
+  const tick = () => Promise.resolve();
+
+  it('writes several keys and returns the keys that changed', () => {
+    const store = state({ a: 1, b: 2, c: 3 });
+    const changed = store.$patch({ a: 10, b: 2, d: 4 });
+
+    expect(changed).toEqual(new Set(['a', 'd']));
+    expect({ a: store.a, b: store.b, c: store.c, d: store.d }).toEqual({ a: 10, b: 2, c: 3, d: 4 });
+  });
+
+  it('notifies subscribers and the change feed in a single flush', async () => {
+    const store = state({ a: 1, b: 2 });
+    const a = vi.fn();
+    const feed = vi.fn();
+    store.$subscribe('a', a);
+    store.$subscribe('*', feed);
+    a.mockClear();
+
+    // A batch: flushed once, when $patch returns
+    store.$patch({ a: 5, b: 6 });
+    expect(a).toHaveBeenCalledTimes(1);
+    await tick();
+
+    expect(a).toHaveBeenCalledTimes(1);
+    expect(feed).toHaveBeenCalledTimes(1);
+    expect(feed.mock.calls[0][0]).toHaveLength(2);
+  });
+
+  it('notifies in one wave under the sync scheduler', () => {
+    const store = state({ a: 1, b: 1 }, { scheduler: 'sync' });
+    const seen = [];
+    store.$subscribe('a', () => seen.push(`a=${store.a},b=${store.b}`));
+    seen.length = 0;
+
+    store.$patch({ a: 2, b: 3 });
+    expect(seen).toEqual(['a=2,b=3']);
+
+    store.$reset();
+    expect(seen).toEqual(['a=2,b=3', 'a=1,b=1']);
+  });
+
+  it('runs an effect depending on several patched keys once', async () => {
+    const store = state({ first: 'Ada', last: 'Lovelace' });
+    const fn = vi.fn(() => `${store.first} ${store.last}`);
+    effect(fn);
+
+    store.$patch({ first: 'Grace', last: 'Hopper' });
+    await tick();
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(fn).toHaveLastReturnedWith('Grace Hopper');
+  });
+
+  it('function form: reads see earlier draft writes', () => {
+    const store = state({ count: 1, double: 2 });
+
+    const changed = store.$patch(draft => {
+      draft.count = draft.count + 1;
+      draft.double = draft.count * 2;
+    });
+
+    expect(store.count).toBe(2);
+    expect(store.double).toBe(4);
+    expect(changed).toEqual(new Set(['count', 'double']));
+  });
+
+  it('function form: applies nothing if the function throws', () => {
+    const store = state({ a: 1, b: 2 });
+
+    expect(() => store.$patch(draft => {
+      draft.a = 10;
+      throw new Error('abort');
+    })).toThrow('abort');
+
+    expect(store.a).toBe(1);
+  });
+
+  it('skips reserved and blocked keys', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ a: 1 });
+
+    const changed = store.$patch(JSON.parse('{"$subscribe": 1, "__proto__": {"polluted": true}, "a": 2}'));
+
+    expect(changed).toEqual(new Set(['a']));
+    expect(typeof store.$subscribe).toBe('function');
+    expect({}.polluted).toBeUndefined();
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('skipped reserved key "$subscribe"'));
+    warnSpy.mockRestore();
+  });
+
+  it('throws for anything but an object or a function', () => {
+    const store = state({ a: 1 });
+    expect(() => store.$patch(null)).toThrow('$patch requires an object or a function');
+    expect(() => store.$patch(5)).toThrow('$patch requires an object or a function');
+  });
+});
+
+describe('$initial / $reset', () => {
+  const tick = () => Promise.resolve();
+
+  it('exposes a frozen snapshot of the initial top-level values', () => {
+    const store = state({ name: 'Ada', age: 36 });
+    store.name = 'Grace';
+
+    expect(store.$initial).toEqual({ name: 'Ada', age: 36 });
+    expect(Object.isFrozen(store.$initial)).toBe(true);
+    expect(store.name !== store.$initial.name).toBe(true); // dirty check
+  });
+
+  it('keeps $initial and $errors out of JSON and spreads', () => {
+    const store = state({ a: 1 });
+    const checked = state({ age: 1 }, { schema: schema({ age: { type: 'number' } }) });
+
+    expect(JSON.stringify(store)).toBe('{"a":1}');
+    expect({ ...store }.$initial).toBeUndefined();
+    expect(JSON.stringify(checked)).toBe('{"age":1}');
+    expect(checked.$errors.age).toBe('');
+  });
+
+  it('reads nested objects of a deep store as their child stores', () => {
+    const store = state({ user: { name: 'Ada' } }, { deep: true });
+
+    expect(store.$initial.user).toBe(store.user);
+    expect(store.$initial.user.name).toBe('Ada');
+    expect(Object.isFrozen(store.$initial)).toBe(true);
+
+    store.user = { name: 'Grace' };
+    expect(store.user !== store.$initial.user).toBe(true); // dirty check
+  });
+
+  it('leaves accessors and reserved keys out of the snapshot', () => {
+    const getter = vi.fn(() => 1);
+    const store = state({ a: 1, get computedA() { return getter(); } });
+
+    expect(Object.keys(store.$initial)).toEqual(['a']);
+    expect(getter).not.toHaveBeenCalled();
+  });
+
+  it('restores every initial key through the proxy', async () => {
+    const store = state({ name: 'Ada', tags: ['x'] });
+    const seen = [];
+    store.$subscribe('name', v => seen.push(v));
+
+    store.name = 'Grace';
+    store.tags = [];
+    await tick();
+    store.$reset();
+    await tick();
+
+    expect(store.name).toBe('Ada');
+    expect(store.tags).toEqual(['x']);
+    expect(seen).toEqual(['Ada', 'Grace', 'Ada']);
+  });
+
+  it('restores only the given keys', () => {
+    const store = state({ a: 1, b: 2 });
+    store.a = 10;
+    store.b = 20;
+
+    store.$reset(['a']);
+
+    expect(store.a).toBe(1);
+    expect(store.b).toBe(20);
+  });
+
+  it('leaves keys added after creation alone and warns for them by name', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ a: 1 });
+    store.extra = 'kept';
+
+    store.$reset();
+    store.$reset(['extra']);
+
+    expect(store.extra).toBe('kept');
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('key "extra" has no initial value'));
+    warnSpy.mockRestore();
+  });
+
+  it('resets nested stores in place, and restores a replaced one', () => {
+    const address = state({ city: 'London' });
+    const store = state({ address });
+
+    store.address.city = 'Paris';
+    store.$reset();
+    expect(store.address).toBe(address);
+    expect(address.city).toBe('London');
+
+    store.address = state({ city: 'Rome' });
+    address.city = 'Oslo';
+    store.$reset();
+    expect(store.address).toBe(address);
+    expect(address.city).toBe('London');
+  });
+
+  it('resets deep-mode children', () => {
+    const form = state({ account: { email: 'a@b.c' } }, { deep: true });
+
+    form.account.email = 'x@y.z';
+    form.$reset();
+
+    expect(form.account.email).toBe('a@b.c');
+  });
+
+  it('survives stores that reach themselves', () => {
+    const a = state({ n: 1, other: null });
+    const b = state({ n: 2, other: a });
+    a.other = b;
+    const cyclic = state({ n: 1, self: null });
+    cyclic.self = cyclic;
+
+    a.n = 10;
+    b.n = 20;
+    expect(() => b.$reset()).not.toThrow();
+    expect(b.n).toBe(2);
+    expect(() => cyclic.$reset()).not.toThrow();
+  });
+
+  it('throws when keys is not an array', () => {
+    const store = state({ a: 1 });
+    expect(() => store.$reset('a')).toThrow('$reset requires an array of keys');
+  });
+});
+
+describe('deletes, `in` and key enumeration', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('notifies subscribers and the change feed with undefined on delete, marked deleted', async () => {
+    const store = state({ temp: 'x', keep: 1 });
+    const seen = [];
+    const feed = [];
+    store.$subscribe('temp', v => seen.push(v));
+    store.$subscribe('*', changes => feed.push(...changes));
+
+    delete store.temp;
+    await tick();
+
+    expect('temp' in store).toBe(false);
+    expect(seen).toEqual(['x', undefined]);
+    expect(feed).toEqual([{ key: 'temp', value: undefined, oldValue: 'x', deleted: true }]);
+  });
+
+  it('ignores deletes of absent keys and blocks reserved ones', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = state({ a: 1 });
+    const feed = vi.fn();
+    store.$subscribe('*', feed);
+
+    expect(delete store.missing).toBe(true);
+    delete store.$subscribe;
+    await tick();
+
+    expect(feed).not.toHaveBeenCalled();
+    expect(typeof store.$subscribe).toBe('function');
+    expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Blocked delete of reserved key "$subscribe"'));
+    warnSpy.mockRestore();
+  });
+
+  it('re-runs effects that read a deleted key', async () => {
+    const store = state({ temp: 1 });
+    const seen = [];
+    effect(() => { seen.push(store.temp); });
+
+    delete store.temp;
+    await tick();
+
+    expect(seen).toEqual([1, undefined]);
+  });
+
+  it('tracks `in` checks for additions and deletions', async () => {
+    const store = state({});
+    const seen = [];
+    effect(() => { seen.push('draft' in store); });
+
+    store.draft = undefined; // a new key, even with an undefined value
+    await tick();
+    delete store.draft;
+    await tick();
+
+    expect(seen).toEqual([false, true, false]);
+  });
+
+  it('does not track symbol or $-key `in` checks', () => {
+    const store = state({ a: 1 });
+    const reads = [];
+
+    withReadObserver((proxy, key) => reads.push(key), () => {
+      void (Symbol.for('lume.reactive') in store);
+      void ('$subscribe' in store);
+      void ('a' in store);
+    });
+
+    expect(reads).toEqual(['a']);
+  });
+
+  it('re-runs effects enumerating keys when keys are added or removed', async () => {
+    const store = state({ a: 1 });
+    const seen = [];
+    effect(() => { seen.push(Object.keys(store).filter(k => !k.startsWith('$'))); });
+
+    store.b = 2;
+    await tick();
+    store.b = 3; // existing key: enumeration unchanged
+    await tick();
+    delete store.a;
+    await tick();
+
+    expect(seen).toEqual([['a'], ['a', 'b'], ['b']]);
+  });
+
+  it('keeps a deleted MUTABLE value from notifying the store', async () => {
+    let notify;
+    let detached = false;
+    const box = { [MUTABLE]: (fn) => { notify = fn; return () => { detached = true; }; } };
+    const store = state({ box });
+
+    delete store.box;
+
+    expect(detached).toBe(true);
+    expect(typeof notify).toBe('function');
+  });
+
+  it('restores deleted keys when a transaction rolls back', async () => {
+    const store = state({ a: 1 });
+    const seen = vi.fn();
+    store.$subscribe('a', seen);
+
+    expect(() => transaction(() => {
+      delete store.a;
+      store.b = 2;
+      throw new Error('x');
+    })).toThrow('x');
+    await tick();
+
+    expect(store.a).toBe(1);
+    expect('b' in store).toBe(false);
+    expect(seen).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('equals option', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  const sameLength = (a, b) => a.length === b.length;
+
+  it('drops writes the key\'s comparator calls equal', async () => {
+    const items = ['a'];
+    const store = state({ items, other: [] }, { equals: { items: sameLength } });
+    const seen = vi.fn();
+    const feed = vi.fn();
+    store.$subscribe('items', seen);
+    store.$subscribe('*', feed);
+
+    store.items = ['b'];
+    await tick();
+
+    expect(store.items).toBe(items);
+    expect(seen).toHaveBeenCalledTimes(1);
+    expect(feed).not.toHaveBeenCalled();
+
+    store.items = ['a', 'b'];
+    store.other = [];
+    await tick();
+
+    expect(store.items).toEqual(['a', 'b']);
+    expect(seen).toHaveBeenCalledTimes(2);
+  });
+
+  it('still adds a missing key and skips identical values without calling the comparator', () => {
+    const cmp = vi.fn(() => true);
+    const store = state({ a: 1 }, { equals: { a: cmp, b: cmp } });
+
+    store.a = 1;
+    store.b = 2;
+    expect(cmp).not.toHaveBeenCalled();
+    expect(store.b).toBe(2);
+  });
+
+  it('leaves $patch() out of the changed set for equal values', () => {
+    const store = state({ items: [1] }, { equals: { items: sameLength } });
+    expect([...store.$patch({ items: [2] })]).toEqual([]);
+  });
+
+  it('validates the comparators', () => {
+    expect(() => state({}, { equals: null })).toThrow('state() equals must map keys to comparator functions');
+    expect(() => state({}, { equals: { a: true } })).toThrow('state() equals must map keys to comparator functions');
+  });
+});
+
+describe('$dispose', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('drops subscribers and the pending flush', async () => {
+    const store = state({ a: 0 });
+    const seen = vi.fn();
+    const feed = vi.fn();
+    const unsubscribe = store.$subscribe('a', seen);
+    store.$subscribe('*', feed);
+    seen.mockClear();
+
+    store.a = 1;
+    store.$dispose();
+    await tick();
+
+    expect(seen).not.toHaveBeenCalled();
+    expect(feed).not.toHaveBeenCalled();
+    expect(() => unsubscribe()).not.toThrow();
+  });
+
+  it('ignores later writes, deletes and subscriptions with a warning', async () => {
+    const warnSpy = vi.spyOn(log, 'logWarn').mockImplementation(() => {});
+    const store = state({ a: 0, b: 1 });
+    store.$dispose();
+    store.$dispose(); // again: no-op
+
+    store.a = 1;
+    delete store.b;
+    delete store.missing;
+    const fn = vi.fn();
+    store.$subscribe('a', fn)();
+    await tick();
+
+    expect(store.a).toBe(0);
+    expect(store.b).toBe(1);
+    expect(fn).not.toHaveBeenCalled();
+    expect(warnSpy.mock.calls).toEqual([
+      ['[Lume.js state] Write to "a" ignored: the store was disposed'],
+      ['[Lume.js state] Delete of "b" ignored: the store was disposed'],
+      ['[Lume.js state] $subscribe("a") ignored: the store was disposed'],
+    ]);
+    warnSpy.mockRestore();
+  });
+
+  it('disposes effects that read only this store, and releases it from the others', async () => {
+    const warnSpy = vi.spyOn(log, 'logWarn').mockImplementation(() => {});
+    const a = state({ x: 0 });
+    const b = state({ y: 0 });
+    const onlyA = vi.fn();
+    const both = vi.fn();
+    const stopOnlyA = effect(() => onlyA(a.x));
+    effect(() => both(a.x, b.y));
+
+    a.$dispose();
+    b.y = 1;
+    await tick();
+
+    expect(onlyA).toHaveBeenCalledTimes(1);
+    expect(both).toHaveBeenLastCalledWith(0, 1); // re-reads a: no new subscription
+    expect(() => stopOnlyA()).not.toThrow();
+    warnSpy.mockRestore();
+  });
+
+  it('leaves read observers without a dispose callback alone', () => {
+    const store = state({ a: 0 });
+    const unsubs = [];
+    withReadObserver((proxy, key, registerEffect) => unsubs.push(registerEffect(key, () => {})), () => store.a);
+
+    store.$dispose();
+    expect(() => unsubs[0]()).not.toThrow();
+  });
+
+  it('detaches in-place mutable values and disposes $errors', () => {
+    const owners = new Set();
+    const box = { [MUTABLE]: (notify) => { owners.add(notify); return () => owners.delete(notify); } };
+    const store = state({ box, age: 1 }, { schema: schema({ age: { type: 'number' } }) });
+    expect(owners.size).toBe(1);
+    const warnSpy = vi.spyOn(log, 'logWarn').mockImplementation(() => {});
+
+    store.$dispose();
+    store.$errors.age = 'x';
+
+    expect(owners.size).toBe(0);
+    expect(store.$errors.age).toBe('');
+    expect(warnSpy).toHaveBeenCalledWith('[Lume.js state] Write to "age" ignored: the store was disposed');
+    warnSpy.mockRestore();
+  });
+
+  it('disposes nested stores only with { deep: true }', () => {
+    const warnSpy = vi.spyOn(log, 'logWarn').mockImplementation(() => {});
+    const child = state({ n: 0 });
+    const grandchild = state({ n: 0 });
+    state({ child }).$dispose();
+    child.n = 1;
+    expect(child.n).toBe(1);
+
+    state({ child, other: { grandchild }, list: [grandchild], $meta: grandchild, empty: null })
+      .$dispose({ deep: true });
+    child.n = 2;
+    expect(child.n).toBe(1);
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+    warnSpy.mockRestore();
+  });
+});
+
+describe('scopedReadObserver', () => {
+  it('reports reads of one store only', () => {
+    const store = state({ a: 1, b: 2 });
+    const other = state({ secret: 'x' });
+    const reads = [];
+
+    const result = scopedReadObserver(store, (proxy, key) => reads.push([proxy, key]), () => {
+      void other.secret;
+      void ('b' in store);
+      return store.a + other.secret;
+    });
+
+    expect(result).toBe('1x');
+    expect(reads).toEqual([[store, 'b'], [store, 'a']]);
+  });
+
+  it('stacks with other observers and stops when fn returns or throws', () => {
+    const store = state({ a: 1 });
+    const outer = [];
+    const inner = [];
+    const global = [];
+
+    scopedReadObserver(store, (proxy, key) => outer.push(key), () => {
+      withReadObserver((proxy, key) => global.push(key), () => {
+        scopedReadObserver(store, (proxy, key) => inner.push(key), () => store.a);
+      });
+      void store.a;
+    });
+    expect(() => scopedReadObserver(store, () => {}, () => { throw new Error('boom'); })).toThrow('boom');
+    void store.a;
+
+    expect(outer).toEqual(['a', 'a']);
+    expect(inner).toEqual(['a']);
+    expect(global).toEqual(['a']);
+  });
+
+  it('hands observers registerEffect, as withReadObserver does', async () => {
+    const store = state({ a: 1 });
+    const run = vi.fn();
+    scopedReadObserver(store, (proxy, key, registerEffect) => registerEffect(key, run), () => store.a);
+
+    store.a = 2;
+    await Promise.resolve();
+
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('validates its arguments', () => {
+    const store = state({});
+    expect(() => scopedReadObserver({}, () => {}, () => {})).toThrow('scopedReadObserver() requires a store from state()');
+    expect(() => scopedReadObserver(null, () => {}, () => {})).toThrow('requires a store');
+    expect(() => scopedReadObserver(store, null, () => {})).toThrow(
+      'scopedReadObserver() requires an observer and a function'
+    );
+    expect(() => scopedReadObserver(store, () => {})).toThrow('requires an observer and a function');
+  });
+});
+
+describe('untrack', () => {
+  it('requires a function', () => {
+    expect(() => untrack()).toThrow('untrack() requires a function');
+  });
+
+  it('hides reads from the active observers and returns fn\'s result', () => {
+    const store = state({ a: 1, b: 2 });
+    const global = [];
+    const scoped = [];
+
+    scopedReadObserver(store, (proxy, key) => scoped.push(key), () => {
+      withReadObserver((proxy, key) => global.push(key), () => {
+        expect(untrack(() => store.b)).toBe(2);
+        void store.a;
+      });
+    });
+
+    expect(global).toEqual(['a']);
+    expect(scoped).toEqual(['a']);
+  });
+
+  it('restores the observers when fn throws', () => {
+    const store = state({ a: 1 });
+    const reads = [];
+
+    withReadObserver((proxy, key) => reads.push(key), () => {
+      expect(() => untrack(() => { throw new Error('boom'); })).toThrow('boom');
+      void store.a;
+    });
+
+    expect(reads).toEqual(['a']);
+  });
+
+  it('makes no effect dependency, while a nested effect still tracks', async () => {
+    const store = state({ query: 'a', pageSize: 10, inner: 0 });
+    const outer = vi.fn();
+    const inner = vi.fn();
+
+    effect(() => {
+      void store.query;
+      untrack(() => {
+        void store.pageSize;
+        effect(() => { void store.inner; inner(); });
+      });
+      outer();
+    });
+
+    store.pageSize = 20;
+    await Promise.resolve();
+    expect(outer).toHaveBeenCalledTimes(1);
+
+    store.inner = 1;
+    await Promise.resolve();
+    expect(inner).toHaveBeenCalledTimes(2);
+    expect(outer).toHaveBeenCalledTimes(1);
+
+    store.query = 'b';
+    await Promise.resolve();
+    expect(outer).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs fn directly when nothing observes', () => {
+    expect(untrack(() => 'plain')).toBe('plain');
+  });
+});
+
+describe('$peek', () => {
+  it('reads a key without making a dependency', async () => {
+    const store = state({ count: 1, config: 'x' });
+    const seen = [];
+
+    effect(() => { seen.push(`${store.count}:${store.$peek('config')}`); });
+    store.config = 'y';
+    await Promise.resolve();
+    expect(seen).toEqual(['1:x']);
+
+    store.count = 2;
+    await Promise.resolve();
+    expect(seen).toEqual(['1:x', '2:y']);
+  });
+
+  it('returns child stores in deep mode', () => {
+    const store = state({ user: { name: 'Ada' } }, { deep: true });
+    expect(isReactive(store.$peek('user'))).toBe(true);
+    expect(store.$peek('user')).toBe(store.user);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { state, effect, batch, transaction } from 'src/index.js';
+import { MUTABLE } from 'src/core/state.js';
+
+describe('transaction', () => {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('throws if not passed a function', () => {
+    expect(() => transaction(null)).toThrow('transaction() requires a function');
+  });
+
+  it('commits like batch() when fn returns normally', () => {
+    const a = state({ v: 1 });
+    const b = state({ v: 2 });
+    const seen = [];
+    effect(() => { seen.push(a.v + b.v); });
+
+    const result = transaction(() => {
+      a.v = 10;
+      b.v = 20;
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(seen).toEqual([3, 30]);
+  });
+
+  it('rolls back every store on throw without notifying subscribers', async () => {
+    const cart = state({ items: ['book'] });
+    const wishlist = state({ items: [] });
+    const cartSeen = [];
+    const wishSeen = [];
+    const feed = vi.fn();
+    cart.$subscribe('items', v => cartSeen.push(v));
+    wishlist.$subscribe('items', v => wishSeen.push(v));
+    cart.$subscribe('*', feed);
+    const before = cart.items;
+
+    expect(() => transaction(() => {
+      wishlist.items = [...wishlist.items, 'book'];
+      cart.items = [];
+      cart.items = ['other'];
+      throw new Error('offline');
+    })).toThrow('offline');
+
+    expect(cart.items).toBe(before);
+    expect(wishlist.items).toEqual([]);
+    await tick();
+    expect(cartSeen).toEqual([before]);
+    expect(wishSeen).toHaveLength(1);
+    expect(feed).not.toHaveBeenCalled();
+  });
+
+  it('does not run effects for rolled-back writes', () => {
+    const store = state({ n: 0 });
+    const fx = vi.fn(() => { void store.n; });
+    effect(fx);
+
+    expect(() => transaction(() => {
+      store.n = 1;
+      throw new Error('nope');
+    })).toThrow('nope');
+
+    expect(fx).toHaveBeenCalledTimes(1);
+  });
+
+  it('holds sync and pre effects until it ends, and drops them on rollback', () => {
+    const store = state({ v: 1, w: 1 });
+    const seen = [];
+    effect(() => { seen.push(`sync ${store.v}`); }, { flush: 'sync' });
+    effect(() => { seen.push(`pre ${store.v}`); }, { flush: 'pre' });
+    seen.length = 0;
+
+    transaction((tx) => {
+      store.v = 2;
+      expect(seen).toEqual([]);
+      tx.abort();
+    });
+    expect(seen).toEqual([]);
+
+    transaction(() => {
+      store.v = 2;
+      store.v = 3;
+      store.w = 2;
+      expect(seen).toEqual([]);
+    });
+    expect(seen).toEqual(['sync 3', 'pre 3']);
+  });
+
+  it('runs held effects for the writes a nested rollback keeps', () => {
+    const a = state({ x: 1 });
+    const b = state({ y: 1 });
+    const seen = [];
+    effect(() => { seen.push(`a ${a.x}`); }, { flush: 'sync' });
+    effect(() => { seen.push(`b ${b.y}`); }, { flush: 'sync' });
+    seen.length = 0;
+
+    transaction(() => {
+      a.x = 2;
+      transaction((tx) => {
+        a.x = 3;
+        b.y = 2;
+        tx.abort();
+      });
+      transaction(() => {
+        b.y = 3;
+      });
+      transaction(() => {
+        b.y = 4;
+      });
+    });
+    expect(seen).toEqual(['a 2', 'b 4']);
+  });
+
+  it('removes keys added inside a rolled-back transaction', () => {
+    const store = state({ a: 1 });
+
+    expect(() => transaction(() => {
+      store.added = true;
+      throw new Error('x');
+    })).toThrow('x');
+
+    expect('added' in store).toBe(false);
+  });
+
+  it('abort() rolls back, stops fn and returns undefined', () => {
+    const store = state({ n: 0 });
+    const after = vi.fn();
+
+    const result = transaction((tx) => {
+      store.n = 5;
+      tx.abort();
+      after();
+    });
+
+    expect(result).toBeUndefined();
+    expect(after).not.toHaveBeenCalled();
+    expect(store.n).toBe(0);
+  });
+
+  it('keeps writes that were pending before the transaction', async () => {
+    const store = state({ a: 0, b: 0 });
+    const seenA = [];
+    const seenB = [];
+    store.$subscribe('a', v => seenA.push(v));
+    store.$subscribe('b', v => seenB.push(v));
+
+    store.a = 1;
+    expect(() => transaction(() => {
+      store.a = 2;
+      store.b = 2;
+      throw new Error('x');
+    })).toThrow('x');
+    await tick();
+
+    expect(store.a).toBe(1);
+    expect(seenA).toEqual([0, 1]);
+    expect(seenB).toEqual([0]);
+  });
+
+  it('rolls back a nested transaction on its own', () => {
+    const store = state({ a: 0, b: 0 });
+
+    transaction(() => {
+      store.a = 1;
+      transaction((tx) => {
+        store.b = 1;
+        tx.abort();
+      });
+    });
+
+    expect(store.a).toBe(1);
+    expect(store.b).toBe(0);
+  });
+
+  it('undoes a committed inner transaction when the outer one rolls back', () => {
+    const store = state({ a: 0, b: 0 });
+    const other = state({ c: 0 });
+
+    transaction((outer) => {
+      store.a = 1;
+      transaction(() => {
+        store.a = 2;
+        store.b = 2;
+        other.c = 2;
+      });
+      outer.abort();
+    });
+
+    expect(store.a).toBe(0);
+    expect(store.b).toBe(0);
+    expect(other.c).toBe(0);
+  });
+
+  it('lets abort() of an outer transaction unwind an inner one', () => {
+    const store = state({ a: 0, b: 0 });
+
+    const result = transaction((outer) => {
+      store.a = 1;
+      return transaction(() => {
+        store.b = 1;
+        outer.abort();
+      });
+    });
+
+    expect(result).toBeUndefined();
+    expect(store.a).toBe(0);
+    expect(store.b).toBe(0);
+  });
+
+  it('re-attaches a restored MUTABLE value and detaches the discarded one', () => {
+    const mutable = () => {
+      const owners = new Set();
+      return {
+        [MUTABLE]: (notify) => { owners.add(notify); return () => owners.delete(notify); },
+        owners,
+      };
+    };
+    const original = mutable();
+    const replacement = mutable();
+    const store = state({ box: original });
+
+    expect(() => transaction(() => {
+      store.box = replacement;
+      throw new Error('x');
+    })).toThrow('x');
+
+    expect(store.box).toBe(original);
+    expect(original.owners.size).toBe(1);
+    expect(replacement.owners.size).toBe(0);
+  });
+
+  it('rejects an async fn after rolling back its synchronous writes', async () => {
+    const store = state({ n: 0 });
+
+    expect(() => transaction(async () => {
+      store.n = 1;
+    })).toThrow('transaction() requires a synchronous function');
+    expect(store.n).toBe(0);
+  });
+});
@@ -10,6 +10,9 @@ describe('public API', () => {
     expect(typeof api.bindDom).toBe('function');
     expect(api).toHaveProperty('effect');
     expect(typeof api.effect).toBe('function');
+    expect(typeof api.onCleanup).toBe('function');
+    expect(typeof api.effectScope).toBe('function');
+    expect(typeof api.untrack).toBe('function');
   });
 
   it('does not expose isReactive (moved to lume-js/addons)', () => {
@@ -5,13 +5,34 @@
  * Node to prove it.
  */
 import { describe, it, expect } from 'vitest';
-import { state, batch, withReadObserver } from 'src/state.js';
+import { state, batch, transaction, withReadObserver, scopedReadObserver, setDefaultScheduler, effectScope, untrack } from 'src/state.js';
 
 describe('lume-js/state universal entry', () => {
   it('exposes exactly the DOM-free kernel API', () => {
     expect(typeof state).toBe('function');
     expect(typeof batch).toBe('function');
+    expect(typeof transaction).toBe('function');
     expect(typeof withReadObserver).toBe('function');
+    expect(typeof scopedReadObserver).toBe('function');
+    expect(typeof setDefaultScheduler).toBe('function');
+    expect(typeof effectScope).toBe('function');
+    expect(typeof untrack).toBe('function');
+  });
+
+  it('animationFrame and idle schedulers fall back to timers without a DOM', async () => {
+    const frame = state({ v: 0 }, { scheduler: 'animationFrame' });
+    const idle = state({ v: 0 }, { scheduler: 'idle' });
+    const seen = [];
+    frame.$subscribe('v', v => seen.push(`frame:${v}`));
+    idle.$subscribe('v', v => seen.push(`idle:${v}`));
+
+    frame.v = 1;
+    idle.v = 1;
+    await Promise.resolve();
+    expect(seen).toEqual(['frame:0', 'idle:0']);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(seen).toEqual(['frame:0', 'idle:0', 'idle:1', 'frame:1']);
   });
 
   it('state + subscribe work without a DOM', async () => {
@@ -55,6 +76,18 @@ describe('lume-js/state universal entry', () => {
     expect(reads).toEqual(['x']);
   });
 
+  it('effectScope owns subscriptions without a DOM', () => {
+    const store = state({ x: 1 }, { scheduler: 'sync' });
+    const seen = [];
+
+    const scope = effectScope(() => store.$subscribe('x', v => seen.push(v)));
+    store.x = 2;
+    scope.stop();
+    store.x = 3;
+
+    expect(seen).toEqual([1, 2]);
+  });
+
   it('there is no document in this environment (proves DOM-free)', () => {
     expect(typeof document).toBe('undefined');
   });